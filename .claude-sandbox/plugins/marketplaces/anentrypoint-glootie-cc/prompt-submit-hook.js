@@ -14,6 +14,11 @@ try {
   const startMdContent = fs.readFileSync(startMdPath, 'utf-8');
   outputs.push(`=== start.md ===\n${startMdContent}`);
 
+  // sandboxbox --no-auto-push replaces the push rules of start.md
+  if (process.env.SANDBOXBOX_NO_AUTO_PUSH === '1') {
+    outputs.push('=== sandboxbox ===\nPushing is disabled for this session: commit your work but NEVER run `git push`. The commits are reviewed and applied on the host.');
+  }
+
   // 2. Run mcp-thorns@latest
   try {
     const thornOutput = execSync('npx -y mcp-thorns@latest', {
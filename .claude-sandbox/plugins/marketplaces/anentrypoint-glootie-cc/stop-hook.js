@@ -14,18 +14,23 @@ const run = () => {
   if (aborted) return { decision: undefined };
   let blockReasons = [];
 
-  try {
-    const ahead = execSync('git rev-list --count origin/HEAD..HEAD', {
-      encoding: 'utf-8',
-      cwd: projectDir,
-      stdio: ['pipe', 'pipe', 'pipe'],
-      timeout: 2000
-    }).trim();
+  // sandboxbox --no-auto-push: commits are reviewed on the host instead of pushed
+  const noAutoPush = process.env.SANDBOXBOX_NO_AUTO_PUSH === '1';
+
+  if (!noAutoPush) {
+    try {
+      const ahead = execSync('git rev-list --count origin/HEAD..HEAD', {
+        encoding: 'utf-8',
+        cwd: projectDir,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        timeout: 2000
+      }).trim();
 
-    if (parseInt(ahead) > 0) {
-      blockReasons.push(`Git: ${ahead} commit(s) ahead of origin/HEAD, must push to remote`);
+      if (parseInt(ahead) > 0) {
+        blockReasons.push(`Git: ${ahead} commit(s) ahead of origin/HEAD, must push to remote`);
+      }
+    } catch (e) {
     }
-  } catch (e) {
   }
 
   try {
@@ -3,7 +3,91 @@
 import { resolve } from 'path';
 import { color } from './utils/colors.js';
 import { showBanner, showHelp } from './utils/ui.js';
-import { buildCommand, runCommand, shellCommand, claudeCommand, versionCommand } from './utils/commands/index.js';
+import { parseFlags, formatFlags } from './utils/args.js';
+import {
+  buildCommand,
+  runCommand,
+  parallelRunCommand,
+  shellCommand,
+  attachCommand,
+  claudeCommand,
+  replayCommand,
+  versionCommand,
+  sessionsListCommand,
+  sessionsResumeCommand,
+  sessionsRemoveCommand,
+  configShowCommand,
+  reviewCommand,
+  doctorCommand
+} from './utils/commands/index.js';
+
+// Flags shared by every command that creates a sandbox
+const SANDBOX_FLAGS = {
+  name: 'string',
+  keep: 'boolean',
+  'workspace-mode': 'string',
+  'include-dirty': 'boolean',
+  exclude: 'list',
+  'copy-mode': 'string',
+  cred: 'list',
+  'env-mode': 'string',
+  env: 'list',
+  'env-file': 'list',
+  'auto-push': 'boolean',
+  'host-branch': 'boolean',
+  'branch-prefix': 'string',
+  'host-mutation': 'boolean',
+  'auto-rebuild': 'boolean',
+  backend: 'string',
+  isolation: 'string',
+  network: 'string',
+  'allow-host': 'list',
+  ports: 'string',
+  'port-range': 'string',
+  timeout: 'string',
+  memory: 'string',
+  cpus: 'string',
+  pids: 'string',
+  artifacts: 'list',
+  'artifacts-dir': 'string',
+  verbose: 'boolean'
+};
+
+// `run` over several projects or an env matrix
+const RUN_FLAGS = {
+  ...SANDBOX_FLAGS,
+  parallel: 'string',
+  matrix: 'list',
+  buffer: 'boolean'
+};
+
+const BUILD_FLAGS = {
+  'build-arg': 'list',
+  tag: 'string',
+  cache: 'boolean',
+  backend: 'string',
+  verbose: 'boolean'
+};
+
+const SHELL_FLAGS = {
+  ...SANDBOX_FLAGS,
+  shell: 'string'
+};
+
+const CLAUDE_FLAGS = {
+  ...SANDBOX_FLAGS,
+  host: 'boolean',
+  headless: 'boolean',
+  continue: 'boolean',
+  resume: 'string',
+  repl: 'boolean',
+  output: 'string',
+  transcript: 'boolean',
+  'max-cost': 'string',
+  'max-turns': 'string',
+  'max-duration': 'string',
+  'max-tool-calls': 'string'
+};
 
 async function main() {
   const args = process.argv.slice(2);
@@ -19,53 +103,143 @@ async function main() {
 
   try {
     switch (command) {
-      case 'build':
-        const dockerfilePath = commandArgs[0];
-        if (!buildCommand(dockerfilePath)) process.exit(1);
+      case 'build': {
+        const { flags, positionals } = parseFlags(commandArgs, BUILD_FLAGS);
+        if (!buildCommand(positionals[0], flags)) process.exit(1);
         break;
+      }
 
-      case 'run':
-        if (commandArgs.length === 0) {
+      case 'run': {
+        const { flags: { parallel, matrix, buffer, ...flags }, positionals } = parseFlags(commandArgs, RUN_FLAGS);
+        if (parallel !== undefined || matrix !== undefined) {
+          if (flags.name !== undefined) {
+            console.log(color('red', '❌ --name cannot be used with --parallel or --matrix (every job gets its own sandbox)'));
+            process.exit(1);
+          }
+          const jobArgs = formatFlags(flags, SANDBOX_FLAGS);
+          if (!(await parallelRunCommand(positionals, { parallel, matrix, buffer }, jobArgs))) process.exit(process.exitCode || 1);
+          break;
+        }
+        if (positionals.length === 0) {
           console.log(color('red', '❌ Please specify a project directory'));
-          console.log(color('yellow', 'Usage: npx sandboxbox run <project-dir> [command]'));
+          console.log(color('yellow', 'Usage: npx sandboxbox run <project-dir> [command] [--name <id>] [--keep]'));
           process.exit(1);
         }
-        const projectDir = resolve(process.cwd(), commandArgs[0]);
-        const cmd = commandArgs.slice(1).join(' ');
-        if (!(await runCommand(projectDir, cmd))) process.exit(1);
+        const projectDir = resolve(process.cwd(), positionals[0]);
+        const cmd = positionals.slice(1).join(' ');
+        if (!(await runCommand(projectDir, cmd, flags))) process.exit(process.exitCode || 1);
         break;
+      }
 
-      case 'shell':
-        if (commandArgs.length === 0) {
+      case 'shell': {
+        const { flags, positionals } = parseFlags(commandArgs, SHELL_FLAGS);
+        if (positionals.length === 0) {
           console.log(color('red', '❌ Please specify a project directory'));
-          console.log(color('yellow', 'Usage: npx sandboxbox shell <project-dir>'));
+          console.log(color('yellow', 'Usage: npx sandboxbox shell <project-dir> [--shell <path>] [--name <id>] [--no-keep]'));
           process.exit(1);
         }
-        const shellProjectDir = resolve(process.cwd(), commandArgs[0]);
-        if (!(await shellCommand(shellProjectDir))) process.exit(1);
+        const shellProjectDir = resolve(process.cwd(), positionals[0]);
+        if (!(await shellCommand(shellProjectDir, flags))) process.exit(process.exitCode || 1);
         break;
+      }
 
-      case 'claude':
-        if (commandArgs.length === 0) {
+      case 'attach': {
+        const { flags, positionals } = parseFlags(commandArgs, { shell: 'string', verbose: 'boolean' });
+        if (!(await attachCommand(positionals[0], flags))) process.exit(process.exitCode || 1);
+        break;
+      }
+
+      case 'claude': {
+        const { flags, positionals } = parseFlags(commandArgs, CLAUDE_FLAGS);
+        if (positionals.length === 0) {
           console.log(color('red', '❌ Please specify a project directory'));
-          console.log(color('yellow', 'Usage: npx sandboxbox claude <project-dir> [prompt] [--host] [--headless]'));
+          console.log(color('yellow', 'Usage: npx sandboxbox claude <project-dir> [prompt] [--host] [--headless] [--name <id>] [--keep] [--continue | --resume <session>] [--repl] [--output <text|json|ndjson>] [--transcript]'));
           process.exit(1);
         }
 
-        // Parse flags from command args
-        const claudeArgs = commandArgs.slice(1);
-        const flags = {
-          useHostSettings: claudeArgs.includes('--host'),
-          headlessMode: claudeArgs.includes('--headless')
+        const claudeFlags = {
+          ...flags,
+          useHostSettings: Boolean(flags.host),
+          headlessMode: Boolean(flags.headless)
         };
+        const claudeProjectDir = resolve(process.cwd(), positionals[0]);
+        const claudePrompt = positionals.slice(1).join(' ');
+
+        if (!(await claudeCommand(claudeProjectDir, claudePrompt, claudeFlags))) process.exit(process.exitCode || 1);
+        break;
+      }
 
-        // Remove flags from prompt
-        const promptArgs = claudeArgs.filter(arg => arg !== '--host' && arg !== '--headless');
-        const claudeProjectDir = resolve(process.cwd(), commandArgs[0]);
-        const claudePrompt = promptArgs.join(' ');
+      case 'sessions': {
+        const subcommand = (commandArgs[0] || 'list').toLowerCase();
+        const { flags, positionals } = parseFlags(commandArgs.slice(1), { ...CLAUDE_FLAGS, ...SHELL_FLAGS, force: 'boolean' });
+
+        if (subcommand === 'list' || subcommand === 'ls') {
+          if (!sessionsListCommand()) process.exit(1);
+        } else if (subcommand === 'resume') {
+          if (positionals.length === 0) {
+            console.log(color('red', '❌ Please specify a sandbox name'));
+            console.log(color('yellow', 'Usage: npx sandboxbox sessions resume <id> [run|shell|claude] [cmd]'));
+            process.exit(1);
+          }
+          const [id, mode = 'shell', ...rest] = positionals;
+          const resumeFlags = {
+            ...flags,
+            useHostSettings: Boolean(flags.host),
+            headlessMode: Boolean(flags.headless)
+          };
+          if (!(await sessionsResumeCommand(id, mode.toLowerCase(), rest, resumeFlags))) process.exit(process.exitCode || 1);
+        } else if (subcommand === 'rm' || subcommand === 'remove') {
+          if (positionals.length === 0) {
+            console.log(color('red', '❌ Please specify a sandbox name'));
+            console.log(color('yellow', 'Usage: npx sandboxbox sessions rm <id> [--force]'));
+            process.exit(1);
+          }
+          if (!positionals.map(id => sessionsRemoveCommand(id, flags)).every(Boolean)) process.exit(1);
+        } else {
+          console.log(color('red', `❌ Unknown sessions command: ${subcommand}`));
+          console.log(color('yellow', 'Usage: npx sandboxbox sessions <list|resume|rm>'));
+          process.exit(1);
+        }
+        break;
+      }
+
+      case 'config': {
+        const subcommand = (commandArgs[0] || 'show').toLowerCase();
+        const { flags, positionals } = parseFlags(commandArgs.slice(1), SANDBOX_FLAGS);
+
+        if (subcommand !== 'show') {
+          console.log(color('red', `❌ Unknown config command: ${subcommand}`));
+          console.log(color('yellow', 'Usage: npx sandboxbox config show [project-dir]'));
+          process.exit(1);
+        }
+        const configProjectDir = resolve(process.cwd(), positionals[0] || '.');
+        if (!configShowCommand(configProjectDir, flags)) process.exit(1);
+        break;
+      }
+
+      case 'replay': {
+        const { flags, positionals } = parseFlags(commandArgs, { 'tools-only': 'boolean', 'text-only': 'boolean', speed: 'string', verbose: 'boolean' });
+        if (!(await replayCommand(positionals[0], flags))) process.exit(1);
+        break;
+      }
+
+      case 'review': {
+        const { flags, positionals } = parseFlags(commandArgs, { apply: 'boolean', file: 'list', discard: 'boolean', stat: 'boolean', force: 'boolean' });
+        if (positionals.length === 0) {
+          console.log(color('red', '❌ Please specify a sandbox name'));
+          console.log(color('yellow', 'Usage: npx sandboxbox review <id> [--apply] [--file <path>] [--discard [--force]] [--stat]'));
+          process.exit(1);
+        }
+        if (!(await reviewCommand(positionals[0], flags))) process.exit(1);
+        break;
+      }
 
-        if (!(await claudeCommand(claudeProjectDir, claudePrompt, flags))) process.exit(1);
+      case 'doctor': {
+        const { flags, positionals } = parseFlags(commandArgs, { 'host-git': 'boolean', fix: 'boolean' });
+        const doctorProjectDir = positionals[0] ? resolve(process.cwd(), positionals[0]) : null;
+        if (!doctorCommand(doctorProjectDir, flags)) process.exit(1);
         break;
+      }
 
       case 'version':
         if (!versionCommand()) process.exit(1);
@@ -0,0 +1,13 @@
+// The Node API of sandboxbox, which the CLI (cli.js) is built on:
+//
+//   import { runClaude } from 'sandboxbox';
+//   const claude = runClaude('./project', 'Fix the failing test', { network: 'allowlist', maxCost: 2 });
+//   claude.on('toolCall', ({ name }) => console.log(name));
+//   const result = await claude;
+//
+// Options are the CLI flags in camelCase. Runs report through their events
+// instead of printing; see "Node API" in the README.
+export { createSandbox, run, SandboxRun } from './utils/runs.js';
+export { runClaude, SESSION_EXIT_CODES } from './utils/claude-runner.js';
+export { LIMIT_EXIT_CODES } from './utils/limits.js';
+export { listSessions, getSession } from './utils/sessions.js';
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { run } from '../index.js';
+
+let homeDir;
+let projectDir;
+const savedEnv = { ...process.env };
+
+before(() => {
+  // A home of its own, with the git identity sandboxes copy into their workspace
+  homeDir = mkdtempSync(join(tmpdir(), 'sandboxbox-home-'));
+  projectDir = mkdtempSync(join(tmpdir(), 'sandboxbox-project-'));
+  process.env.HOME = homeDir;
+  process.env.SANDBOXBOX_HOME = join(homeDir, '.sandboxbox');
+  writeFileSync(join(homeDir, '.gitconfig'), '[user]\n\tname = Test\n\temail = test@example.com\n[color]\n\tui = auto\n');
+  writeFileSync(join(projectDir, 'hello.txt'), 'hello\n');
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(homeDir, { recursive: true, force: true });
+  rmSync(projectDir, { recursive: true, force: true });
+});
+
+const options = { isolation: 'none', ports: '0', stdio: 'ignore', handleSignals: true };
+
+test('two runs in the same process both succeed and leave nothing behind', async () => {
+  const listeners = process.listenerCount('SIGINT');
+
+  const first = await run(projectDir, 'test -f hello.txt', options);
+  assert.equal(first.success, true, first.error);
+  const second = await run(projectDir, 'exit 3', options);
+  assert.equal(second.exitCode, 3);
+  const third = await run(projectDir, 'cat hello.txt', options);
+  assert.equal(third.success, true, third.error);
+
+  assert.equal(process.listenerCount('SIGINT'), listeners);
+  assert.equal(first.sandbox, null);
+});
+
+test('stop() ends the command of a run', async () => {
+  const sandboxRun = run(projectDir, 'sleep 30', options);
+  let sandboxDir = null;
+  sandboxRun.on('sandbox', (sandbox) => {
+    sandboxDir = sandbox.sandboxDir;
+  });
+  sandboxRun.on('command', () => setTimeout(() => sandboxRun.stop(), 200));
+
+  const result = await sandboxRun;
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Command stopped');
+  assert.ok(result.durationMs < 10000);
+  assert.equal(existsSync(sandboxDir), false);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFlags, formatFlags } from '../utils/args.js';
+
+const SPEC = { keep: 'boolean', name: 'string', env: 'list', 'workspace-mode': 'string' };
+
+test('parseFlags reads booleans, strings and lists in camelCase', () => {
+  const { flags, positionals } = parseFlags(['./app', '--keep', '--name', 'demo', '--env=A=1', '--env', 'B=2', '--workspace-mode=full'], SPEC);
+  assert.deepEqual(flags, { keep: true, name: 'demo', env: ['A=1', 'B=2'], workspaceMode: 'full' });
+  assert.deepEqual(positionals, ['./app']);
+});
+
+test('parseFlags negates booleans with --no- and --flag=false', () => {
+  assert.deepEqual(parseFlags(['--no-keep'], SPEC).flags, { keep: false });
+  assert.deepEqual(parseFlags(['--keep=false'], SPEC).flags, { keep: false });
+});
+
+test('parseFlags leaves unknown flags and everything after -- to the command', () => {
+  const { flags, positionals } = parseFlags(['npm', '--silent', 'test', '--', '--keep'], SPEC);
+  assert.deepEqual(flags, {});
+  assert.deepEqual(positionals, ['npm', '--silent', 'test', '--keep']);
+});
+
+test('parseFlags rejects a missing value', () => {
+  assert.throws(() => parseFlags(['--name'], SPEC), /Missing value for --name/);
+});
+
+test('formatFlags turns parsed flags back into arguments', () => {
+  const args = ['--no-keep', '--name=demo', '--env=A=1', '--env=B=2'];
+  assert.deepEqual(formatFlags(parseFlags(args, SPEC).flags, SPEC), args);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBudget, createBudgetTracker, describeBudget } from '../utils/budget.js';
+
+const assistant = (id, content = [], usage = { input_tokens: 0, output_tokens: 0 }) => ({
+  type: 'assistant',
+  message: { id, model: 'claude-sonnet', usage, content }
+});
+
+test('parseBudget returns null without a budget and validates each one', () => {
+  assert.equal(parseBudget({}), null);
+  assert.deepEqual(parseBudget({ maxCost: 0.5, maxTurns: 3, maxDuration: '2m', maxToolCalls: 10 }), {
+    maxCost: 0.5,
+    maxTurns: 3,
+    maxDurationMs: 120000,
+    maxToolCalls: 10
+  });
+  assert.throws(() => parseBudget({ maxCost: 0 }), /--max-cost/);
+  assert.throws(() => parseBudget({ maxTurns: 1.5 }), /--max-turns/);
+  assert.throws(() => parseBudget({ maxDuration: 'soon' }), /--max-duration/);
+});
+
+test('a message repeated per content block counts as one turn', () => {
+  const tracker = createBudgetTracker(parseBudget({ maxTurns: 1 }));
+  assert.equal(tracker.record(assistant('m1', [{ type: 'text', text: 'hi' }])), null);
+  assert.equal(tracker.record(assistant('m1', [{ type: 'tool_use', name: 'Bash' }])), null);
+  assert.equal(tracker.usage.turns, 1);
+  assert.equal(tracker.usage.toolCalls, 1);
+  assert.equal(tracker.record(assistant('m2')), 'turns');
+});
+
+test('the cost is estimated from usage until the result reports it', () => {
+  const tracker = createBudgetTracker(parseBudget({ maxCost: 1 }));
+  // A million output tokens of Sonnet is $15
+  assert.equal(tracker.record(assistant('m1', [], { input_tokens: 0, output_tokens: 1e6 })), 'cost');
+  assert.equal(tracker.usage.costUsd, 15);
+  assert.equal(tracker.record({ type: 'result', total_cost_usd: 0.25 }), null);
+  assert.equal(tracker.usage.costUsd, 0.25);
+});
+
+test('tool calls and usage are tracked without a budget', () => {
+  const tracker = createBudgetTracker(null);
+  tracker.record(assistant('m1', [{ type: 'tool_use' }, { type: 'tool_use' }]));
+  assert.equal(tracker.exceeded(), null);
+  assert.equal(tracker.usage.toolCalls, 2);
+  assert.equal(tracker.remainingMs(), null);
+});
+
+test('describeBudget says which budget was exceeded and by how much', () => {
+  const budget = parseBudget({ maxCost: 0.5, maxToolCalls: 2, maxDuration: '90s' });
+  const usage = { costUsd: 0.521, turns: 4, toolCalls: 3, durationMs: 0 };
+  assert.equal(describeBudget('cost', budget, usage), 'cost $0.5210 exceeded --max-cost $0.5');
+  assert.equal(describeBudget('toolCalls', budget, usage), '3 tool calls exceeded --max-tool-calls 2');
+  assert.equal(describeBudget('duration', budget, usage), 'running time exceeded --max-duration 90s');
+});
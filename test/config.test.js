@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig, validateConfig, configFromFlags, DEFAULT_GITIGNORE } from '../utils/config.js';
+
+let dataDir;
+let projectDir;
+const savedEnv = { ...process.env };
+
+before(() => {
+  // Keep the user config and environment overrides of whoever runs the tests out
+  dataDir = mkdtempSync(join(tmpdir(), 'sandboxbox-data-'));
+  projectDir = mkdtempSync(join(tmpdir(), 'sandboxbox-project-'));
+  process.env.SANDBOXBOX_HOME = dataDir;
+  for (const name of ['SANDBOX_WORKSPACE_MODE', 'SANDBOX_ENV_MODE', 'SANDBOX_BACKEND', 'SANDBOX_ISOLATION', 'SANDBOX_NETWORK']) {
+    delete process.env[name];
+  }
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(dataDir, { recursive: true, force: true });
+  rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('validateConfig lists every problem', () => {
+  assert.deepEqual(validateConfig({ workspaceMode: 'deep', setup: 'npm ci', unknown: 1, env: { set: { A: 1 } } }), [
+    'workspaceMode must be one of: shallow, full, reference, worktree',
+    'setup must be an array of strings',
+    'unknown is not a known setting',
+    'env.set.A must be a string'
+  ]);
+  assert.deepEqual(validateConfig({ $schema: 'x', limits: { timeout: null } }), []);
+});
+
+test('loadConfig falls back to the defaults', () => {
+  const { config, sources } = loadConfig(projectDir);
+  assert.equal(config.workspaceMode, 'shallow');
+  assert.deepEqual(config.gitignore, DEFAULT_GITIGNORE);
+  assert.equal(sources.workspaceMode, 'default');
+});
+
+test('loadConfig layers the user and project configs, the environment and the flags', (t) => {
+  mkdirSync(dataDir, { recursive: true });
+  writeFileSync(join(dataDir, 'config.json'), JSON.stringify({ excludes: ['*.tmp'], env: { set: { A: 'user', B: 'user' } } }));
+  writeFileSync(join(projectDir, 'sandboxbox.config.json'), JSON.stringify({
+    excludes: ['dist/'],
+    workspaceMode: 'full',
+    env: { set: { B: 'project' }, files: ['.env'] }
+  }));
+  process.env.SANDBOX_NETWORK = 'none';
+  t.after(() => {
+    rmSync(join(dataDir, 'config.json'));
+    rmSync(join(projectDir, 'sandboxbox.config.json'));
+    delete process.env.SANDBOX_NETWORK;
+  });
+
+  const { config, sources } = loadConfig(projectDir, configFromFlags({ workspaceMode: 'reference', exclude: ['*.bak'] }));
+  // Lists are appended to, maps merged and plain values replaced
+  assert.deepEqual(config.excludes, ['*.tmp', 'dist/', '*.bak']);
+  assert.deepEqual(config.env.set, { A: 'user', B: 'project' });
+  assert.equal(config.workspaceMode, 'reference');
+  assert.equal(sources.workspaceMode, 'command line');
+  assert.equal(config.network.mode, 'none');
+  assert.equal(sources['network.mode'], 'environment');
+  // Paths are relative to the config that declared them
+  assert.deepEqual(config.env.files, [join(projectDir, '.env')]);
+});
+
+test('loadConfig names the file of an invalid config', (t) => {
+  const configPath = join(projectDir, '.sandboxboxrc');
+  writeFileSync(configPath, JSON.stringify({ copyMode: 'teleport' }));
+  t.after(() => rmSync(configPath));
+
+  assert.throws(() => loadConfig(projectDir), (error) => error.message.includes(configPath) && error.message.includes('copyMode must be one of'));
+});
+
+test('configFromFlags maps flags onto settings and leaves unset ones out', () => {
+  assert.deepEqual(configFromFlags({}), {});
+  assert.deepEqual(configFromFlags({ env: ['A=1'], network: 'allowlist', ports: '2', hostBranch: true }), {
+    hostBranch: true,
+    env: { set: { A: '1' } },
+    network: { mode: 'allowlist' },
+    ports: { count: 2 }
+  });
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { selectHostEnv, parseEnvFile, parseEnvAssignments } from '../utils/env.js';
+
+test('selectHostEnv keeps the host environment, an allowlist of it or nothing', (t) => {
+  process.env.SANDBOXBOX_TEST_VAR = 'secret';
+  t.after(() => delete process.env.SANDBOXBOX_TEST_VAR);
+
+  assert.equal(selectHostEnv('inherit').SANDBOXBOX_TEST_VAR, 'secret');
+  const allowlisted = selectHostEnv('allowlist');
+  assert.equal(allowlisted.SANDBOXBOX_TEST_VAR, undefined);
+  assert.equal(allowlisted.PATH, process.env.PATH);
+  assert.equal(selectHostEnv('allowlist', ['SANDBOXBOX_TEST_VAR']).SANDBOXBOX_TEST_VAR, 'secret');
+  assert.deepEqual(Object.keys(selectHostEnv('clean')), ['PATH']);
+});
+
+test('parseEnvFile reads dotenv syntax', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'sandboxbox-env-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, '.env');
+  writeFileSync(file, [
+    '# comment',
+    'PLAIN=value # trailing comment',
+    'export EXPORTED=1',
+    'DOUBLE="two\\nlines"',
+    "SINGLE='kept # as is'",
+    'EMPTY='
+  ].join('\n'));
+
+  assert.deepEqual(parseEnvFile(file), {
+    PLAIN: 'value',
+    EXPORTED: '1',
+    DOUBLE: 'two\nlines',
+    SINGLE: 'kept # as is',
+    EMPTY: ''
+  });
+});
+
+test('parseEnvFile names the bad line and a missing file', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'sandboxbox-env-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, '.env');
+  writeFileSync(file, 'OK=1\nnot a variable\n');
+
+  assert.throws(() => parseEnvFile(file), /Invalid line 2/);
+  assert.throws(() => parseEnvFile(join(dir, 'missing')), /Could not read env file/);
+});
+
+test('parseEnvAssignments splits at the first =', () => {
+  assert.deepEqual(parseEnvAssignments(['A=1', 'URL=http://x?a=b']), { A: '1', URL: 'http://x?a=b' });
+  assert.throws(() => parseEnvAssignments(['=1']), /Invalid --env value "=1"/);
+  assert.throws(() => parseEnvAssignments(['NOVALUE'], '--build-arg'), /Invalid --build-arg value/);
+});
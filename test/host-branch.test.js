@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import { run } from '../index.js';
+
+let homeDir;
+let projectDir;
+const savedEnv = { ...process.env };
+const git = (...args) => execFileSync('git', args, { cwd: projectDir, encoding: 'utf8', stdio: 'pipe' }).trim();
+
+before(() => {
+  homeDir = mkdtempSync(join(tmpdir(), 'sandboxbox-home-'));
+  projectDir = mkdtempSync(join(tmpdir(), 'sandboxbox-project-'));
+  process.env.HOME = homeDir;
+  process.env.SANDBOXBOX_HOME = join(homeDir, '.sandboxbox');
+  writeFileSync(join(homeDir, '.gitconfig'), '[user]\n\tname = Test\n\temail = test@example.com\n[color]\n\tui = auto\n');
+
+  git('init', '-q', '-b', 'main');
+  writeFileSync(join(projectDir, 'hello.txt'), 'hello\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'initial');
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(homeDir, { recursive: true, force: true });
+  rmSync(projectDir, { recursive: true, force: true });
+});
+
+const options = { isolation: 'none', ports: '0', stdio: 'ignore', handleSignals: true, hostBranch: true };
+
+test('unpushed commits land on the sandbox branch, not the checked-out one', async () => {
+  const head = git('rev-parse', 'HEAD');
+  const result = await run(projectDir, 'echo sandbox > hello.txt && git commit -q -am "from the sandbox"', { ...options, name: 'landing' });
+
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(result.hostBranch, { branch: 'sandboxbox/landing', commits: 1, error: null });
+  assert.equal(git('log', '-1', '--format=%s', 'sandboxbox/landing'), 'from the sandbox');
+  assert.equal(git('rev-parse', 'HEAD'), head);
+  assert.equal(git('branch', '--show-current'), 'main');
+  assert.equal(readFileSync(join(projectDir, 'hello.txt'), 'utf8'), 'hello\n');
+  assert.equal(git('status', '--porcelain'), '');
+});
+
+test('a push from the sandbox goes to its branch and the host config is left alone', async () => {
+  const result = await run(projectDir, 'git commit -q --allow-empty -m one && git push -q && git commit -q --allow-empty -m two', { ...options, name: 'pushed' });
+
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(result.hostBranch, { branch: 'sandboxbox/pushed', commits: 2, error: null });
+  assert.equal(git('log', '-1', '--format=%s', 'sandboxbox/pushed'), 'two');
+  assert.throws(() => git('config', '--get', 'receive.denyCurrentBranch'));
+});
+
+test('without commits the summary is empty', async () => {
+  const result = await run(projectDir, 'true', { ...options, name: 'idle' });
+  assert.deepEqual(result.hostBranch, { branch: 'sandboxbox/idle', commits: 0, error: null });
+  assert.throws(() => git('rev-parse', '--verify', 'sandboxbox/idle'));
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseIgnorePattern, loadIgnoreRules, isIgnored } from '../utils/ignore.js';
+
+const rules = (...lines) => lines.map(line => parseIgnorePattern(line)).filter(Boolean);
+
+test('parseIgnorePattern skips blank lines and comments', () => {
+  assert.equal(parseIgnorePattern(''), null);
+  assert.equal(parseIgnorePattern('# comment'), null);
+  assert.ok(parseIgnorePattern('\\#file'));
+});
+
+test('unanchored patterns match at any depth, anchored ones at the base', () => {
+  assert.equal(isIgnored('src/debug.log', false, rules('*.log')), true);
+  assert.equal(isIgnored('build', true, rules('/build')), true);
+  assert.equal(isIgnored('src/build', true, rules('/build')), false);
+  assert.equal(isIgnored('docs/api/index.md', false, rules('docs/*.md')), false);
+});
+
+test('directory patterns only match directories', () => {
+  assert.equal(isIgnored('node_modules', true, rules('node_modules/')), true);
+  assert.equal(isIgnored('node_modules', false, rules('node_modules/')), false);
+});
+
+test('** matches any number of directories', () => {
+  assert.equal(isIgnored('a/b/c/out.txt', false, rules('a/**/out.txt')), true);
+  assert.equal(isIgnored('a/out.txt', false, rules('a/**/out.txt')), true);
+  assert.equal(isIgnored('cache/x/y', false, rules('cache/**')), true);
+});
+
+test('the last matching rule wins, so negations re-include files', () => {
+  assert.equal(isIgnored('keep.log', false, rules('*.log', '!keep.log')), false);
+  assert.equal(isIgnored('other.log', false, rules('*.log', '!keep.log')), true);
+});
+
+test('loadIgnoreRules scopes the rules of nested ignore files to their directory', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'sandboxbox-ignore-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  mkdirSync(join(dir, 'sub'));
+  writeFileSync(join(dir, '.gitignore'), '*.log\n');
+  writeFileSync(join(dir, 'sub', '.sandboxboxignore'), 'secret.txt\n');
+
+  const loaded = [...loadIgnoreRules(dir), ...loadIgnoreRules(dir, 'sub')];
+  assert.equal(isIgnored('sub/debug.log', false, loaded), true);
+  assert.equal(isIgnored('sub/secret.txt', false, loaded), true);
+  assert.equal(isIgnored('secret.txt', false, loaded), false);
+});
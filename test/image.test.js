@@ -0,0 +1,112 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, chmodSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, delimiter } from 'path';
+import { buildImage, checkImage, ensureImageFresh, getSandboxboxVersion, HASH_LABEL, VERSION_LABEL } from '../utils/image.js';
+
+let rootDir;
+let dockerfile;
+let labelsFile;
+const savedEnv = { ...process.env };
+const runtime = { backend: 'docker', image: 'sandboxbox-test:latest' };
+
+// A stand-in engine: `build` stores the --label values, `image inspect` prints them
+const FAKE_ENGINE = `#!/usr/bin/env node
+const { writeFileSync, readFileSync, existsSync, appendFileSync } = require('fs');
+const labelsFile = process.env.FAKE_LABELS;
+const args = process.argv.slice(2);
+if (args[0] === 'build') {
+  appendFileSync(labelsFile + '.builds', JSON.stringify(args) + '\\n');
+  const labels = {};
+  args.forEach((arg, index) => {
+    if (args[index - 1] === '--label') labels[arg.slice(0, arg.indexOf('='))] = arg.slice(arg.indexOf('=') + 1);
+  });
+  writeFileSync(labelsFile, JSON.stringify(labels));
+} else if (args[0] === 'image' && existsSync(labelsFile)) {
+  process.stdout.write(readFileSync(labelsFile, 'utf8') + '\\n');
+} else {
+  process.exit(1);
+}
+`;
+
+before(() => {
+  rootDir = mkdtempSync(join(tmpdir(), 'sandboxbox-image-'));
+  writeFileSync(join(rootDir, 'docker'), FAKE_ENGINE);
+  chmodSync(join(rootDir, 'docker'), 0o755);
+  process.env.PATH = `${rootDir}${delimiter}${process.env.PATH}`;
+  dockerfile = join(rootDir, 'Dockerfile');
+  labelsFile = join(rootDir, 'labels.json');
+  process.env.FAKE_LABELS = labelsFile;
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(rootDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  writeFileSync(dockerfile, 'FROM node:20\n');
+  rmSync(labelsFile, { force: true });
+  rmSync(`${labelsFile}.builds`, { force: true });
+});
+
+const config = (build = {}) => ({ build: { dockerfile: null, args: {}, autoRebuild: false, ...build } });
+const builds = () => existsSync(`${labelsFile}.builds`) ? readFileSync(`${labelsFile}.builds`, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line)) : [];
+
+test('an image without labels is stale', () => {
+  assert.equal(checkImage('docker', runtime.image, config().build).stale, true);
+});
+
+test('args given only to build keep the image fresh at run time', () => {
+  buildImage('docker', { dockerfile, tag: runtime.image, buildArgs: { CLAUDE_CODE_VERSION: '1.0.0' }, stdio: 'ignore' });
+
+  const result = checkImage('docker', runtime.image, config().build);
+  assert.equal(result.stale, false, result.reason);
+  assert.equal(result.version, getSandboxboxVersion());
+  assert.equal(result.dockerfile, dockerfile);
+  assert.deepEqual(result.buildArgs, { CLAUDE_CODE_VERSION: '1.0.0' });
+});
+
+test('a changed Dockerfile, a conflicting config arg or another version make it stale', () => {
+  buildImage('docker', { dockerfile, tag: runtime.image, buildArgs: { TZ: 'UTC' }, stdio: 'ignore' });
+
+  assert.match(checkImage('docker', runtime.image, config({ args: { TZ: 'Europe/Paris' } }).build).reason, /different build args: TZ/);
+  assert.match(checkImage('docker', runtime.image, config({ dockerfile: join(rootDir, 'Other') }).build).reason, /built from .*Dockerfile, not .*Other/);
+
+  writeFileSync(dockerfile, 'FROM node:22\n');
+  assert.match(checkImage('docker', runtime.image, config().build).reason, /Dockerfile or build args changed/);
+  writeFileSync(dockerfile, 'FROM node:20\n');
+
+  const labels = JSON.parse(readFileSync(labelsFile, 'utf8'));
+  writeFileSync(labelsFile, JSON.stringify({ ...labels, [VERSION_LABEL]: '0.0.1' }));
+  assert.match(checkImage('docker', runtime.image, config().build).reason, /different sandboxbox version/);
+});
+
+test('a stale image is reported with a build command that keeps the pins', () => {
+  buildImage('docker', { dockerfile, tag: runtime.image, buildArgs: { CLAUDE_CODE_VERSION: '1.0.0' }, stdio: 'ignore' });
+  writeFileSync(dockerfile, 'FROM node:22\n');
+
+  const events = [];
+  ensureImageFresh(runtime, config(), (type, data) => events.push([type, data.message]));
+  assert.equal(events.length, 1);
+  assert.equal(events[0][0], 'warning');
+  assert.match(events[0][1], new RegExp(`Rebuild with: npx sandboxbox build ${dockerfile} --build-arg CLAUDE_CODE_VERSION=1\\.0\\.0 `));
+  assert.equal(builds().length, 1);
+});
+
+test('autoRebuild rebuilds with the labelled args and is then fresh', () => {
+  buildImage('docker', { dockerfile, tag: runtime.image, buildArgs: { CLAUDE_CODE_VERSION: '1.0.0' }, stdio: 'ignore' });
+  writeFileSync(dockerfile, 'FROM node:22\n');
+
+  const events = [];
+  ensureImageFresh(runtime, config({ autoRebuild: true }), (type) => events.push(type), 'ignore');
+  assert.deepEqual(events, ['warning', 'stage']);
+  assert.ok(builds()[1].includes('CLAUDE_CODE_VERSION=1.0.0'));
+
+  const labels = JSON.parse(readFileSync(labelsFile, 'utf8'));
+  assert.ok(labels[HASH_LABEL]);
+  events.length = 0;
+  ensureImageFresh(runtime, config({ autoRebuild: true }), (type) => events.push(type), 'ignore');
+  assert.deepEqual(events, []);
+});
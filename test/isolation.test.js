@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import { resolveIsolation, findExecutable, isolationMounts, wrapCommand } from '../utils/isolation.js';
+import { run } from '../index.js';
+
+let homeDir;
+let projectDir;
+const savedEnv = { ...process.env };
+const git = (...args) => execFileSync('git', args, { cwd: projectDir, encoding: 'utf8', stdio: 'pipe' }).trim();
+
+before(() => {
+  homeDir = mkdtempSync(join(tmpdir(), 'sandboxbox-home-'));
+  projectDir = mkdtempSync(join(tmpdir(), 'sandboxbox-project-'));
+  process.env.HOME = homeDir;
+  process.env.SANDBOXBOX_HOME = join(homeDir, '.sandboxbox');
+  writeFileSync(join(homeDir, '.gitconfig'), '[user]\n\tname = Test\n\temail = test@example.com\n[color]\n\tui = auto\n');
+
+  git('init', '-q', '-b', 'main');
+  writeFileSync(join(projectDir, 'hello.txt'), 'hello\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'initial');
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(homeDir, { recursive: true, force: true });
+  rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('unknown isolation modes are rejected', () => {
+  assert.throws(() => resolveIsolation('chroot'), /Unknown isolation mode "chroot"/);
+  assert.deepEqual(resolveIsolation('none'), { mode: 'none', backend: 'none', reason: null });
+});
+
+test('findExecutable searches the given PATH', () => {
+  assert.equal(findExecutable('sh', '/nonexistent:/bin'), '/bin/sh');
+  assert.equal(findExecutable('sandboxbox-no-such-command', '/bin'), null);
+});
+
+test('mounts drop nested paths and keep writable paths out of the read-only set', () => {
+  const sandboxDir = join(homeDir, 'sandbox');
+  const linked = join(homeDir, 'linked');
+  mkdirSync(join(sandboxDir, 'workspace'), { recursive: true });
+  mkdirSync(join(homeDir, 'tools', 'bin'), { recursive: true });
+  symlinkSync(join(homeDir, 'tools'), linked);
+
+  const mounts = isolationMounts(sandboxDir, { PATH: `${join(linked, 'bin')}:${homeDir}` }, [join(homeDir, 'tools'), join(homeDir, 'missing')], [join(sandboxDir, 'workspace')]);
+
+  assert.deepEqual(mounts.readWrite, [sandboxDir]);
+  assert.ok(mounts.readOnly.includes('/usr'));
+  assert.ok(mounts.readOnly.includes(join(homeDir, 'tools')));
+  assert.ok(mounts.readOnly.includes(join(linked, 'bin')));
+  assert.ok(!mounts.readOnly.includes(homeDir));
+  assert.ok(!mounts.readOnly.includes(join(homeDir, 'missing')));
+  assert.ok(!mounts.readOnly.includes(join(homeDir, 'tools', 'bin')));
+});
+
+test('the none backend runs the command as is', () => {
+  const wrapped = wrapCommand(['echo', 'hi'], { backend: 'none' });
+  assert.equal(wrapped.command, 'echo');
+  assert.deepEqual(wrapped.args, ['hi']);
+});
+
+const isolated = resolveIsolation('auto').backend;
+
+test('an isolated run sees only the sandbox and pushes to a host branch', { skip: isolated === 'none' && 'no namespace backend here' }, async () => {
+  const escape = join(projectDir, 'escaped.txt');
+  const result = await run(projectDir, [
+    `test ! -e ${join(projectDir, 'hello.txt')}`,
+    `test ! -e ${join(homeDir, '.gitconfig')}`,
+    // Paths outside the sandbox only exist on its own tmpfs root, if at all
+    `(touch ${escape} 2>/dev/null || true)`,
+    'echo sandbox > hello.txt',
+    'git commit -q -am "from the sandbox"',
+    'git push -q'
+  ].join(' && '), { isolation: isolated, ports: '0', stdio: 'ignore', handleSignals: true, name: 'isolated' });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(existsSync(escape), false);
+  assert.deepEqual(result.hostBranch, { branch: 'sandboxbox/isolated', commits: 1, error: null });
+  assert.equal(git('branch', '--show-current'), 'main');
+  assert.equal(git('status', '--porcelain'), '');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMemory, parseDuration, parseLimits, formatBytes, watchLimits } from '../utils/limits.js';
+
+test('parseMemory accepts units with or without a byte suffix', () => {
+  assert.equal(parseMemory('512'), 512);
+  assert.equal(parseMemory('512m'), 512 * 1024 ** 2);
+  assert.equal(parseMemory('1.5GiB'), 1.5 * 1024 ** 3);
+  assert.equal(parseMemory('2G'), 2 * 1024 ** 3);
+  assert.throws(() => parseMemory('lots'), /Invalid memory limit "lots"/);
+});
+
+test('parseDuration reads plain numbers as seconds', () => {
+  assert.equal(parseDuration('90'), 90000);
+  assert.equal(parseDuration('500ms'), 500);
+  assert.equal(parseDuration('10m'), 600000);
+  assert.equal(parseDuration('2h'), 7200000);
+  assert.throws(() => parseDuration('1d'), /Invalid timeout "1d"/);
+});
+
+test('parseLimits returns null without limits and validates cpus and pids', () => {
+  assert.equal(parseLimits({}), null);
+  assert.deepEqual(parseLimits({ timeout: '1m', memory: '1g', cpus: 1.5, pids: 64 }), {
+    timeoutMs: 60000,
+    memoryBytes: 1024 ** 3,
+    cpus: 1.5,
+    pids: 64
+  });
+  assert.throws(() => parseLimits({ cpus: 0 }), /Invalid CPU limit/);
+  assert.throws(() => parseLimits({ pids: 2.5 }), /Invalid process limit/);
+});
+
+test('formatBytes picks a readable unit', () => {
+  assert.equal(formatBytes(512 * 1024), '512 KB');
+  assert.equal(formatBytes(300 * 1024 ** 2), '300 MB');
+  assert.equal(formatBytes(1.5 * 1024 ** 3), '1.5 GB');
+});
+
+// This process uses far more than 1 MB, so its peak is always near the limit
+test('memory is only blamed for runs that were killed', { skip: process.platform !== 'linux' }, () => {
+  const limits = parseLimits({ memory: '1m' });
+  const failed = watchLimits({ pid: process.pid }, limits, { backend: 'timer' }).finish(1, null);
+  assert.equal(failed.limit, null);
+  assert.ok(failed.peak.memoryBytes > limits.memoryBytes);
+
+  assert.equal(watchLimits({ pid: process.pid }, limits, { backend: 'timer' }).finish(null, 'SIGKILL').limit, 'memory');
+  assert.equal(watchLimits({ pid: process.pid }, limits, { backend: 'timer' }).finish(137, null).limit, 'memory');
+});
+
+test('the process limit is only blamed where cgroups enforce it', { skip: process.platform !== 'linux' }, () => {
+  const limits = parseLimits({ pids: 1 });
+  assert.equal(watchLimits({ pid: process.pid }, limits, { backend: 'prlimit' }).finish(1, null).limit, null);
+});
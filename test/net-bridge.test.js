@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { createServer, connect } from 'net';
+import { fileURLToPath } from 'url';
+
+const bridgeScript = fileURLToPath(new URL('../utils/net-bridge.js', import.meta.url));
+
+function runBridge(args) {
+  return spawnSync(process.execPath, [bridgeScript, ...args], { encoding: 'utf8', timeout: 20000 });
+}
+
+test('the command exit code is passed through', () => {
+  assert.equal(runBridge(['--', 'sh', '-c', 'exit 4']).status, 4);
+  assert.equal(runBridge(['--', 'sh', '-c', 'kill -INT $$']).status, 130);
+  assert.equal(runBridge(['--', 'sh', '-c', 'kill -HUP $$']).status, 129);
+  assert.equal(runBridge(['--', 'sh', '-c', 'kill -KILL $$']).status, 137);
+});
+
+test('bad arguments print the usage', () => {
+  const result = runBridge(['--publish', '/tmp/x.sock']);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /^Usage: net-bridge\.js/);
+});
+
+test('the egress bridge sets the proxy variables', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sandboxbox-bridge-'));
+  try {
+    const result = runBridge(['--egress', join(dir, 'egress.sock'), '0', '--', 'sh', '-c', 'echo "$HTTPS_PROXY $NO_PROXY"']);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^http:\/\/127\.0\.0\.1:\d+ localhost,127\.0\.0\.1,::1$/m);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a published port is served on its socket and the socket is removed on exit', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sandboxbox-bridge-'));
+  const socketPath = join(dir, 'publish.sock');
+  const server = createServer(socket => socket.end('hello from the sandbox'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const bridge = spawn(process.execPath, [bridgeScript, '--publish', socketPath, String(server.address().port), '--', 'sleep', '30'], { stdio: 'ignore' });
+  try {
+    for (let attempt = 0; attempt < 100 && !existsSync(socketPath); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    const reply = await new Promise((resolve, reject) => {
+      let data = '';
+      const client = connect(socketPath);
+      client.on('data', chunk => { data += chunk; });
+      client.on('end', () => resolve(data));
+      client.on('error', reject);
+    });
+    assert.equal(reply, 'hello from the sandbox');
+
+    const exited = new Promise(resolve => bridge.on('exit', code => resolve(code)));
+    bridge.kill('SIGTERM');
+    assert.equal(await exited, 143);
+    assert.equal(existsSync(socketPath), false);
+  } finally {
+    bridge.kill('SIGKILL');
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
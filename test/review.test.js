@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import { snapshotWorkspace, getSandboxChanges, getSandboxDiff, applySandboxChanges } from '../utils/review.js';
+
+let rootDir;
+let projectDir;
+let workspaceDir;
+const savedEnv = { ...process.env };
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' });
+
+before(() => {
+  rootDir = mkdtempSync(join(tmpdir(), 'sandboxbox-review-'));
+  process.env.HOME = rootDir;
+  writeFileSync(join(rootDir, '.gitconfig'), '[user]\n\tname = Test\n\temail = test@example.com\n');
+
+  projectDir = join(rootDir, 'project');
+  workspaceDir = join(rootDir, 'workspace');
+  execFileSync('git', ['init', '-q', projectDir]);
+  writeFileSync(join(projectDir, 'a.txt'), 'one\n');
+  writeFileSync(join(projectDir, 'b.txt'), 'keep\n');
+  git(projectDir, 'add', '-A');
+  git(projectDir, 'commit', '-q', '-m', 'initial');
+  execFileSync('git', ['clone', '-q', projectDir, workspaceDir]);
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('changes, diff and apply cover only work done after the snapshot', () => {
+  // Carried-over dirty work is part of the baseline, not of the review
+  writeFileSync(join(workspaceDir, 'carried.txt'), 'from the host\n');
+  const workspace = snapshotWorkspace(workspaceDir);
+  assert.match(workspace.baseCommit, /^[0-9a-f]{40}$/);
+
+  writeFileSync(join(workspaceDir, 'a.txt'), 'one\ntwo\n');
+  git(workspaceDir, 'commit', '-q', '-am', 'edit a');
+  writeFileSync(join(workspaceDir, 'new.txt'), 'new\n');
+  rmSync(join(workspaceDir, 'b.txt'));
+
+  const { commits, files } = getSandboxChanges(workspaceDir, workspace);
+  assert.deepEqual(commits.map(commit => commit.subject), ['edit a']);
+  assert.deepEqual(files, [
+    { status: 'M', path: 'a.txt' },
+    { status: 'D', path: 'b.txt' },
+    { status: 'A', path: 'new.txt' }
+  ]);
+
+  assert.match(getSandboxDiff(workspaceDir, workspace, ['new.txt']), /^\+new$/m);
+  assert.doesNotMatch(getSandboxDiff(workspaceDir, workspace, ['new.txt']), /a\.txt/);
+
+  const result = applySandboxChanges(projectDir, workspaceDir, workspace, ['a.txt', 'new.txt']);
+  assert.deepEqual(result, { applied: true, conflicts: [] });
+  assert.equal(readFileSync(join(projectDir, 'a.txt'), 'utf8'), 'one\ntwo\n');
+  assert.equal(readFileSync(join(projectDir, 'new.txt'), 'utf8'), 'new\n');
+  assert.equal(existsSync(join(projectDir, 'b.txt')), true);
+  assert.equal(existsSync(join(projectDir, 'carried.txt')), false);
+});
+
+test('host edits to the same lines are left as conflicts', () => {
+  const workspace = snapshotWorkspace(workspaceDir);
+  writeFileSync(join(workspaceDir, 'b.txt'), 'sandbox\n');
+  writeFileSync(join(projectDir, 'b.txt'), 'host\n');
+  assert.throws(() => applySandboxChanges(projectDir, workspaceDir, workspace, ['b.txt']), /Commit or stash the host changes/);
+
+  git(projectDir, 'commit', '-q', '-m', 'host edit', 'b.txt');
+  const result = applySandboxChanges(projectDir, workspaceDir, workspace, ['b.txt']);
+  assert.deepEqual(result, { applied: true, conflicts: ['b.txt'] });
+  assert.match(readFileSync(join(projectDir, 'b.txt'), 'utf8'), /^<<<<<<< /m);
+});
+
+test('file names are never run by a shell', () => {
+  const workspace = snapshotWorkspace(workspaceDir);
+  const name = '$(touch escaped)';
+  writeFileSync(join(workspaceDir, name), 'payload\n');
+
+  assert.match(getSandboxDiff(workspaceDir, workspace, [name]), /^\+payload$/m);
+  getSandboxDiff(workspaceDir, workspace, [name], { stat: true });
+  assert.equal(existsSync(join(workspaceDir, 'escaped')), false);
+});
+
+test('a sandbox without a recorded baseline cannot be reviewed', () => {
+  assert.throws(() => getSandboxChanges(workspaceDir, {}), /no recorded baseline/);
+});
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getSessionsDir, getSession, saveSession, removeSession, markRunning, clearRunning, listRunning, isValidSessionId } from '../utils/sessions.js';
+
+let dataDir;
+const savedEnv = { ...process.env };
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'sandboxbox-data-'));
+  process.env.SANDBOXBOX_HOME = dataDir;
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+function keptSandbox(id) {
+  const sandboxDir = join(getSessionsDir(), id);
+  mkdirSync(join(sandboxDir, 'workspace'), { recursive: true });
+  saveSession(id, { projectDir: dataDir, sandboxDir });
+  return sandboxDir;
+}
+
+test('session ids are checked before they become paths', () => {
+  assert.equal(isValidSessionId('fix-tests'), true);
+  assert.equal(isValidSessionId('../escape'), false);
+  assert.equal(isValidSessionId(''), false);
+});
+
+test('saveSession merges fields and keeps the creation time', () => {
+  const sandboxDir = keptSandbox('merge');
+  const created = getSession('merge').createdAt;
+  saveSession('merge', { lastCommand: 'npm test' });
+  assert.deepEqual({ ...getSession('merge'), lastUsedAt: null }, {
+    id: 'merge',
+    createdAt: created,
+    projectDir: dataDir,
+    sandboxDir,
+    lastCommand: 'npm test',
+    lastUsedAt: null
+  });
+});
+
+test('removeSession deletes the sandbox and its record', () => {
+  const sandboxDir = keptSandbox('idle');
+  assert.equal(removeSession('idle'), true);
+  assert.equal(existsSync(sandboxDir), false);
+  assert.equal(getSession('idle'), null);
+  assert.equal(removeSession('idle'), false);
+});
+
+test('a sandbox in use is only removed with force', () => {
+  const sandboxDir = keptSandbox('busy');
+  markRunning('busy', { sandboxDir });
+  try {
+    assert.deepEqual(listRunning().map(entry => entry.id), ['busy']);
+    assert.throws(() => removeSession('busy'), new RegExp(`in use by process ${process.pid}.*--force`));
+    assert.equal(existsSync(sandboxDir), true);
+
+    assert.equal(removeSession('busy', { force: true }), true);
+    assert.equal(existsSync(sandboxDir), false);
+  } finally {
+    clearRunning('busy');
+  }
+  assert.deepEqual(listRunning(), []);
+});
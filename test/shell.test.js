@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, appendFileSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { spawnSync } from 'child_process';
+import { shellLauncher, writeShellRcFiles, startShellHistory, shellEnv } from '../utils/shell.js';
+
+let dataDir;
+let sandboxDir;
+const savedEnv = { ...process.env };
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'sandboxbox-data-'));
+  sandboxDir = mkdtempSync(join(tmpdir(), 'sandboxbox-sandbox-'));
+  process.env.SANDBOXBOX_HOME = dataDir;
+});
+
+after(() => {
+  process.env = savedEnv;
+  rmSync(dataDir, { recursive: true, force: true });
+  rmSync(sandboxDir, { recursive: true, force: true });
+});
+
+test('the launcher falls back to /bin/sh when the shell is not installed', () => {
+  const result = spawnSync('sh', ['-c', shellLauncher(false)], {
+    input: 'echo "$SHELL"\n',
+    encoding: 'utf8',
+    env: { PATH: process.env.PATH, SANDBOXBOX_SHELL: 'sandboxbox-no-such-shell' },
+    timeout: 10000
+  });
+  assert.equal(result.stdout.trim(), '/bin/sh');
+});
+
+test('rc files are written once and never replace the sandbox user\'s own', () => {
+  writeFileSync(join(sandboxDir, '.zshrc'), 'own\n');
+  writeShellRcFiles(sandboxDir);
+  assert.match(readFileSync(join(sandboxDir, '.bashrc'), 'utf8'), /^PS1='\(\$\{SANDBOXBOX_PROMPT\}\) /m);
+  assert.equal(readFileSync(join(sandboxDir, '.zshrc'), 'utf8'), 'own\n');
+});
+
+test('shellEnv marks attached shells in the prompt', () => {
+  assert.deepEqual(shellEnv(sandboxDir, 'fix-tests', { shell: 'zsh', attached: true }), {
+    SANDBOXBOX_ID: 'fix-tests',
+    SANDBOXBOX_PROMPT: 'sandboxbox:fix-tests attached',
+    ENV: join(sandboxDir, '.shrc'),
+    SANDBOXBOX_SHELL: 'zsh'
+  });
+  assert.equal(shellEnv(sandboxDir, 'fix-tests').SANDBOXBOX_SHELL, undefined);
+});
+
+test('history is seeded per project and gets the new commands of each shell', () => {
+  const first = startShellHistory('/work/app', sandboxDir);
+  assert.equal(readFileSync(first.env.HISTFILE, 'utf8'), '');
+  appendFileSync(first.env.HISTFILE, 'npm test\ngit status\n');
+  first.finish();
+
+  const second = startShellHistory('/work/app', sandboxDir);
+  assert.equal(readFileSync(second.env.HISTFILE, 'utf8'), 'npm test\ngit status\n');
+  appendFileSync(second.env.HISTFILE, 'npm run lint\n');
+  second.finish();
+
+  assert.equal(readFileSync(startShellHistory('/work/app', sandboxDir).env.HISTFILE, 'utf8'), 'npm test\ngit status\nnpm run lint\n');
+  assert.equal(readFileSync(startShellHistory('/other/app', sandboxDir).env.HISTFILE, 'utf8'), '');
+  assert.equal(readdirSync(join(dataDir, 'history')).length, 1);
+});
@@ -0,0 +1,80 @@
+// Minimal flag parser shared by the CLI commands.
+// `spec` maps flag names to 'boolean', 'string' or 'list'; booleans can be
+// negated with a `--no-` prefix. Unknown flags are
+// left in the positionals so they can be passed through to the sandboxed command.
+export function parseFlags(args, spec = {}) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    // Everything after a bare `--` belongs to the sandboxed command
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    const name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    const inlineValue = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+    const type = spec[name];
+
+    if (!type && name.startsWith('no-') && spec[name.slice(3)] === 'boolean' && inlineValue === undefined) {
+      flags[toCamelCase(name.slice(3))] = false;
+      continue;
+    }
+
+    if (!type) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const key = toCamelCase(name);
+
+    if (type === 'boolean') {
+      flags[key] = inlineValue === undefined ? true : inlineValue !== 'false';
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`);
+    }
+
+    if (type === 'list') {
+      flags[key] = [...(flags[key] || []), value];
+    } else {
+      flags[key] = value;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// The inverse of parseFlags: turn parsed `flags` back into arguments, e.g. to
+// hand the same options to a child sandboxbox process
+export function formatFlags(flags, spec = {}) {
+  const args = [];
+  for (const [name, type] of Object.entries(spec)) {
+    const value = flags[toCamelCase(name)];
+    if (value === undefined) continue;
+    if (type === 'boolean') {
+      args.push(value ? `--${name}` : `--no-${name}`);
+    } else if (type === 'list') {
+      args.push(...value.map(item => `--${name}=${item}`));
+    } else {
+      args.push(`--${name}=${value}`);
+    }
+  }
+  return args;
+}
@@ -0,0 +1,112 @@
+import { existsSync, readdirSync, mkdirSync, copyFileSync, readFileSync, writeFileSync, rmSync, statSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { createHash } from 'crypto';
+import { parseIgnorePattern } from './ignore.js';
+
+// Searched only when a pattern names them, e.g. "node_modules/.cache/report.html"
+const SKIPPED_DIRS = ['.git', 'node_modules'];
+
+// Patterns use .gitignore syntax relative to the workspace root: "*.png"
+// matches anywhere, "test-results/" takes a whole directory, "!" excludes
+function compilePatterns(patterns) {
+  return patterns.map(pattern => parseIgnorePattern(pattern)).filter(Boolean);
+}
+
+// The last matching pattern decides, as in .gitignore; null when none matches
+function matchPatterns(rules, relativePath, isDirectory) {
+  let result = null;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) result = !rule.negate;
+  }
+  return result;
+}
+
+function namesSkippedDir(patterns, name) {
+  return patterns.some(pattern => pattern.replace(/^\//, '').split('/')[0] === name);
+}
+
+// Relative paths (forward slashes) of the workspace files matching the patterns
+export function collectArtifacts(workspaceDir, patterns) {
+  const rules = compilePatterns(patterns);
+  const files = [];
+
+  function walk(relativeDir, matched) {
+    let entries;
+    try {
+      entries = readdirSync(join(workspaceDir, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+      if (!relativeDir && SKIPPED_DIRS.includes(entry.name) && !namesSkippedDir(patterns, entry.name)) continue;
+
+      // Everything inside a matched directory is taken unless excluded again
+      const included = matchPatterns(rules, relativePath, isDirectory) ?? matched;
+
+      if (isDirectory) {
+        walk(relativePath, included);
+      } else if (entry.isFile() && included) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  walk('', false);
+  return files.sort();
+}
+
+// Copy the matching workspace files to `<targetDir>` (replacing an earlier
+// export there) and write manifest.json listing each file's size and sha256.
+// Returns { dir, files, bytes }, or null when nothing matched.
+export function exportArtifacts(sandboxDir, targetDir, patterns, details = {}) {
+  const workspaceDir = join(sandboxDir, 'workspace');
+  const paths = collectArtifacts(workspaceDir, patterns);
+  if (paths.length === 0) return null;
+
+  const dir = resolve(targetDir);
+  rmSync(dir, { recursive: true, force: true });
+
+  const files = paths.map(path => {
+    const source = join(workspaceDir, path);
+    const target = join(dir, path);
+    mkdirSync(dirname(target), { recursive: true });
+    copyFileSync(source, target);
+    return {
+      path,
+      size: statSync(source).size,
+      sha256: createHash('sha256').update(readFileSync(source)).digest('hex')
+    };
+  });
+
+  writeFileSync(join(dir, 'manifest.json'), JSON.stringify({
+    ...details,
+    exportedAt: new Date().toISOString(),
+    patterns,
+    artifacts: files
+  }, null, 2));
+
+  return { dir, files, bytes: files.reduce((total, file) => total + file.size, 0) };
+}
+
+// Export the artifacts configured for a sandbox into `<artifacts.dir>/<id>`,
+// the directory being relative to the project unless configured otherwise.
+// Returns exportArtifacts()'s result, { error } when copying failed, or null
+// when no artifacts are configured.
+export function exportSandboxArtifacts(config, projectDir, sandboxDir, id, details = {}) {
+  const { paths, dir } = config.artifacts;
+  if (paths.length === 0 || !existsSync(join(sandboxDir, 'workspace'))) return null;
+  try {
+    const rootDir = resolve(projectDir, dir);
+    const targetDir = join(rootDir, id);
+    // Keeps exported artifacts out of the project's git status (and out of --include-dirty)
+    mkdirSync(rootDir, { recursive: true });
+    if (!existsSync(join(rootDir, '.gitignore'))) writeFileSync(join(rootDir, '.gitignore'), '*\n');
+    return exportArtifacts(sandboxDir, targetDir, paths, { sandbox: id, project: projectDir, ...details }) || { files: [], patterns: paths };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
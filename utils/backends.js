@@ -0,0 +1,186 @@
+import { spawnSync, execFileSync } from 'child_process';
+import { basename } from 'path';
+import { resolveIsolation, findExecutable } from './isolation.js';
+import { BRIDGE_SCRIPT, BRIDGE_FILES, bridgeArgs } from './network.js';
+
+//   auto    - a container engine when the sandboxbox image has been built, otherwise process
+//   process - host processes, confined by the isolation backend
+//   podman  - the built image, run with podman
+//   docker  - the built image, run with docker
+export const BACKENDS = ['auto', 'process', 'podman', 'docker'];
+
+export const CONTAINER_ENGINES = ['podman', 'docker'];
+
+export const DEFAULT_IMAGE = 'sandboxbox:latest';
+
+// Variables describing where the client finds its own configuration; the
+// container gets the sandbox values, the engine's CLI keeps the host ones
+const CLIENT_ENV_VARS = ['HOME', 'USERPROFILE', 'XDG_CONFIG_HOME', 'XDG_DATA_HOME', 'XDG_CACHE_HOME', 'XDG_RUNTIME_DIR'];
+
+// Variables the image or its shell set for themselves
+const IMAGE_ENV_VARS = ['PATH', 'HOSTNAME', 'SHELL', 'PWD', 'OLDPWD', 'SHLVL', '_'];
+
+// Label marking which sandbox a container belongs to, used by `attach`
+const SANDBOX_LABEL = 'sandboxbox.sandbox';
+
+export function findEngine() {
+  return CONTAINER_ENGINES.find(engine => findExecutable(engine)) || null;
+}
+
+export function imageExists(engine, image) {
+  const args = engine === 'podman' ? ['image', 'exists', image] : ['image', 'inspect', image];
+  return spawnSync(engine, args, { stdio: 'ignore', timeout: 15000 }).status === 0;
+}
+
+// Pick the execution backend. Returns { name, reason } where reason explains
+// why auto did not pick a container.
+export function resolveBackend(mode = 'auto', image = DEFAULT_IMAGE) {
+  if (!BACKENDS.includes(mode)) {
+    throw new Error(`Unknown backend "${mode}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+
+  if (mode === 'process') {
+    return { name: 'process', reason: null };
+  }
+
+  if (mode !== 'auto') {
+    if (!findExecutable(mode)) throw new Error(`Backend "${mode}" is not installed`);
+    if (!imageExists(mode, image)) throw new Error(`Image ${image} not found for ${mode}; build it with: npx sandboxbox build`);
+    return { name: mode, reason: null };
+  }
+
+  const installed = CONTAINER_ENGINES.filter(engine => findExecutable(engine));
+  const engine = installed.find(candidate => imageExists(candidate, image));
+  if (engine) return { name: engine, reason: null };
+
+  return {
+    name: 'process',
+    reason: installed.length > 0 ? `image ${image} has not been built (npx sandboxbox build)` : 'neither podman nor docker is installed'
+  };
+}
+
+// Resolve the backend and, for the process backend, the isolation around it.
+// Returns { mode, backend, reason, image } where backend is podman, docker or
+// one of the isolation backends.
+export function resolveRuntime(config) {
+  const backend = resolveBackend(config.backend, config.image);
+  if (backend.name !== 'process') {
+    return { mode: backend.name, backend: backend.name, reason: null, image: config.image };
+  }
+  return { ...resolveIsolation(config.isolation.mode), image: null, containerReason: backend.reason };
+}
+
+let containerCounter = 0;
+
+// Run argv in the image with the sandbox and the extra host paths mounted at
+// their host locations, so the workspace, HOME and git remotes keep working.
+// Returns { argv, env, kill(signal) } where env is the environment for the
+// engine's CLI.
+export function containerCommand(argv, options = {}) {
+  const {
+    backend: engine, image = DEFAULT_IMAGE, sandboxDir, cwd, env = {},
+    readOnly = [], readWrite = [], network = 'full', ports = [], limits = null, tty = false
+  } = options;
+
+  const name = `sandboxbox-${basename(sandboxDir).replace(/[^a-zA-Z0-9_.-]/g, '-')}-${process.pid}-${++containerCounter}`;
+  const uid = typeof process.getuid === 'function' ? process.getuid() : 0;
+  const gid = typeof process.getgid === 'function' ? process.getgid() : 0;
+
+  const args = ['run', '--rm', '-i', '--init', '--name', name, '--label', `${SANDBOX_LABEL}=${sandboxDir}`];
+  if (tty) args.push('-t');
+
+  // Files written to the mounted sandbox must stay owned by the host user
+  if (engine === 'podman') {
+    if (uid !== 0) args.push('--userns=keep-id');
+  } else {
+    args.push('--user', `${uid}:${gid}`);
+  }
+
+  args.push('-v', `${sandboxDir}:${sandboxDir}`);
+  readWrite.forEach(path => args.push('-v', `${path}:${path}`));
+  readOnly.forEach(path => args.push('-v', `${path}:${path}:ro`));
+  args.push('-w', cwd);
+
+  // Without a network the engine cannot publish ports; the bridge serves them on sockets instead
+  if (network !== 'full') {
+    args.push('--network', 'none');
+  } else {
+    ports.forEach(port => args.push('-p', `127.0.0.1:${port}:${port}`));
+  }
+  const bridge = bridgeArgs(sandboxDir, options);
+  if (bridge) {
+    BRIDGE_FILES.forEach(path => args.push('-v', `${path}:${path}:ro`));
+    argv = ['node', BRIDGE_SCRIPT, ...bridge, '--', ...argv];
+  }
+
+  if (limits) {
+    if (limits.memoryBytes !== null) args.push('--memory', String(limits.memoryBytes), '--memory-swap', String(limits.memoryBytes));
+    if (limits.cpus !== null) args.push('--cpus', String(limits.cpus));
+    if (limits.pids !== null) args.push('--pids-limit', String(limits.pids));
+  }
+
+  const forwarded = forwardEnv(env);
+
+  return {
+    argv: [engine, ...args, ...forwarded.args, image, ...argv],
+    env: forwarded.env,
+    kill: (signal) => {
+      try {
+        execFileSync(engine, ['kill', '--signal', signal, name], { stdio: 'ignore', timeout: 15000 });
+      } catch (error) {
+        // Already stopped
+      }
+    }
+  };
+}
+
+// `-e` arguments for the sandbox environment and the environment for the
+// engine's CLI. Values are passed through the CLI's environment so they never
+// show up in `ps`.
+function forwardEnv(env) {
+  const args = [];
+  const clientEnv = { ...env };
+  for (const variable of Object.keys(env)) {
+    if (IMAGE_ENV_VARS.includes(variable)) continue;
+    if (CLIENT_ENV_VARS.includes(variable)) {
+      args.push('-e', `${variable}=${env[variable]}`);
+    } else {
+      args.push('-e', variable);
+    }
+  }
+  for (const variable of [...CLIENT_ENV_VARS, 'PATH']) {
+    if (process.env[variable] !== undefined) clientEnv[variable] = process.env[variable];
+    else delete clientEnv[variable];
+  }
+  return { args, env: clientEnv };
+}
+
+// The running container of a sandbox as { engine, container }, or null
+export function findSandboxContainer(sandboxDir) {
+  for (const engine of CONTAINER_ENGINES.filter(candidate => findExecutable(candidate))) {
+    const result = spawnSync(engine, ['ps', '-q', '--filter', `label=${SANDBOX_LABEL}=${sandboxDir}`], {
+      encoding: 'utf8',
+      timeout: 15000
+    });
+    const container = result.status === 0 ? result.stdout.trim().split('\n')[0] : '';
+    if (container) return { engine, container };
+  }
+  return null;
+}
+
+// Run argv in an already running container. Returns { argv, env } like containerCommand().
+export function containerExecCommand(argv, options = {}) {
+  const { engine, container, cwd, env = {}, tty = false } = options;
+  const uid = typeof process.getuid === 'function' ? process.getuid() : 0;
+  const gid = typeof process.getgid === 'function' ? process.getgid() : 0;
+
+  const args = ['exec', '-i', '-w', cwd];
+  if (tty) args.push('-t');
+  if (engine === 'docker') args.push('--user', `${uid}:${gid}`);
+
+  const forwarded = forwardEnv(env);
+  return {
+    argv: [engine, ...args, ...forwarded.args, container, ...argv],
+    env: forwarded.env
+  };
+}
@@ -0,0 +1,140 @@
+import { parseDuration } from './limits.js';
+
+// Options naming each budget, for messages
+export const BUDGET_OPTIONS = {
+  cost: '--max-cost',
+  turns: '--max-turns',
+  duration: '--max-duration',
+  toolCalls: '--max-tool-calls'
+};
+
+// USD per million tokens, used to estimate the cost of a turn while it runs
+// until its result event reports the real cost. Unknown models are priced as
+// Sonnet; older Opus prices are used so the estimate errs on the high side.
+const MODEL_PRICES = [
+  { pattern: /opus/i, input: 15, output: 75 },
+  { pattern: /haiku/i, input: 1, output: 5 },
+  { pattern: /./, input: 3, output: 15 }
+];
+
+// Cache writes and reads relative to the input price
+const CACHE_WRITE_FACTOR = 1.25;
+const CACHE_READ_FACTOR = 0.1;
+
+function positiveInteger(value, option) {
+  if (value === null || value === undefined) return null;
+  if (!(Number.isInteger(value) && value > 0)) throw new Error(`Invalid ${option} "${value}" (expected a positive integer)`);
+  return value;
+}
+
+// The `budget` config section as { maxCost, maxTurns, maxDurationMs,
+// maxToolCalls }, or null when no budget is set
+export function parseBudget(config = {}) {
+  const budget = {
+    maxCost: config.maxCost ?? null,
+    maxTurns: positiveInteger(config.maxTurns, BUDGET_OPTIONS.turns),
+    maxDurationMs: null,
+    maxToolCalls: positiveInteger(config.maxToolCalls, BUDGET_OPTIONS.toolCalls)
+  };
+
+  if (budget.maxCost !== null && !(budget.maxCost > 0)) {
+    throw new Error(`Invalid ${BUDGET_OPTIONS.cost} "${config.maxCost}" (expected a positive amount of US dollars)`);
+  }
+  if (config.maxDuration !== null && config.maxDuration !== undefined) {
+    try {
+      budget.maxDurationMs = parseDuration(config.maxDuration);
+    } catch (error) {
+      throw new Error(`Invalid ${BUDGET_OPTIONS.duration} "${config.maxDuration}" (expected e.g. 90s, 10m or 2h)`);
+    }
+  }
+
+  return Object.values(budget).some(value => value !== null) ? budget : null;
+}
+
+function estimateCost(model = '', usage = {}) {
+  const price = MODEL_PRICES.find(candidate => candidate.pattern.test(model));
+  const inputTokens = (usage.input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) * CACHE_WRITE_FACTOR +
+    (usage.cache_read_input_tokens || 0) * CACHE_READ_FACTOR;
+  return (inputTokens * price.input + (usage.output_tokens || 0) * price.output) / 1e6;
+}
+
+// Follows the stream events of every turn of a session and says when one of
+// the budgets is exceeded. `budget` comes from parseBudget() and may be null,
+// in which case only the usage is tracked. `usage` holds { costUsd, turns,
+// toolCalls, durationMs }; turns are Claude's API round trips, i.e. distinct
+// assistant messages.
+export function createBudgetTracker(budget) {
+  const usage = { costUsd: 0, turns: 0, toolCalls: 0, durationMs: 0 };
+  // Estimated cost of the running turn's messages by message id; the stream
+  // repeats a message's usage with every content block
+  const messages = new Map();
+  let settledCost = 0;
+  let turnStartTime = null;
+
+  const elapsed = () => usage.durationMs + (turnStartTime === null ? 0 : Date.now() - turnStartTime);
+  const runningCost = () => [...messages.values()].reduce((total, cost) => total + cost, 0);
+
+  // The name of the budget that has been exceeded, or null
+  const exceeded = () => {
+    if (!budget) return null;
+    if (budget.maxCost !== null && usage.costUsd > budget.maxCost) return 'cost';
+    if (budget.maxTurns !== null && usage.turns > budget.maxTurns) return 'turns';
+    if (budget.maxToolCalls !== null && usage.toolCalls > budget.maxToolCalls) return 'toolCalls';
+    if (budget.maxDurationMs !== null && elapsed() > budget.maxDurationMs) return 'duration';
+    return null;
+  };
+
+  return {
+    usage,
+    exceeded,
+
+    startTurn() {
+      turnStartTime = Date.now();
+    },
+
+    endTurn() {
+      usage.durationMs = elapsed();
+      turnStartTime = null;
+      // A turn stopped before its result keeps its estimate
+      settledCost += runningCost();
+      messages.clear();
+      usage.costUsd = settledCost;
+    },
+
+    // Milliseconds until the duration budget runs out, or null without one
+    remainingMs() {
+      return budget && budget.maxDurationMs !== null ? Math.max(0, budget.maxDurationMs - elapsed()) : null;
+    },
+
+    // Count a stream event; returns the name of the exceeded budget, or null
+    record(event) {
+      if (event.type === 'assistant' && event.message) {
+        const { id, model, usage: messageUsage, content } = event.message;
+        if (!id || !messages.has(id)) usage.turns++;
+        if (id) messages.set(id, messageUsage ? estimateCost(model, messageUsage) : 0);
+        if (Array.isArray(content)) usage.toolCalls += content.filter(block => block.type === 'tool_use').length;
+      } else if (event.type === 'result' && typeof event.total_cost_usd === 'number') {
+        settledCost += event.total_cost_usd;
+        messages.clear();
+      }
+      usage.costUsd = settledCost + runningCost();
+      return exceeded();
+    }
+  };
+}
+
+// What a tripped budget was and how far the session got, e.g.
+// "cost $0.5210 exceeded --max-cost $0.50"
+export function describeBudget(name, budget, usage) {
+  switch (name) {
+    case 'cost':
+      return `cost $${usage.costUsd.toFixed(4)} exceeded ${BUDGET_OPTIONS.cost} $${budget.maxCost}`;
+    case 'turns':
+      return `${usage.turns} turns exceeded ${BUDGET_OPTIONS.turns} ${budget.maxTurns}`;
+    case 'toolCalls':
+      return `${usage.toolCalls} tool calls exceeded ${BUDGET_OPTIONS.toolCalls} ${budget.maxToolCalls}`;
+    default:
+      return `running time exceeded ${BUDGET_OPTIONS.duration} ${budget.maxDurationMs / 1000}s`;
+  }
+}
@@ -0,0 +1,507 @@
+import { existsSync, realpathSync } from 'fs';
+import { resolve, join, dirname } from 'path';
+import { execSync } from 'child_process';
+import { prepareSandboxCommand, spawnTracked, signalExitCode } from './sandbox.js';
+import { findExecutable } from './isolation.js';
+import { CONTAINER_ENGINES } from './backends.js';
+import { watchLimits, terminateProcess, LIMIT_EXIT_CODES } from './limits.js';
+import { parseBudget, createBudgetTracker, describeBudget } from './budget.js';
+import { getSession, listSessions, saveSession } from './sessions.js';
+import { getSandboxChanges, snapshotWorkspace } from './review.js';
+import { emptyUsage, addUsage } from './output.js';
+import { createTranscript } from './transcripts.js';
+import { SystemOptimizer } from './system-optimizer.js';
+import { SandboxRun, openSandbox } from './runs.js';
+
+// Claude needs its API settings even when the env mode filters the host environment
+const CLAUDE_ENV_VARS = ['ANTHROPIC_API_KEY', 'ANTHROPIC_AUTH_TOKEN', 'ANTHROPIC_BASE_URL', 'ANTHROPIC_MODEL'];
+
+// Makes undici's fetch global for claude; present in the sandboxbox image
+const FETCH_INIT_PATH = '/usr/local/lib/fetch-init.mjs';
+
+// Exit codes of sessions Claude ended without success
+export const SESSION_EXIT_CODES = { error: 1, maxTurns: 2, budget: 3 };
+
+// Hosts Claude must reach when the network is allowlisted
+function claudeNetworkHosts() {
+  const hosts = ['api.anthropic.com'];
+  try {
+    if (process.env.ANTHROPIC_BASE_URL) hosts.push(new URL(process.env.ANTHROPIC_BASE_URL).host);
+  } catch (error) {
+    // Claude reports an invalid base URL itself
+  }
+  return hosts;
+}
+
+// Overrides the push instructions of the bundled workflow when --no-auto-push is used
+const NO_PUSH_PREAMBLE = 'Commit your work but do not run `git push`: pushing to the host is disabled and your commits are reviewed there before they are applied.';
+
+// How a session ended by stop() is reported
+const STOPPED = { message: 'Session stopped', exitCode: signalExitCode('SIGTERM') };
+
+// Why a finished session failed, from how the process ended, its final result
+// event and the signal that interrupted the run, if any. Returns
+// { message, exitCode }, or null for a successful session.
+function sessionFailure(code, signal, result, interrupted) {
+  if (interrupted) {
+    return { message: `Session interrupted by ${interrupted}`, exitCode: signalExitCode(interrupted) };
+  }
+  if (signal) {
+    return { message: `Claude Code was killed by ${signal}`, exitCode: signalExitCode(signal) };
+  }
+  if (code !== 0) {
+    return { message: `Claude Code exited with code ${code}`, exitCode: code };
+  }
+  if (!result) {
+    return { message: 'Claude Code exited without a result', exitCode: SESSION_EXIT_CODES.error };
+  }
+  if (result.subtype === 'error_max_turns') {
+    return { message: `Session stopped at the maximum number of turns (${result.num_turns})`, exitCode: SESSION_EXIT_CODES.maxTurns };
+  }
+  if (result.is_error || result.subtype !== 'success') {
+    const detail = typeof result.result === 'string' && result.result ? result.result : result.subtype;
+    return { message: `Session ended in error: ${detail}`, exitCode: SESSION_EXIT_CODES.error };
+  }
+  return null;
+}
+
+// The kept sandbox and Claude conversation that --continue or --resume refer
+// to. `resume` is a sandbox name or a Claude session id, or with --name a
+// conversation in that sandbox; --continue takes the conversation last recorded
+// in the --name sandbox or the project's most recently used one.
+// Returns { session, claudeSessionId }.
+function findConversation(projectDir, { name, resume }) {
+  const sessions = listSessions().sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  let session;
+  let claudeSessionId;
+
+  if (resume && name) {
+    session = getSession(name);
+    claudeSessionId = resume;
+  } else if (resume) {
+    session = getSession(resume) || sessions.find(candidate => candidate.claudeSessionId?.startsWith(resume));
+    claudeSessionId = session?.claudeSessionId;
+  } else {
+    session = name
+      ? getSession(name)
+      : sessions.find(candidate => resolve(candidate.projectDir) === resolve(projectDir) && candidate.claudeSessionId);
+    claudeSessionId = session?.claudeSessionId;
+  }
+
+  if (!session) {
+    if (name || resume) throw new Error(`No kept sandbox or Claude conversation "${name || resume}"`);
+    throw new Error(`No kept sandbox of ${projectDir} has a Claude conversation (keep one with --name or --keep)`);
+  }
+  if (resolve(session.projectDir) !== resolve(projectDir)) {
+    throw new Error(`Sandbox "${session.id}" belongs to ${session.projectDir}, not ${projectDir}`);
+  }
+  if (!existsSync(join(session.sandboxDir, 'workspace'))) {
+    throw new Error(`Sandbox "${session.id}" no longer exists on disk: ${session.sandboxDir}`);
+  }
+  if (!claudeSessionId) {
+    throw new Error(`Sandbox "${session.id}" has no recorded Claude conversation`);
+  }
+  return { session, claudeSessionId };
+}
+
+// Commits and changed files since `baseline`, or none when it cannot be
+// compared (e.g. sandboxes created before review support)
+function sandboxChanges(workspaceDir, baseline) {
+  try {
+    return getSandboxChanges(workspaceDir, baseline);
+  } catch (error) {
+    return { commits: [], files: [] };
+  }
+}
+
+// Run Claude Code on `prompt` in a sandbox of `projectDir`, as `sandboxbox
+// claude` does, without printing anything. Returns a SandboxRun emitting:
+//   stage      - { stage, durationMs }: sandbox, environment, claude, session
+//   sandbox    - the sandbox handle, once its environment is set up
+//   setup      - { script } before each setup command
+//   prompt     - { text, preamble } sent to Claude
+//   raw        - each stream-json event exactly as Claude emitted it
+//   session    - { sessionId, model }
+//   text       - { text } written by Claude
+//   toolCall   - { id, name, input }
+//   toolResult - { id, name, input, isError, durationMs, content }
+//   result     - { subtype, isError, numTurns, durationMs, costUsd, usage } per turn
+//   turn       - { failure, limit, budget } after each turn; failure is { message, exitCode }
+//   budget     - { name, message } when a budget is exceeded
+//   commit     - { sha, subject, ... } per commit made during the run
+//   stderr     - { text } written by Claude to stderr
+//   warning    - { message }
+//   exit       - the summary the run resolves with
+// `options` are the CLI flags in camelCase, plus `stdio` for setup commands,
+// `handleSignals` to forward SIGINT/SIGTERM and `nextPrompt`, an async function
+// returning the next prompt of the conversation or null to end it (the REPL).
+// stop() ends the running turn and the session. The run rejects only when the
+// sandbox cannot be created; failures after that resolve with success false.
+export function runClaude(projectDir, prompt = '', options = {}) {
+  return new SandboxRun((claudeRun, onStop) => startClaude(claudeRun, onStop, projectDir, prompt, options));
+}
+
+async function startClaude(claudeRun, onStop, projectDir, prompt, options) {
+  const { nextPrompt = null, stdio, handleSignals, ...flags } = options;
+  const startTime = Date.now();
+
+  // Continuing a conversation re-enters the kept sandbox it happened in
+  const conversation = flags.continue || flags.resume ? findConversation(projectDir, flags) : null;
+  const resumeId = conversation ? conversation.claudeSessionId : null;
+
+  let transcript = null;
+  let budget = null;
+  const emit = (type, data) => {
+    // Stage timings are part of the transcript, as in --output ndjson
+    if (type === 'stage' && transcript) transcript.record('stage', data);
+    claudeRun.emit(type, data);
+  };
+  const warn = message => emit('warning', { message });
+
+  let stopRequested = false;
+  let stopTurn = null;
+  let sandbox = null;
+  onStop(() => {
+    stopRequested = true;
+    if (stopTurn) stopTurn();
+    // Setup commands
+    if (sandbox) sandbox.stop();
+  });
+
+  sandbox = await openSandbox(projectDir, {
+    ...flags,
+    name: conversation ? conversation.session.id : flags.name,
+    keep: conversation ? true : flags.keep,
+    stdio,
+    handleSignals
+  }, emit, {
+    command: () => `claude ${prompt}`.trim(),
+    allow: claudeNetworkHosts(),
+    passthrough: CLAUDE_ENV_VARS,
+    sandboxOptions: { useHostSettings: flags.useHostSettings },
+    prepare: (config) => {
+      budget = parseBudget(config.budget);
+    },
+    env: async () => {
+      // Apply system optimizations (with sudo access)
+      const systemOptimizer = new SystemOptimizer();
+      const systemOptimizationsApplied = await systemOptimizer.optimizeSystem();
+      return systemOptimizationsApplied
+        ? { CLAUDECODE: '1', ...systemOptimizer.createOptimizedContainerEnv() }
+        : { CLAUDECODE: '1' };
+    },
+    onCreated: ({ id, config }) => {
+      if (!config.claude.transcript) return;
+      try {
+        transcript = createTranscript({ projectDir, sandboxId: id, flags, prompt, startTime });
+      } catch (error) {
+        warn(`Could not record a transcript: ${error.message}`);
+      }
+    }
+  });
+  const { id, config, workspaceDir, limits } = sandbox;
+
+  // Commits and files changed are those of this run, also in a resumed sandbox
+  const baseline = sandbox.resumed ? snapshotWorkspace(workspaceDir) : sandbox.workspace;
+  const totals = { turns: 0, usage: emptyUsage(), sessionId: resumeId };
+  // Cost, turns and tool calls over every turn, checked against the budget as events arrive
+  const tracker = createBudgetTracker(budget);
+  // Tool calls waiting for their result, by tool use id
+  const pendingToolCalls = new Map();
+
+  let turn = null;
+  let failure = null;
+  let conversationId = resumeId;
+  let sessionStartTime = null;
+  try {
+    await sandbox.start();
+    sessionStartTime = Date.now();
+
+    const claudeArgs = [
+      '--verbose',
+      '--output-format', 'stream-json',
+      '--dangerously-skip-permissions',
+      ...config.claude.args
+    ];
+
+    // Handle headless mode Playwright MCP reconfiguration
+    if (flags.headlessMode) {
+      try {
+        // Remove existing Playwright MCP (ignoring failures)
+        execSync('claude mcp remove playwright', {
+          cwd: workspaceDir,
+          stdio: 'pipe',
+          shell: true
+        });
+      } catch (e) {
+        // Ignore removal failures
+      }
+
+      try {
+        // Add headless Playwright MCP
+        execSync('claude mcp add --headless --no-sandbox --scope=user playwright npx u/playwright/mcp@latest', {
+          cwd: workspaceDir,
+          stdio: 'pipe',
+          shell: true
+        });
+      } catch (e) {
+        warn(`Failed to configure headless Playwright MCP: ${e.message}`);
+      }
+    }
+
+    const preamble = [
+      config.claude.preamble.replaceAll('{workspace}', workspaceDir),
+      sandbox.autoPush ? '' : NO_PUSH_PREAMBLE
+    ].filter(Boolean).join(' ');
+
+    // The fetch polyfill ships with the sandboxbox image
+    const inContainer = CONTAINER_ENGINES.includes(sandbox.isolation.backend);
+    const claudeEnv = inContainer || existsSync(FETCH_INIT_PATH)
+      ? { ...sandbox.env, NODE_OPTIONS: `--import=${FETCH_INIT_PATH}` }
+      : sandbox.env;
+
+    // The claude installation may live outside the toolchain paths (e.g. under the host home)
+    const claudePath = inContainer ? null : findExecutable('claude', claudeEnv.PATH);
+    const { isolationOptions } = sandbox;
+
+    // One claude process answering `turnPrompt`, continuing conversation
+    // `resumeId` when given. Resolves with { code, signal, limit, peak, result,
+    // sessionId, budget, stopped }, where budget is { name, message } when one
+    // was exceeded.
+    function runTurn(turnPrompt, resumeId) {
+      return new Promise((resolve, reject) => {
+        const claudeStartTime = Date.now();
+
+        const prepared = prepareSandboxCommand(['claude', ...claudeArgs, ...(resumeId ? ['--resume', resumeId] : [])], {
+          ...isolationOptions,
+          readOnly: claudePath ? [...isolationOptions.readOnly, dirname(dirname(realpathSync(claudePath)))] : isolationOptions.readOnly,
+          sandboxDir: sandbox.sandboxDir,
+          cwd: workspaceDir,
+          env: claudeEnv
+        }, limits);
+
+        const proc = spawnTracked(prepared.argv[0], prepared.argv.slice(1), {
+          cwd: workspaceDir,
+          env: prepared.env,
+          stdio: ['pipe', 'pipe', 'pipe'],
+          shell: false
+        });
+        const limitWatcher = limits ? watchLimits(proc, limits, prepared.limited || { backend: 'timer' }) : null;
+
+        // An exceeded budget or stop() ends Claude the way a timeout does
+        let budgetExceeded = null;
+        let stopped = false;
+        let finishTermination = null;
+        const terminate = () => {
+          if (!finishTermination) finishTermination = terminateProcess(proc, prepared.limited || { backend: 'timer' });
+        };
+        const stopForBudget = (budgetName) => {
+          if (budgetExceeded) return;
+          budgetExceeded = { name: budgetName, message: describeBudget(budgetName, budget, tracker.usage) };
+          emit('budget', budgetExceeded);
+          terminate();
+        };
+        stopTurn = () => {
+          stopped = true;
+          terminate();
+        };
+        tracker.startTurn();
+        const remainingMs = tracker.remainingMs();
+        const durationTimer = remainingMs !== null ? setTimeout(() => stopForBudget('duration'), remainingMs) : null;
+        const finishTurn = () => {
+          stopTurn = null;
+          clearTimeout(durationTimer);
+          if (finishTermination) finishTermination();
+          tracker.endTurn();
+        };
+
+        let claudeStarted = false;
+        let sessionResult = null;
+        let sessionId = null;
+        let jsonBuffer = ''; // Buffer for incomplete JSON lines
+
+        function handleEvent(event) {
+          if (event.type === 'system' && event.subtype === 'init' && !claudeStarted) {
+            emit('stage', { stage: 'claude', durationMs: Date.now() - claudeStartTime });
+            claudeStarted = true;
+          }
+          if (transcript) transcript.record('event', { event });
+          emit('raw', event);
+
+          if (event.type === 'system' && event.subtype === 'init') {
+            // Recorded with a kept sandbox so the conversation can be continued later
+            sessionId = event.session_id;
+            totals.sessionId = sessionId;
+            if (sandbox.session && sessionId) saveSession(sandbox.session.id, { claudeSessionId: sessionId });
+            emit('session', { sessionId, model: event.model });
+          } else if (event.type === 'assistant' && Array.isArray(event.message?.content)) {
+            for (const block of event.message.content) {
+              if (block.type === 'text') {
+                emit('text', { text: block.text || '' });
+              } else if (block.type === 'tool_use') {
+                // Track the tool call for later result matching
+                if (block.id) {
+                  pendingToolCalls.set(block.id, { name: block.name, input: block.input, startedAt: Date.now() });
+                }
+                emit('toolCall', { id: block.id, name: block.name, input: block.input });
+              }
+            }
+          } else if (event.type === 'user' && Array.isArray(event.message?.content)) {
+            for (const block of event.message.content) {
+              if (block.type === 'tool_result' && block.tool_use_id) {
+                // Match the result with the original tool call
+                const toolUseId = block.tool_use_id;
+                const call = pendingToolCalls.get(toolUseId);
+                pendingToolCalls.delete(toolUseId);
+
+                emit('toolResult', {
+                  id: toolUseId,
+                  name: call ? call.name : `unknown_tool_${toolUseId}`,
+                  input: call ? call.input : null,
+                  isError: Boolean(block.is_error),
+                  durationMs: call ? Date.now() - call.startedAt : null,
+                  content: block.content ?? null
+                });
+              }
+            }
+          } else if (event.type === 'result') {
+            sessionResult = event;
+            const usage = event.usage || {};
+            addUsage(totals.usage, usage);
+            emit('result', {
+              subtype: event.subtype,
+              isError: Boolean(event.is_error),
+              numTurns: event.num_turns ?? null,
+              durationMs: event.duration_ms ?? null,
+              costUsd: event.total_cost_usd || 0,
+              usage: addUsage(emptyUsage(), usage)
+            });
+          }
+        }
+
+        function handleStreamingOutput(data) {
+          jsonBuffer += data.toString();
+
+          // Split by newlines but keep the last incomplete line in buffer
+          const lines = jsonBuffer.split('\n');
+          jsonBuffer = lines.pop() || ''; // Keep last line (might be incomplete)
+
+          for (const line of lines) {
+            if (!line.trim()) continue; // Skip empty lines
+
+            let event;
+            try {
+              event = JSON.parse(line);
+            } catch (jsonError) {
+              warn(`Could not parse Claude output (${jsonError.message}): ${line.substring(0, 200)}${line.length > 200 ? '...' : ''}`);
+              continue;
+            }
+            handleEvent(event);
+            const exceeded = tracker.record(event);
+            if (exceeded) stopForBudget(exceeded);
+          }
+        }
+
+        proc.on('error', (error) => {
+          prepared.cleanup();
+          if (limitWatcher) limitWatcher.finish(null, null);
+          finishTurn();
+          reject(error);
+        });
+
+        // Write the prompt to stdin
+        proc.stdin.write(turnPrompt);
+        proc.stdin.end();
+
+        proc.stdout.on('data', handleStreamingOutput);
+        proc.stderr.on('data', (data) => emit('stderr', { text: data.toString() }));
+
+        proc.on('close', (code, signal) => {
+          prepared.cleanup();
+          const { limit, peak } = limitWatcher ? limitWatcher.finish(code, signal) : { limit: null, peak: null };
+
+          // Try to parse any remaining data in buffer
+          if (jsonBuffer.trim()) {
+            try {
+              const event = JSON.parse(jsonBuffer);
+              handleEvent(event);
+              tracker.record(event);
+            } catch (error) {
+              warn(`Could not parse the end of Claude's output (${error.message}): ${jsonBuffer.substring(0, 100)}...`);
+            }
+          }
+
+          finishTurn();
+          resolve({ code, signal, limit, peak, result: sessionResult, sessionId, budget: budgetExceeded, stopped });
+        });
+      });
+    }
+
+    // Without nextPrompt there is one turn; otherwise every prompt it returns
+    // is another turn of the same conversation until it returns null
+    let text = nextPrompt && !prompt ? await nextPrompt() : prompt;
+    while (text !== null && !stopRequested) {
+      // A continued conversation already starts with the preamble
+      const turnPrompt = preamble && !conversationId ? `${preamble}\n\n${text}` : text;
+      const promptRecord = { text, preamble: turnPrompt === text ? null : preamble };
+      if (transcript) transcript.record('prompt', promptRecord);
+      emit('prompt', promptRecord);
+      turn = await runTurn(turnPrompt, conversationId);
+      totals.turns++;
+      conversationId = turn.sessionId || conversationId;
+      if (turn.budget) {
+        failure = { message: `Budget exceeded: ${turn.budget.message}`, exitCode: SESSION_EXIT_CODES.budget };
+      } else if (turn.stopped) {
+        failure = STOPPED;
+      } else {
+        failure = turn.limit ? null : sessionFailure(turn.code, turn.signal, turn.result, sandbox.interruptedBy);
+      }
+      emit('turn', { failure, limit: turn.limit, budget: turn.budget });
+      if (!nextPrompt || turn.limit || turn.budget || turn.stopped || sandbox.interruptedBy) break;
+      text = await nextPrompt();
+    }
+    if (stopRequested && !failure) failure = STOPPED;
+    emit('stage', { stage: 'session', durationMs: Date.now() - sessionStartTime });
+  } catch (error) {
+    turn = { ...turn, limit: error.limit || null, peak: error.peak || null, budget: null };
+    failure = { message: error.message, exitCode: error.limit ? LIMIT_EXIT_CODES[error.limit] : (error.exitCode || 1) };
+  }
+
+  const limit = turn ? turn.limit : null;
+  const budgetExceeded = turn?.budget ? turn.budget.name : null;
+
+  // A run stopped by its budget is kept for inspection, and can be continued
+  if (budgetExceeded) {
+    const session = sandbox.keep();
+    if (conversationId) saveSession(session.id, { claudeSessionId: conversationId });
+  }
+  const exitCode = failure ? failure.exitCode : (limit ? LIMIT_EXIT_CODES[limit] : 0);
+  const changes = sandboxChanges(workspaceDir, baseline);
+  changes.commits.forEach(commit => emit('commit', commit));
+  const { artifacts, hostBranch, blockedConnections, session } = sandbox.close({ command: 'claude', exitCode });
+
+  const summary = {
+    success: !failure && !limit,
+    exitCode,
+    error: failure ? failure.message : null,
+    limit: limit || null,
+    budget: budgetExceeded,
+    sandbox: session ? session.id : null,
+    sessionId: totals.sessionId,
+    turns: totals.turns,
+    durationMs: Date.now() - startTime,
+    costUsd: tracker.usage.costUsd,
+    usage: totals.usage,
+    toolCalls: tracker.usage.toolCalls,
+    filesChanged: changes.files,
+    commits: changes.commits,
+    peak: turn?.peak || null,
+    blockedConnections,
+    artifacts,
+    hostBranch,
+    transcript: transcript ? transcript.path : null
+  };
+  if (transcript) transcript.finish(summary);
+  emit('exit', summary);
+  return summary;
+}
@@ -1,15 +1,15 @@
-// Color utilities for CLI output
-export const colors = {
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  cyan: '\x1b[36m',
-  white: '\x1b[37m',
-  reset: '\x1b[0m'
-};
-
-export function color(colorName, text) {
-  return `${colors[colorName]}${text}${colors.reset}`;
+// Color utilities for CLI output
+export const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m',
+  reset: '\x1b[0m'
+};
+
+export function color(colorName, text) {
+  return `${colors[colorName]}${text}${colors.reset}`;
 }
\ No newline at end of file
@@ -1,489 +1,473 @@
-import { fetch } from 'undici';
-if (!globalThis.fetch) {
-  globalThis.fetch = fetch;
-}
-
-import { existsSync, writeFileSync, appendFileSync } from 'fs';
-import { resolve, join } from 'path';
-import { spawn, execSync } from 'child_process';
-import { color } from '../colors.js';
-import { createSandbox, createSandboxEnv } from '../sandbox.js';
-import { SystemOptimizer } from '../system-optimizer.js';
-
-const MAX_CONSOLE_LINES = parseInt(process.env.SANDBOX_MAX_CONSOLE_LINES) || 5;
-const MAX_LOG_ENTRY_LENGTH = parseInt(process.env.SANDBOX_MAX_LOG_LENGTH) || 200;
-const ENABLE_FILE_LOGGING = process.env.SANDBOX_ENABLE_FILE_LOGGING === 'true';
-const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
-global.toolCallLog = [];
-global.logFileHandle = null;
-global.pendingToolCalls = new Map();
-global.conversationalBuffer = '';
-function extractToolMetadata(toolUse) {
-  const metadata = {
-    name: toolUse.name || 'unknown',
-    id: toolUse.id || 'no-id',
-    inputCount: 0,
-    inputTypes: {},
-    inputSizes: {},
-    totalInputSize: 0
-  };
-
-  if (toolUse.input && typeof toolUse.input === 'object') {
-    metadata.inputCount = Object.keys(toolUse.input).length;
-
-    for (const [key, value] of Object.entries(toolUse.input)) {
-      const type = Array.isArray(value) ? 'array' : typeof value;
-      metadata.inputTypes[key] = type;
-
-      // Calculate sizes without exposing content
-      if (type === 'string') {
-        metadata.inputSizes[key] = `${value.length} chars`;
-        metadata.totalInputSize += value.length;
-      } else if (type === 'array') {
-        metadata.inputSizes[key] = `${value.length} items`;
-        metadata.totalInputSize += JSON.stringify(value).length;
-      } else if (type === 'object' && value !== null) {
-        const objSize = JSON.stringify(value).length;
-        metadata.inputSizes[key] = `${objSize} chars`;
-        metadata.totalInputSize += objSize;
-      } else {
-        metadata.inputSizes[key] = `${type}`;
-      }
-    }
-  }
-
-  return metadata;
-}
-
-// Helper function to extract tool result metadata
-function extractResultMetadata(result) {
-  const metadata = {
-    type: 'unknown',
-    size: 0,
-    hasContent: false,
-    isToolResult: false,
-    isError: false
-  };
-
-  if (result && typeof result === 'object') {
-    metadata.isToolResult = result.type === 'tool_result';
-    metadata.isError = result.is_error || false;
-
-    if (result.content) {
-      metadata.hasContent = true;
-
-      if (typeof result.content === 'string') {
-        metadata.type = 'text';
-        metadata.size = result.content.length;
-      } else if (Array.isArray(result.content)) {
-        metadata.type = 'array';
-        metadata.size = result.content.length;
-        // Count items by type without showing content
-        const typeCounts = {};
-        result.content.forEach(item => {
-          const itemType = item?.type || 'unknown';
-          typeCounts[itemType] = (typeCounts[itemType] || 0) + 1;
-        });
-        metadata.itemTypes = typeCounts;
-      } else if (typeof result.content === 'object') {
-        metadata.type = 'object';
-        metadata.size = Object.keys(result.content).length;
-      }
-    }
-  }
-
-  return metadata;
-}
-
-
-// Helper function to truncate text to a sensible length
-function truncateText(text, maxLength = MAX_LOG_ENTRY_LENGTH) {
-  if (text.length <= maxLength) return text;
-  return text.substring(0, maxLength - 3) + '...';
-}
-
-// Enhanced tool logging with detailed metadata and length limiting
-function logToolCall(toolName, action = 'call', toolUse = null, result = null) {
-  const shortTime = new Date().toLocaleTimeString();
-  let logEntry = `Tool: ${toolName}`;
-
-  // Add conversational text if available
-  if (global.conversationalBuffer.trim()) {
-    const truncatedText = truncateText(global.conversationalBuffer.trim(), 80);
-    logEntry += ` - "${truncatedText}"`;
-    global.conversationalBuffer = ''; // Clear buffer after using
-  }
-
-  // Add compact metadata
-  if (toolUse && action === 'call') {
-    const metadata = extractToolMetadata(toolUse);
-    const metaInfo = [];
-
-    if (metadata.inputCount > 0) {
-      metaInfo.push(`${metadata.inputCount} inputs`);
-    }
-
-    if (metadata.totalInputSize > 0) {
-      metaInfo.push(`${metadata.totalInputSize} chars`);
-    }
-
-    if (metaInfo.length > 0) {
-      logEntry += ` (${metaInfo.join(', ')})`;
-    }
-  }
-
-  // Add result metadata
-  if (result && action === 'result') {
-    const metadata = extractResultMetadata(result);
-    const resultInfo = [];
-
-    if (metadata.hasContent) {
-      if (metadata.size > 0) {
-        if (metadata.type === 'text') {
-          resultInfo.push(`${metadata.size} chars`);
-        } else if (metadata.type === 'array') {
-          resultInfo.push(`${metadata.size} items`);
-        }
-      }
-
-      if (metadata.isError) {
-        resultInfo.push('ERROR');
-      }
-    }
-
-    if (resultInfo.length > 0) {
-      logEntry += ` → ${resultInfo.join(', ')}`;
-    }
-  }
-
-  const finalLogEntry = `[${shortTime}] ${truncateText(logEntry)}`;
-
-  global.toolCallLog.push(finalLogEntry);
-
-  // Keep only the last MAX_CONSOLE_LINES for console display
-  if (global.toolCallLog.length > MAX_CONSOLE_LINES) {
-    global.toolCallLog = global.toolCallLog.slice(-MAX_CONSOLE_LINES);
-  }
-
-  // Optionally log to file with full metadata
-  if (ENABLE_FILE_LOGGING) {
-    try {
-      if (!global.logFileHandle) {
-        const timestamp = new Date().toISOString();
-        const logFileName = `sandboxbox-tool-calls-${Date.now()}.log`;
-        writeFileSync(logFileName, `# SandboxBox Tool Calls Log\n# Started: ${timestamp}\n# Format: [timestamp] Tool: name - "text" (metadata)\n\n`);
-        global.logFileHandle = logFileName;
-      }
-
-      const timestamp = new Date().toISOString();
-      let fileLogEntry = `[${timestamp}] Tool: ${toolName}`;
-
-      if (global.conversationalBuffer.trim()) {
-        fileLogEntry += ` - "${global.conversationalBuffer.trim()}"`;
-      }
-
-      if (toolUse && action === 'call') {
-        const metadata = extractToolMetadata(toolUse);
-        fileLogEntry += `\n    Input details: ${JSON.stringify(metadata.inputSizes, null, 2)}`;
-      }
-
-      if (result && action === 'result') {
-        const metadata = extractResultMetadata(result);
-        fileLogEntry += `\n    Result details: ${JSON.stringify(metadata, null, 2)}`;
-      }
-
-      appendFileSync(global.logFileHandle, fileLogEntry + '\n');
-    } catch (error) {
-      // Don't fail if logging fails
-      console.log(color('yellow', `⚠️  Could not write to log file: ${error.message}`));
-    }
-  }
-}
-
-// Function to log conversational text
-function logConversationalText(text) {
-  if (text && text.trim()) {
-    global.conversationalBuffer += text + ' ';
-  }
-}
-
-// Helper function to display recent tool calls
-function displayRecentToolCalls() {
-  if (global.toolCallLog.length > 0) {
-    console.log(color('cyan', `\n🔧 Recent tool calls (showing last ${global.toolCallLog.length}):`));
-    global.toolCallLog.forEach(log => {
-      console.log(color('cyan', `   ${log}`));
-    });
-  }
-}
-
-
-export async function claudeCommand(projectDir, prompt, flags = {}) {
-  if (!existsSync(projectDir)) {
-    console.log(color('red', `❌ Project directory not found: ${projectDir}`));
-    return false;
-  }
-
-  // Note: We don't require git repository anymore - the sandbox will initialize it if needed
-
-  // Silent start - only show conversation unless verbose
-
-  const startTime = Date.now();
-  if (VERBOSE_OUTPUT) console.log(color('cyan', '⏱️  Stage 1: Creating sandbox...'));
-
-  const { useHostSettings, headlessMode } = flags;
-  const { sandboxDir, cleanup } = createSandbox(projectDir, { useHostSettings, headlessMode });
-  const sandboxCreateTime = Date.now() - startTime;
-  if (VERBOSE_OUTPUT) console.log(color('green', `✅ Sandbox created in ${sandboxCreateTime}ms`));
-
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
-
-  try {
-    const envStartTime = Date.now();
-    if (VERBOSE_OUTPUT) console.log(color('cyan', '⏱️  Stage 2: Setting up environment...'));
-
-    // Apply Claude optimizations (disabled to preserve bundled hooks)
-    // const claudeOptimizer = new ClaudeOptimizer(sandboxDir);
-    // claudeOptimizer.optimizeSettings();
-    // await claudeOptimizer.prewarmPlugins();
-
-    // Apply system optimizations (with sudo access)
-    const systemOptimizer = new SystemOptimizer();
-    const systemOptimizationsApplied = await systemOptimizer.optimizeSystem();
-
-    // Create optimized environment
-    const baseEnv = createSandboxEnv(sandboxDir, {
-      CLAUDECODE: '1'
-    });
-
-    const env = systemOptimizationsApplied
-      ? { ...baseEnv, ...systemOptimizer.createOptimizedContainerEnv() }
-      : baseEnv; // Use base environment when optimizer is disabled
-
-    const envCreateTime = Date.now() - envStartTime;
-    if (VERBOSE_OUTPUT) console.log(color('green', `✅ Environment configured in ${envCreateTime}ms`));
-
-    if (systemOptimizationsApplied && VERBOSE_OUTPUT) {
-      console.log(color('yellow', `🚀 System-level optimizations applied`));
-    }
-
-    const claudeArgs = [
-      '--verbose',
-      '--output-format', 'stream-json',
-      '--dangerously-skip-permissions'
-    ];
-
-    return new Promise((resolve, reject) => {
-      const claudeStartTime = Date.now();
-      if (VERBOSE_OUTPUT) console.log(color('cyan', '⏱️  Stage 3: Starting Claude Code...'));
-
-      const workspacePath = join(sandboxDir, 'workspace');
-
-      // Handle headless mode Playwright MCP reconfiguration
-      if (headlessMode) {
-        if (VERBOSE_OUTPUT) console.log(color('yellow', '🎭 Configuring headless Playwright MCP...'));
-
-        try {
-          // Remove existing Playwright MCP (ignoring failures)
-          execSync('claude mcp remove playwright', {
-            cwd: workspacePath,
-            stdio: 'pipe',
-            shell: true
-          });
-        } catch (e) {
-          // Ignore removal failures
-        }
-
-        try {
-          // Add headless Playwright MCP
-          execSync('claude mcp add --headless --no-sandbox --scope=user playwright npx u/playwright/mcp@latest', {
-            cwd: workspacePath,
-            stdio: VERBOSE_OUTPUT ? 'inherit' : 'pipe',
-            shell: true
-          });
-
-          if (VERBOSE_OUTPUT) console.log(color('green', '✅ Headless Playwright MCP configured'));
-        } catch (e) {
-          console.log(color('red', `❌ Failed to configure headless Playwright MCP: ${e.message}`));
-        }
-      }
-
-      const modifiedPrompt = `You are working in a sandboxed environment. Your working directory is "${workspacePath}". All operations should be performed in this directory.
-
-${prompt}`;
-
-      // Environment is now properly configured with same permissions as run command
-
-      const proc = spawn('claude', claudeArgs, {
-        cwd: workspacePath,
-        env: {
-          ...env,
-          NODE_OPTIONS: '--import=/usr/local/lib/fetch-init.mjs'
-        },
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: false,
-        detached: false
-      });
-
-      let claudeStarted = false;
-      let jsonBuffer = ''; // Buffer for incomplete JSON lines
-
-      function handleEvent(event) {
-        if (event.type === 'system' && event.subtype === 'init') {
-          if (!claudeStarted) {
-            const claudeCreateTime = Date.now() - claudeStartTime;
-            if (VERBOSE_OUTPUT) console.log(color('green', `✅ Claude Code started in ${claudeCreateTime}ms`));
-            claudeStarted = true;
-          }
-          if (VERBOSE_OUTPUT) console.log(color('green', `✅ Session started (${event.session_id.substring(0, 8)}...)`));
-          if (VERBOSE_OUTPUT) console.log(color('cyan', `📦 Model: ${event.model}`));
-
-          // Simple tool count warning only if less than 15 tools
-          if (event.tools.length < 15) {
-            console.log(color('yellow', `⚠️  Only ${event.tools.length} tools available`));
-          }
-        } else if (event.type === 'assistant' && event.message) {
-          const content = event.message.content;
-          if (Array.isArray(content)) {
-            for (const block of content) {
-              if (block.type === 'text') {
-                const text = block.text || '';
-                if (!text.endsWith('\n')) {
-                  process.stdout.write(text + '\n');
-                } else {
-                  process.stdout.write(text);
-                }
-              } else if (block.type === 'tool_use') {
-                // Track the tool call for later result matching
-                if (block.id) {
-                  global.pendingToolCalls.set(block.id, block.name);
-                }
-                logToolCall(block.name, 'call', block);
-                if (VERBOSE_OUTPUT) {
-                  console.log(color('cyan', `\n🔧 Using tool: ${block.name}`));
-                }
-              }
-            }
-          }
-        } else if (event.type === 'user' && event.message) {
-          const content = event.message.content;
-          if (Array.isArray(content)) {
-            for (const block of content) {
-              if (block.type === 'tool_result' && block.tool_use_id) {
-                // Match the result with the original tool call
-                const toolUseId = block.tool_use_id;
-                const toolName = global.pendingToolCalls.get(toolUseId) || `unknown_tool_${toolUseId}`;
-
-                logToolCall(toolName, 'result', null, block);
-
-                // Remove from pending calls after matching
-                global.pendingToolCalls.delete(toolUseId);
-              }
-            }
-          }
-        } else if (event.type === 'result') {
-          const usage = event.usage || {};
-          const cost = event.total_cost_usd || 0;
-          if (VERBOSE_OUTPUT) {
-            console.log(color('green', `\n\n✅ Completed in ${event.duration_ms}ms`));
-            console.log(color('yellow', `💰 Cost: $${cost.toFixed(4)}`));
-            if (usage.input_tokens) {
-              console.log(color('cyan', `📊 Tokens: ${usage.input_tokens} in, ${usage.output_tokens} out`));
-            }
-          }
-        }
-      }
-
-      function handleStreamingOutput(data) {
-        jsonBuffer += data.toString();
-
-        // Split by newlines but keep the last incomplete line in buffer
-        const lines = jsonBuffer.split('\n');
-        jsonBuffer = lines.pop() || ''; // Keep last line (might be incomplete)
-
-        for (const line of lines) {
-          if (!line.trim()) continue; // Skip empty lines
-
-          try {
-            const event = JSON.parse(line);
-            handleEvent(event);
-          } catch (jsonError) {
-            // Log JSON parsing errors for troubleshooting
-            console.log(color('red', `🔍 JSON parse error: ${jsonError.message}`));
-            console.log(color('yellow', `🔍 Problematic line (${line.length} chars): ${line.substring(0, 200)}${line.length > 200 ? '...' : ''}`));
-            console.log(color('cyan', `🔍 Buffer state: ${jsonBuffer.length} chars in buffer`));
-
-            // If we can't parse, put the line back in buffer and try to recover
-            jsonBuffer = line + '\n' + jsonBuffer;
-            console.log(color('yellow', `🔍 Attempting to recover - ${jsonBuffer.length} chars in buffer`));
-          }
-        }
-      }
-
-      // Add error handling
-      proc.on('error', (error) => {
-        console.log(color('red', `🔍 Debug: Process error: ${error.message}`));
-        reject(error);
-      });
-
-      // Write modified prompt to stdin
-      proc.stdin.write(modifiedPrompt);
-      proc.stdin.end();
-
-      let stdoutOutput = '';
-      let stderrOutput = '';
-      let lastError = '';
-
-      proc.stdout.on('data', (data) => {
-        stdoutOutput += data.toString();
-
-        handleStreamingOutput(data);
-      });
-
-      proc.stderr.on('data', (data) => {
-        stderrOutput += data.toString();
-        process.stderr.write(data);
-      });
-
-      proc.on('close', (code) => {
-        const sessionEndTime = Date.now();
-        const totalTime = sessionEndTime - startTime;
-        if (VERBOSE_OUTPUT) console.log(color('cyan', `\n⏱️  Stage 4: Session completed in ${totalTime}ms`));
-
-        // Try to parse any remaining data in buffer
-        if (jsonBuffer.trim()) {
-          try {
-            const event = JSON.parse(jsonBuffer);
-            handleEvent(event);
-          } catch (error) {
-            console.log(color('yellow', `⚠️  Could not parse remaining buffer data: ${error.message}`));
-            console.log(color('yellow', `⚠️  Remaining buffer: ${jsonBuffer.substring(0, 100)}...`));
-          }
-        }
-
-        // Display recent tool calls and performance summary only if verbose
-        if (VERBOSE_OUTPUT) {
-          displayRecentToolCalls();
-          console.log(color('cyan', `\n📊 Performance Summary:`));
-          console.log(color('cyan', `  • Sandbox creation: ${sandboxCreateTime}ms`));
-          console.log(color('cyan', `  • Environment setup: ${envCreateTime}ms`));
-          console.log(color('cyan', `  • Claude Code session: ${totalTime - sandboxCreateTime - envCreateTime}ms`));
-          console.log(color('cyan', `  • Total time: ${totalTime}ms`));
-
-          // Log file information if enabled
-          if (ENABLE_FILE_LOGGING && global.logFileHandle) {
-            console.log(color('yellow', `📝 Tool calls logged to: ${global.logFileHandle}`));
-          }
-        }
-
-        cleanup();
-        resolve(true);
-      });
-    });
-  } catch (error) {
-    console.log(color('red', `\n❌ Claude Code failed: ${error.message}`));
-    cleanup();
-    return false;
-  }
-}
+import { fetch } from 'undici';
+if (!globalThis.fetch) {
+  globalThis.fetch = fetch;
+}
+
+import { writeFileSync, appendFileSync } from 'fs';
+import { basename } from 'path';
+import { createInterface } from 'readline';
+import { color } from '../colors.js';
+import { print, setOutput, showKeptSession, showHostBranch, showDirtySummary, showCopySummary, showCredentialSummary, showEnvSummary, showIsolation, showNetwork, showBlockedConnections, showLimits, showResourceUsage, showArtifacts, showPorts, showBudget } from '../ui.js';
+import { resolveLimitBackend } from '../limits.js';
+import { parseBudget } from '../budget.js';
+import { getSession } from '../sessions.js';
+import { createReporter } from '../output.js';
+import { runClaude } from '../claude-runner.js';
+
+const MAX_CONSOLE_LINES = parseInt(process.env.SANDBOX_MAX_CONSOLE_LINES) || 5;
+const MAX_LOG_ENTRY_LENGTH = parseInt(process.env.SANDBOX_MAX_LOG_LENGTH) || 200;
+const ENABLE_FILE_LOGGING = process.env.SANDBOX_ENABLE_FILE_LOGGING === 'true';
+const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+
+function extractToolMetadata(toolUse) {
+  const metadata = {
+    name: toolUse.name || 'unknown',
+    id: toolUse.id || 'no-id',
+    inputCount: 0,
+    inputTypes: {},
+    inputSizes: {},
+    totalInputSize: 0
+  };
+
+  if (toolUse.input && typeof toolUse.input === 'object') {
+    metadata.inputCount = Object.keys(toolUse.input).length;
+
+    for (const [key, value] of Object.entries(toolUse.input)) {
+      const type = Array.isArray(value) ? 'array' : typeof value;
+      metadata.inputTypes[key] = type;
+
+      // Calculate sizes without exposing content
+      if (type === 'string') {
+        metadata.inputSizes[key] = `${value.length} chars`;
+        metadata.totalInputSize += value.length;
+      } else if (type === 'array') {
+        metadata.inputSizes[key] = `${value.length} items`;
+        metadata.totalInputSize += JSON.stringify(value).length;
+      } else if (type === 'object' && value !== null) {
+        const objSize = JSON.stringify(value).length;
+        metadata.inputSizes[key] = `${objSize} chars`;
+        metadata.totalInputSize += objSize;
+      } else {
+        metadata.inputSizes[key] = `${type}`;
+      }
+    }
+  }
+
+  return metadata;
+}
+
+// Helper function to extract tool result metadata
+function extractResultMetadata(result) {
+  const metadata = {
+    type: 'unknown',
+    size: 0,
+    hasContent: false,
+    isToolResult: false,
+    isError: false
+  };
+
+  if (result && typeof result === 'object') {
+    metadata.isToolResult = result.type === 'tool_result';
+    metadata.isError = result.is_error || false;
+
+    if (result.content) {
+      metadata.hasContent = true;
+
+      if (typeof result.content === 'string') {
+        metadata.type = 'text';
+        metadata.size = result.content.length;
+      } else if (Array.isArray(result.content)) {
+        metadata.type = 'array';
+        metadata.size = result.content.length;
+        // Count items by type without showing content
+        const typeCounts = {};
+        result.content.forEach(item => {
+          const itemType = item?.type || 'unknown';
+          typeCounts[itemType] = (typeCounts[itemType] || 0) + 1;
+        });
+        metadata.itemTypes = typeCounts;
+      } else if (typeof result.content === 'object') {
+        metadata.type = 'object';
+        metadata.size = Object.keys(result.content).length;
+      }
+    }
+  }
+
+  return metadata;
+}
+
+
+// Helper function to truncate text to a sensible length
+function truncateText(text, maxLength = MAX_LOG_ENTRY_LENGTH) {
+  if (text.length <= maxLength) return text;
+  return text.substring(0, maxLength - 3) + '...';
+}
+
+// The tool calls of one claude command: the last MAX_CONSOLE_LINES are shown
+// at the end of a verbose session and, with SANDBOX_ENABLE_FILE_LOGGING, all
+// are written with their metadata to a log file in the current directory.
+// Returns { text(text), call(toolUse), result(toolName, block), show(), finish() }.
+function createToolLog() {
+  let entries = [];
+  let logFile = null;
+  // Claude's text since the last tool call, shown with the next one
+  let conversationalBuffer = '';
+
+  // Enhanced tool logging with detailed metadata and length limiting
+  const log = (toolName, action = 'call', toolUse = null, result = null) => {
+    const shortTime = new Date().toLocaleTimeString();
+    let logEntry = `Tool: ${toolName}`;
+
+    // Add conversational text if available
+    if (conversationalBuffer.trim()) {
+      const truncatedText = truncateText(conversationalBuffer.trim(), 80);
+      logEntry += ` - "${truncatedText}"`;
+    }
+
+    // Add compact metadata
+    if (toolUse && action === 'call') {
+      const metadata = extractToolMetadata(toolUse);
+      const metaInfo = [];
+
+      if (metadata.inputCount > 0) {
+        metaInfo.push(`${metadata.inputCount} inputs`);
+      }
+
+      if (metadata.totalInputSize > 0) {
+        metaInfo.push(`${metadata.totalInputSize} chars`);
+      }
+
+      if (metaInfo.length > 0) {
+        logEntry += ` (${metaInfo.join(', ')})`;
+      }
+    }
+
+    // Add result metadata
+    if (result && action === 'result') {
+      const metadata = extractResultMetadata(result);
+      const resultInfo = [];
+
+      if (metadata.hasContent) {
+        if (metadata.size > 0) {
+          if (metadata.type === 'text') {
+            resultInfo.push(`${metadata.size} chars`);
+          } else if (metadata.type === 'array') {
+            resultInfo.push(`${metadata.size} items`);
+          }
+        }
+
+        if (metadata.isError) {
+          resultInfo.push('ERROR');
+        }
+      }
+
+      if (resultInfo.length > 0) {
+        logEntry += ` → ${resultInfo.join(', ')}`;
+      }
+    }
+
+    // Keep only the last MAX_CONSOLE_LINES for console display
+    entries = [...entries, `[${shortTime}] ${truncateText(logEntry)}`].slice(-MAX_CONSOLE_LINES);
+
+    // Optionally log to file with full metadata
+    if (ENABLE_FILE_LOGGING) {
+      try {
+        if (!logFile) {
+          logFile = `sandboxbox-tool-calls-${Date.now()}.log`;
+          writeFileSync(logFile, `# SandboxBox Tool Calls Log\n# Started: ${new Date().toISOString()}\n# Format: [timestamp] Tool: name - "text" (metadata)\n\n`);
+        }
+
+        let fileLogEntry = `[${new Date().toISOString()}] Tool: ${toolName}`;
+
+        if (conversationalBuffer.trim()) {
+          fileLogEntry += ` - "${conversationalBuffer.trim()}"`;
+        }
+
+        if (toolUse && action === 'call') {
+          const metadata = extractToolMetadata(toolUse);
+          fileLogEntry += `\n    Input details: ${JSON.stringify(metadata.inputSizes, null, 2)}`;
+        }
+
+        if (result && action === 'result') {
+          const metadata = extractResultMetadata(result);
+          fileLogEntry += `\n    Result details: ${JSON.stringify(metadata, null, 2)}`;
+        }
+
+        appendFileSync(logFile, fileLogEntry + '\n');
+      } catch (error) {
+        // Don't fail if logging fails
+        print(color('yellow', `⚠️  Could not write to log file: ${error.message}`));
+      }
+    }
+    conversationalBuffer = ''; // Clear buffer after using
+  };
+
+  return {
+    text(text) {
+      if (text && text.trim()) conversationalBuffer += text + ' ';
+    },
+
+    call(toolUse) {
+      log(toolUse.name, 'call', toolUse);
+    },
+
+    result(toolName, block) {
+      log(toolName, 'result', null, block);
+    },
+
+    // Display the recent tool calls and where the log file is
+    show() {
+      if (entries.length > 0) {
+        print(color('cyan', `\n🔧 Recent tool calls (showing last ${entries.length}):`));
+        entries.forEach(entry => print(color('cyan', `   ${entry}`)));
+      }
+      if (logFile) print(color('yellow', `📝 Tool calls logged to: ${logFile}`));
+    },
+
+    finish() {
+      if (!logFile) return;
+      try {
+        appendFileSync(logFile, `\n# Session ended: ${new Date().toISOString()}\n`);
+      } catch (error) {
+        // Don't fail on log cleanup
+      }
+    }
+  };
+}
+
+// A tool result's size without its content, e.g. "120 chars" or "3 items, ERROR"
+function describeToolResult(block) {
+  const metadata = extractResultMetadata(block);
+  const parts = [];
+  if (metadata.type === 'text') parts.push(`${metadata.size} chars`);
+  else if (metadata.type === 'array') parts.push(`${metadata.size} items`);
+  if (metadata.isError) parts.push('ERROR');
+  return parts.join(', ') || 'no content';
+}
+
+// Show a stream-json event the way a live session does: assistant text as it
+// arrives and, when verbose, the session, the tools used and the cost. `text`
+// and `tools` select what is shown (`sandboxbox replay --text-only` and
+// --tools-only); text is written to `output`.
+export function renderEvent(event, { output = process.stdout, verbose = VERBOSE_OUTPUT, text = true, tools = verbose } = {}) {
+  if (event.type === 'system' && event.subtype === 'init') {
+    if (verbose) print(color('green', `✅ Session started (${String(event.session_id).substring(0, 8)}...)`));
+    if (verbose) print(color('cyan', `📦 Model: ${event.model}`));
+
+    // Simple tool count warning only if less than 15 tools
+    if (Array.isArray(event.tools) && event.tools.length < 15) {
+      print(color('yellow', `⚠️  Only ${event.tools.length} tools available`));
+    }
+  } else if (event.type === 'assistant' && Array.isArray(event.message?.content)) {
+    for (const block of event.message.content) {
+      if (block.type === 'text' && text) {
+        const blockText = block.text || '';
+        output.write(blockText.endsWith('\n') ? blockText : blockText + '\n');
+      } else if (block.type === 'tool_use' && tools) {
+        print(color('cyan', `\n🔧 Using tool: ${block.name}`));
+      }
+    }
+  } else if (event.type === 'user' && Array.isArray(event.message?.content)) {
+    for (const block of event.message.content) {
+      if (block.type === 'tool_result' && tools) {
+        print(color('cyan', `   ↳ ${describeToolResult(block)}`));
+      }
+    }
+  } else if (event.type === 'result' && verbose) {
+    const usage = event.usage || {};
+    print(color('green', `\n\n✅ Completed in ${event.duration_ms}ms`));
+    print(color('yellow', `💰 Cost: $${(event.total_cost_usd || 0).toFixed(4)}`));
+    if (usage.input_tokens) {
+      print(color('cyan', `📊 Tokens: ${usage.input_tokens} in, ${usage.output_tokens} out`));
+    }
+  }
+}
+
+// Returns a function resolving with the next non-empty line typed at the REPL
+// prompt, or null once the input ends (Ctrl-D, or Ctrl-C at the prompt).
+// The prompt is written to `output`.
+function createTurnReader(output = process.stdout) {
+  const prompt = color('magenta', '› ');
+
+  // Piped input is read by one interface, which keeps lines that arrive during a turn
+  if (!process.stdin.isTTY) {
+    const lines = createInterface({ input: process.stdin })[Symbol.asyncIterator]();
+    return async () => {
+      for (let next = await lines.next(); !next.done; next = await lines.next()) {
+        if (next.value.trim()) return next.value;
+      }
+      return null;
+    };
+  }
+
+  // A terminal gets a fresh interface per turn, so it is back in normal mode
+  // (and Ctrl-C interrupts) while Claude is working
+  const readLine = () => new Promise((resolveLine) => {
+    const rl = createInterface({ input: process.stdin, output });
+    let answered = false;
+    rl.on('SIGINT', () => rl.close());
+    rl.on('close', () => {
+      if (!answered) {
+        output.write('\n');
+        resolveLine(null);
+      }
+    });
+    rl.question(prompt, (line) => {
+      answered = true;
+      rl.close();
+      resolveLine(line);
+    });
+  });
+  return async () => {
+    for (let line = await readLine(); line !== null; line = await readLine()) {
+      if (line.trim()) return line;
+    }
+    return null;
+  };
+}
+
+
+// Show the sandbox a session runs in once its environment is set up
+function showSandbox(sandbox, sandboxCreateTime) {
+  const { resumed, workspace, config, isolation, limits } = sandbox;
+  if (VERBOSE_OUTPUT) {
+    if (!resumed) print(color('cyan', `   Workspace (${workspace.mode}) ready in ${workspace.durationMs}ms`));
+    if (!resumed) showCopySummary(workspace);
+    print(color('green', `✅ Sandbox ${resumed ? 'resumed' : 'created'} in ${sandboxCreateTime}ms`));
+  }
+  showDirtySummary(sandbox.dirty);
+  showCredentialSummary(sandbox.credentials, sandbox.env);
+  showEnvSummary(sandbox.env, config.env.mode);
+  showIsolation(isolation);
+  showNetwork(config.network);
+  if (limits) showLimits(limits, isolation.image ? isolation.backend : resolveLimitBackend());
+  showBudget(parseBudget(config.budget));
+  showPorts(sandbox.ports);
+}
+
+// The claude command: runClaude() with its events shown as a conversation,
+// or written as JSON with --output json/ndjson
+export async function claudeCommand(projectDir, prompt, flags = {}) {
+  let reporter;
+  try {
+    reporter = createReporter(flags.output);
+  } catch (error) {
+    print(color('red', `❌ ${error.message}`));
+    return false;
+  }
+  const previousOutput = setOutput(reporter.output);
+  try {
+    return await showClaudeRun(projectDir, prompt, flags, reporter);
+  } finally {
+    setOutput(previousOutput);
+  }
+}
+
+// Run the session, showing its events on the reporter's output
+async function showClaudeRun(projectDir, prompt, flags, reporter) {
+  const textOutput = reporter.output;
+
+  // Without --repl there is one turn; in the REPL every line typed is
+  // another turn of the same conversation until the input ends
+  let readTurn = null;
+  const nextPrompt = () => {
+    if (!readTurn) {
+      print(color('cyan', '💬 Each line is a new turn; Ctrl-D (or Ctrl-C at the prompt) ends the session'));
+      readTurn = createTurnReader(textOutput);
+    }
+    return readTurn();
+  };
+
+  if (VERBOSE_OUTPUT) print(color('cyan', '⏱️  Stage 1: Creating sandbox...'));
+  const claudeRun = runClaude(projectDir, prompt, {
+    ...flags,
+    stdio: reporter.stdio,
+    handleSignals: true,
+    nextPrompt: flags.repl ? nextPrompt : null
+  });
+
+  const toolLog = createToolLog();
+  const stageTimes = {};
+  let sandbox = null;
+  let turnFailed = false;
+
+  claudeRun.on('stage', (data) => {
+    stageTimes[data.stage] = data.durationMs;
+    reporter.emit('stage', data);
+    if (!VERBOSE_OUTPUT) return;
+    if (data.stage === 'sandbox') print(color('cyan', '⏱️  Stage 2: Setting up environment...'));
+    if (data.stage === 'environment') print(color('green', `✅ Environment configured in ${data.durationMs}ms`));
+    if (data.stage === 'claude') print(color('green', `✅ Claude Code started in ${data.durationMs}ms`));
+  });
+  claudeRun.on('sandbox', (opened) => {
+    sandbox = opened;
+    showSandbox(opened, stageTimes.sandbox);
+  });
+  claudeRun.on('setup', ({ script }) => print(color('cyan', `🔧 Setup: ${script}`)));
+  claudeRun.on('warning', ({ message }) => print(color('yellow', `⚠️  ${message}`)));
+  claudeRun.on('stderr', ({ text }) => process.stderr.write(text));
+  claudeRun.on('prompt', () => {
+    if (VERBOSE_OUTPUT) print(color('cyan', '⏱️  Stage 3: Starting Claude Code...'));
+  });
+  claudeRun.on('raw', event => renderEvent(event, { output: textOutput }));
+  claudeRun.on('session', data => reporter.emit('session', data));
+  claudeRun.on('text', (data) => {
+    reporter.emit('text', data);
+    toolLog.text(data.text);
+  });
+  claudeRun.on('toolCall', (data) => {
+    reporter.emit('tool_call', data);
+    toolLog.call(data);
+  });
+  claudeRun.on('toolResult', (data) => {
+    reporter.emit('tool_result', data);
+    toolLog.result(data.name, { type: 'tool_result', content: data.content, is_error: data.isError });
+  });
+  claudeRun.on('result', data => reporter.emit('result', data));
+  claudeRun.on('budget', () => print(color('yellow', '\n⚠️  Budget exceeded, stopping Claude Code...')));
+  claudeRun.on('turn', ({ failure }) => {
+    if (!failure) return;
+    turnFailed = true;
+    print(color('red', `\n❌ ${failure.message}`));
+  });
+  claudeRun.on('commit', commit => reporter.emit('commit', commit));
+
+  let summary;
+  try {
+    summary = await claudeRun;
+  } catch (error) {
+    print(color('red', `❌ ${error.message}`));
+    return false;
+  }
+  toolLog.finish();
+
+  if (summary.error && !turnFailed) print(color('red', `\n❌ Claude Code failed: ${summary.error}`));
+  if (VERBOSE_OUTPUT && stageTimes.session !== undefined) {
+    print(color('cyan', `\n⏱️  Stage 4: Session completed in ${summary.durationMs}ms`));
+
+    // Display recent tool calls and performance summary only if verbose
+    toolLog.show();
+    print(color('cyan', `\n📊 Performance Summary:`));
+    print(color('cyan', `  • Sandbox creation: ${stageTimes.sandbox}ms (workspace ${sandbox.workspace.mode}: ${sandbox.workspace.durationMs}ms)`));
+    print(color('cyan', `  • Environment setup: ${stageTimes.environment}ms`));
+    print(color('cyan', `  • Claude Code session: ${stageTimes.session}ms`));
+    print(color('cyan', `  • Total time: ${summary.durationMs}ms`));
+  }
+
+  showResourceUsage(summary.peak, sandbox?.limits, summary.limit);
+  if (summary.exitCode !== 0) process.exitCode = summary.exitCode;
+  showBlockedConnections(summary.blockedConnections);
+  showArtifacts(summary.artifacts);
+  showHostBranch(summary.hostBranch);
+  const session = summary.sandbox ? getSession(summary.sandbox) : null;
+  showKeptSession(session);
+  if (session && summary.sessionId) {
+    print(color('yellow', `   Continue the conversation with: npx sandboxbox claude ${projectDir} "<prompt>" --resume ${session.id}`));
+  }
+  reporter.finish(summary);
+  if (summary.transcript) {
+    print(color('cyan', `📼 Transcript saved to ${summary.transcript}`));
+    print(color('yellow', `   Replay with: npx sandboxbox replay ${basename(summary.transcript, '.jsonl')}`));
+  }
+  return summary.success;
+}
@@ -0,0 +1,26 @@
+import { existsSync } from 'fs';
+import { color } from '../colors.js';
+import { loadConfig, configFromFlags, PROJECT_CONFIG_FILES } from '../config.js';
+
+export function configShowCommand(projectDir, flags = {}) {
+  if (!existsSync(projectDir)) {
+    console.log(color('red', `❌ Project directory not found: ${projectDir}`));
+    return false;
+  }
+
+  const { config, sources, files } = loadConfig(projectDir, configFromFlags(flags));
+
+  console.log(color('cyan', '⚙️  Effective sandboxbox configuration'));
+  console.log(color('yellow', `User config:    ${files.user || '(none)'}`));
+  console.log(color('yellow', `Project config: ${files.project || `(none - looked for ${PROJECT_CONFIG_FILES.join(', ')})`}`));
+  console.log('');
+
+  for (const [path, source] of Object.entries(sources)) {
+    const value = path.split('.').reduce((object, key) => object[key], config);
+    const sourceColor = source === 'default' ? 'white' : 'green';
+    console.log(`  ${path} = ${JSON.stringify(value)}`);
+    console.log(color(sourceColor, `      from ${source}`));
+  }
+
+  return true;
+}
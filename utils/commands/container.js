@@ -1,87 +1,108 @@
-import { existsSync } from 'fs';
-import { resolve, join, dirname } from 'path';
-import { execSync } from 'child_process';
-import { color } from '../colors.js';
-import { createSandbox, createSandboxEnv, runInSandbox } from '../sandbox.js';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-export function buildCommand(dockerfilePath) {
-  const repoRoot = resolve(__dirname, '..', '..');
-  const dockerfile = dockerfilePath || join(repoRoot, 'Dockerfile');
-
-  if (!existsSync(dockerfile)) {
-    console.log(color('red', `❌ Dockerfile not found: ${dockerfile}`));
-    return false;
-  }
-
-  console.log(color('cyan', `📦 Building sandboxbox container from ${dockerfile}...`));
-
-  try {
-    const buildContext = dirname(dockerfile);
-
-    execSync(`podman build -t sandboxbox:latest -f "${dockerfile}" "${buildContext}"`, {
-      stdio: 'inherit',
-      shell: process.platform === 'win32'
-    });
-
-    console.log(color('green', '✅ Container built successfully!'));
-    return true;
-  } catch (error) {
-    console.log(color('red', `❌ Build failed: ${error.message}`));
-    return false;
-  }
-}
-
-export async function runCommand(projectDir, cmd) {
-  if (!existsSync(projectDir)) {
-    console.log(color('red', `❌ Project directory not found: ${projectDir}`));
-    return false;
-  }
-
-  console.log(color('blue', '🚀 Creating sandbox environment...'));
-  console.log(color('yellow', `Project: ${projectDir}`));
-  console.log(color('yellow', `Command: ${cmd}\n`));
-
-  const { sandboxDir, cleanup } = createSandbox(projectDir);
-
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
-
-  try {
-    const env = createSandboxEnv(sandboxDir, {
-      PLAYWRIGHT_BROWSERS_PATH: join(sandboxDir, 'browsers')
-    });
-
-    console.log(color('green', `✅ Sandbox created: ${sandboxDir}`));
-    console.log(color('cyan', '📦 Running in isolated environment...\n'));
-
-    await runInSandbox(cmd, [], sandboxDir, env);
-
-    console.log(color('green', '\n✅ Command completed!'));
-    cleanup();
-    return true;
-  } catch (error) {
-    console.log(color('red', `\n❌ Command failed: ${error.message}`));
-    cleanup();
-    return false;
-  }
-}
-
-export async function shellCommand(projectDir) {
-  if (!existsSync(projectDir)) {
-    console.log(color('red', `❌ Project directory not found: ${projectDir}`));
-    return false;
-  }
-
-  console.log(color('blue', '🚀 Starting interactive shell...'));
-  return runCommand(projectDir, 'bash');
-}
-
-export function versionCommand() {
-  console.log(color('green', 'SandboxBox - Process Containment Sandbox'));
-  console.log(color('cyan', 'Using Node.js process isolation'));
-  return true;
-}
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { color } from '../colors.js';
+import { showKeptSession, showHostBranch, showDirtySummary, showCopySummary, showCredentialSummary, showEnvSummary, showIsolation, showNetwork, showBlockedConnections, showLimits, showResourceUsage, showArtifacts, showPorts } from '../ui.js';
+import { loadConfig, configFromFlags } from '../config.js';
+import { findEngine, CONTAINER_ENGINES } from '../backends.js';
+import { findExecutable } from '../isolation.js';
+import { buildImage, getSandboxboxVersion, DEFAULT_DOCKERFILE } from '../image.js';
+import { resolveLimitBackend } from '../limits.js';
+import { getSession } from '../sessions.js';
+import { run } from '../runs.js';
+
+const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+
+// Build the image used by the container backends. Build args, the tag and the
+// Dockerfile default to the `build` and `image` settings of the config in the
+// current directory, so per-project pins apply.
+export function buildCommand(dockerfilePath, flags = {}) {
+  const { config } = loadConfig(process.cwd(), configFromFlags(flags));
+  const dockerfile = dockerfilePath ? resolve(dockerfilePath) : (config.build.dockerfile || DEFAULT_DOCKERFILE);
+
+  if (!existsSync(dockerfile)) {
+    console.log(color('red', `❌ Dockerfile not found: ${dockerfile}`));
+    return false;
+  }
+
+  const engine = CONTAINER_ENGINES.includes(flags.backend) ? flags.backend : findEngine();
+  if (!engine || !findExecutable(engine)) {
+    console.log(color('red', `❌ ${engine ? `${engine} is not installed` : 'Neither podman nor docker is installed'}`));
+    return false;
+  }
+
+  console.log(color('cyan', `📦 Building ${config.image} from ${dockerfile} with ${engine}...`));
+  const buildArgs = Object.entries(config.build.args);
+  if (buildArgs.length > 0) {
+    console.log(color('yellow', `Build args: ${buildArgs.map(([name, value]) => `${name}=${value}`).join(', ')}`));
+  }
+
+  try {
+    buildImage(engine, { dockerfile, tag: config.image, buildArgs: config.build.args, noCache: flags.cache === false });
+
+    console.log(color('green', `✅ Container built successfully! (${config.image}, sandboxbox ${getSandboxboxVersion()})`));
+    return true;
+  } catch (error) {
+    console.log(color('red', `❌ Build failed: ${error.message}`));
+    return false;
+  }
+}
+
+// The run command: run() with the sandbox and the outcome shown
+export async function runCommand(projectDir, cmd, options = {}) {
+  console.log(color('blue', '🚀 Creating sandbox environment...'));
+  console.log(color('yellow', `Project: ${projectDir}`));
+
+  const sandboxRun = run(projectDir, cmd, { ...options, handleSignals: true });
+  let sandbox = null;
+  sandboxRun.on('sandbox', (opened) => {
+    sandbox = opened;
+    const { resumed, workspace, config, isolation, limits } = opened;
+    console.log(color('yellow', `Command: ${opened.command}\n`));
+    if (resumed) {
+      console.log(color('green', `✅ Resumed sandbox ${opened.session.id}: ${opened.sandboxDir}`));
+    } else {
+      console.log(color('green', `✅ Sandbox created: ${opened.sandboxDir}`));
+      if (VERBOSE_OUTPUT) console.log(color('cyan', `   Workspace (${workspace.mode}) ready in ${workspace.durationMs}ms`));
+      showCopySummary(workspace);
+    }
+    showDirtySummary(opened.dirty);
+    showCredentialSummary(opened.credentials, opened.env);
+    showEnvSummary(opened.env, config.env.mode);
+    showIsolation(isolation);
+    showNetwork(config.network);
+    if (limits) showLimits(limits, isolation.image ? isolation.backend : resolveLimitBackend());
+  });
+  sandboxRun.on('setup', ({ script }) => console.log(color('cyan', `🔧 Setup: ${script}`)));
+  sandboxRun.on('warning', ({ message }) => console.log(color('yellow', `⚠️  ${message}`)));
+  sandboxRun.on('command', () => {
+    showPorts(sandbox.ports);
+    console.log(color('cyan', `📦 Running in ${sandbox.isolation.backend === 'none' ? 'sandbox' : 'isolated environment'}...\n`));
+  });
+
+  let summary;
+  try {
+    summary = await sandboxRun;
+  } catch (error) {
+    console.log(color('red', `❌ ${error.message}`));
+    return false;
+  }
+
+  if (summary.success) {
+    console.log(color('green', '\n✅ Command completed!'));
+  } else {
+    console.log(color('red', `\n❌ Command failed: ${summary.error}`));
+    process.exitCode = summary.exitCode;
+  }
+  showResourceUsage(summary.peak, sandbox?.limits, summary.limit);
+  showBlockedConnections(summary.blockedConnections);
+  showArtifacts(summary.artifacts);
+  showHostBranch(summary.hostBranch);
+  showKeptSession(summary.sandbox ? getSession(summary.sandbox) : null);
+  return summary.success;
+}
+
+export function versionCommand() {
+  console.log(color('green', 'SandboxBox - Process Containment Sandbox'));
+  console.log(color('cyan', 'Using Node.js process isolation'));
+  return true;
+}
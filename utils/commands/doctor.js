@@ -0,0 +1,92 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { execSync } from 'child_process';
+import { color } from '../colors.js';
+import {
+  listHostChanges,
+  releaseStaleHostChanges,
+  findOrphanedSafeDirectories,
+  removeGlobalSafeDirectory
+} from '../host-git.js';
+
+// Run the selected checks (all of them when none is selected).
+// Returns false when problems were found and not fixed.
+export function doctorCommand(projectDir, flags = {}) {
+  const runAll = !flags.hostGit;
+  let healthy = true;
+
+  if (runAll || flags.hostGit) {
+    healthy = checkHostGit(projectDir, flags.fix) && healthy;
+  }
+
+  return healthy;
+}
+
+function describeChange(change) {
+  const where = change.scope === 'global' ? 'global' : change.repo;
+  const previous = change.scope === 'repo' ? ` (was ${change.previous ?? 'unset'})` : '';
+  return `${change.key} = ${change.value} in ${where}${previous}`;
+}
+
+function checkHostGit(projectDir, fix = false) {
+  console.log(color('cyan', '🩺 Host git configuration'));
+  let problems = 0;
+  let manual = 0;
+
+  const changes = listHostChanges();
+  if (changes.length === 0) {
+    console.log(color('green', '  ✅ No host git changes recorded by sandboxbox'));
+  }
+  for (const change of changes) {
+    const live = change.owners.length - change.staleOwners.length;
+    const stale = change.staleOwners.length > 0;
+    console.log(color(stale ? 'yellow' : 'white', `  ${describeChange(change)}`));
+    console.log(`      added ${change.createdAt}, needed by ${live} sandbox(es)${stale ? `, ${change.staleOwners.length} removed without cleanup` : ''}`);
+    if (stale && live === 0) problems++;
+  }
+
+  // Entries added by versions that did not record their changes
+  const orphaned = findOrphanedSafeDirectories();
+  for (const dir of orphaned) {
+    console.log(color('yellow', `  safe.directory = ${dir} in global (directory no longer exists)`));
+    problems++;
+  }
+
+  if (projectDir && existsSync(join(projectDir, '.git'))) {
+    let denyCurrentBranch = null;
+    try {
+      denyCurrentBranch = execSync('git config --local --get receive.denyCurrentBranch', {
+        cwd: projectDir,
+        encoding: 'utf8',
+        stdio: 'pipe'
+      }).trim();
+    } catch (error) {
+      // Not set
+    }
+
+    const recorded = changes.some(change => change.repo === projectDir && change.key === 'receive.denyCurrentBranch');
+    if (denyCurrentBranch === 'updateInstead' && !recorded) {
+      console.log(color('yellow', `  receive.denyCurrentBranch = updateInstead in ${projectDir} (not recorded, possibly set by an older sandboxbox)`));
+      console.log(color('yellow', `      Remove it with: git -C "${projectDir}" config --unset receive.denyCurrentBranch`));
+      manual++;
+    }
+  }
+
+  if (problems === 0) {
+    if (manual === 0) console.log(color('green', '  ✅ Nothing left behind'));
+    return manual === 0;
+  }
+
+  if (!fix) {
+    console.log(color('yellow', `  ⚠️  ${problems} lingering change(s); run with --fix to remove the stale records and orphaned safe.directory entries`));
+    return false;
+  }
+
+  const reverted = releaseStaleHostChanges();
+  reverted.forEach(change => console.log(color('green', `  ✅ Reverted ${describeChange(change)}`)));
+  for (const dir of orphaned) {
+    removeGlobalSafeDirectory(dir);
+    console.log(color('green', `  ✅ Removed safe.directory ${dir}`));
+  }
+  return manual === 0;
+}
@@ -0,0 +1,138 @@
+import { existsSync, statSync } from 'fs';
+import { resolve, basename, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { color } from '../colors.js';
+import { showJobResults } from '../ui.js';
+import { parseEnvAssignments } from '../env.js';
+import { spawnTracked, forwardSignals, signalExitCode, interruptedBy } from '../sandbox.js';
+
+const CLI_PATH = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..', 'cli.js');
+
+// Prefix colours cycled through the jobs
+const JOB_COLORS = ['cyan', 'magenta', 'yellow', 'blue', 'green', 'white'];
+
+function isDirectory(path) {
+  return existsSync(path) && statSync(path).isDirectory();
+}
+
+// `--matrix KEY=a,b` entries as the list of every combination, e.g.
+// [{ NODE: 'a', DB: 'x' }, { NODE: 'a', DB: 'y' }, ...]
+export function expandMatrix(entries = []) {
+  const axes = Object.entries(parseEnvAssignments(entries, '--matrix')).map(([name, values]) => {
+    const list = values.split(',').filter(Boolean);
+    if (list.length === 0) throw new Error(`--matrix ${name} needs at least one value`);
+    return [name, list];
+  });
+
+  return axes.reduce((combinations, [name, values]) => combinations.flatMap(combination => (
+    values.map(value => ({ ...combination, [name]: value }))
+  )), [{}]);
+}
+
+// Leading positionals naming existing directories are the projects, the rest is the command
+function splitProjects(positionals) {
+  const projects = [];
+  let index = 0;
+  while (index < positionals.length && isDirectory(resolve(process.cwd(), positionals[index]))) {
+    projects.push(resolve(process.cwd(), positionals[index]));
+    index++;
+  }
+  return { projects, command: positionals.slice(index).join(' ') };
+}
+
+// Run one job as a child sandboxbox process, streaming its output with a
+// prefix or collecting it until it finishes. Resolves with { exitCode, durationMs }.
+function runJob(job, jobArgs, { buffer, prefix }) {
+  return new Promise((resolvePromise) => {
+    const startTime = Date.now();
+    const envArgs = Object.entries(job.env).map(([name, value]) => `--env=${name}=${value}`);
+    const args = [CLI_PATH, 'run', job.projectDir, ...(job.command ? [job.command] : []), ...jobArgs, ...envArgs];
+    const proc = spawnTracked(process.execPath, args, { stdio: ['ignore', 'pipe', 'pipe'], env: process.env });
+
+    const output = [];
+    const pending = { stdout: '', stderr: '' };
+    const emit = (stream, text) => {
+      const lines = (pending[stream] + text).split('\n');
+      pending[stream] = lines.pop();
+      for (const line of lines) {
+        if (buffer) output.push(line);
+        else process[stream].write(`${prefix} ${line}\n`);
+      }
+    };
+    proc.stdout.on('data', data => emit('stdout', data.toString()));
+    proc.stderr.on('data', data => emit('stderr', data.toString()));
+
+    const finish = (exitCode) => {
+      for (const stream of ['stdout', 'stderr']) {
+        if (pending[stream]) emit(stream, '\n');
+      }
+      if (buffer) {
+        console.log(`\n${prefix} ${color(exitCode === 0 ? 'green' : 'red', exitCode === 0 ? 'passed' : `failed (exit ${exitCode})`)}`);
+        output.forEach(line => console.log(line));
+      }
+      resolvePromise({ exitCode, durationMs: Date.now() - startTime });
+    };
+    proc.on('close', (code, signal) => finish(code ?? signalExitCode(signal)));
+    proc.on('error', (error) => {
+      output.push(color('red', `❌ ${error.message}`));
+      finish(1);
+    });
+  });
+}
+
+// `run` over several projects and/or a matrix of env variations, one sandbox
+// per job and at most `parallel` jobs at a time. Every job is a separate
+// sandboxbox process given `jobArgs` (the run flags) plus its matrix values.
+export async function parallelRunCommand(positionals, options = {}, jobArgs = []) {
+  const { projects, command } = splitProjects(positionals);
+  if (projects.length === 0) {
+    console.log(color('red', '❌ Please specify at least one project directory'));
+    console.log(color('yellow', 'Usage: npx sandboxbox run --parallel <n> <project-dir>... [command] [--matrix KEY=a,b]'));
+    return false;
+  }
+
+  const concurrency = options.parallel === undefined ? 1 : Number(options.parallel);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.log(color('red', `❌ Invalid --parallel value "${options.parallel}" (expected a positive integer)`));
+    return false;
+  }
+
+  const combinations = expandMatrix(options.matrix);
+  const jobs = projects.flatMap(projectDir => combinations.map(env => ({
+    projectDir,
+    command,
+    env,
+    label: [basename(projectDir), ...Object.entries(env).map(([name, value]) => `${name}=${value}`)].join(' ')
+  })));
+  const width = Math.max(...jobs.map(job => job.label.length));
+
+  console.log(color('blue', `🚀 Running ${jobs.length} job(s), ${Math.min(concurrency, jobs.length)} at a time${command ? `: ${command}` : ''}\n`));
+
+  // Children are stopped through their own signal handling, which cleans up their sandboxes
+  forwardSignals(() => {});
+
+  const startTime = Date.now();
+  const results = new Array(jobs.length);
+  let next = 0;
+  const worker = async () => {
+    // Jobs not yet started are dropped once interrupted
+    while (next < jobs.length && !interruptedBy()) {
+      const index = next++;
+      const job = jobs[index];
+      const prefix = color(JOB_COLORS[index % JOB_COLORS.length], `[${job.label.padEnd(width)}]`);
+      results[index] = { ...job, ...(await runJob(job, jobArgs, { buffer: options.buffer, prefix })) };
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+
+  const finished = results.filter(Boolean);
+  showJobResults(finished, Date.now() - startTime);
+  if (interruptedBy()) {
+    console.log(color('yellow', `⚠️  Interrupted: ${jobs.length - finished.length} job(s) not started`));
+    process.exitCode = signalExitCode(interruptedBy());
+    return false;
+  }
+  const failed = finished.some(result => result.exitCode !== 0);
+  if (failed) process.exitCode = 1;
+  return !failed;
+}
@@ -0,0 +1,114 @@
+import { color } from '../colors.js';
+import { BUDGET_OPTIONS } from '../budget.js';
+import { getTranscriptsDir, listTranscripts, readTranscript, resolveTranscript } from '../transcripts.js';
+import { renderEvent } from './claude.js';
+
+const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+
+// Longer pauses (e.g. waiting at the REPL prompt) are shortened to this
+const MAX_PAUSE_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function truncate(text, length = 72) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.substring(0, length - 3)}...` : line;
+}
+
+function describeOutcome(summary) {
+  if (summary.success) return 'succeeded';
+  if (summary.budget) return `stopped by its budget (${BUDGET_OPTIONS[summary.budget]})`;
+  if (summary.limit) return `stopped by the ${summary.limit} limit`;
+  return `failed: ${summary.error}`;
+}
+
+function listTranscriptsCommand() {
+  const transcripts = listTranscripts();
+  if (transcripts.length === 0) {
+    console.log(color('yellow', 'No transcripts. Record one with: npx sandboxbox claude <project-dir> "<prompt>" --transcript'));
+    return true;
+  }
+
+  console.log(color('cyan', `📼 Transcripts in ${getTranscriptsDir()} (${transcripts.length}):\n`));
+  for (const { name, path } of transcripts) {
+    let transcript;
+    try {
+      transcript = readTranscript(path);
+    } catch (error) {
+      console.log(color('red', `  ${name} (${error.message})`));
+      continue;
+    }
+    const { header, end } = transcript;
+    console.log(color(end?.summary.success ? 'green' : 'red', `  ${name}`));
+    console.log(`    Project: ${header.projectDir}${header.gitSha ? ` @ ${header.gitSha.substring(0, 12)}` : ''}`);
+    console.log(`    Prompt:  ${truncate(header.prompt) || '-'}`);
+    console.log(`    Result:  ${end ? `${describeOutcome(end.summary)} after ${(end.summary.durationMs / 1000).toFixed(1)}s` : 'unfinished'}`);
+  }
+  return true;
+}
+
+function showReplaySummary(end) {
+  if (!end) {
+    console.log(color('yellow', '\n⚠️  The transcript ends before the run finished'));
+    return;
+  }
+
+  const { summary } = end;
+  console.log(color(summary.success ? 'green' : 'red', `\n${summary.success ? '✅' : '❌'} Run ${describeOutcome(summary)} (exit code ${summary.exitCode})`));
+  console.log(color('cyan', `   ${summary.turns} prompt(s), ${summary.toolCalls} tool call(s), $${summary.costUsd.toFixed(4)}, ${(summary.durationMs / 1000).toFixed(1)}s`));
+  if (summary.commits.length > 0) {
+    console.log(color('cyan', `   ${summary.commits.length} commit(s):`));
+    summary.commits.forEach(commit => console.log(color('cyan', `     ${commit.sha} ${commit.subject}`)));
+  }
+  if (summary.filesChanged.length > 0) {
+    console.log(color('cyan', `   ${summary.filesChanged.length} file(s) changed`));
+  }
+}
+
+// Show a recorded `claude` run the way it looked live, with its recorded
+// pauses scaled by `speed` (2 is twice as fast, 0 shows everything at once).
+// --text-only and --tools-only pick what is shown. Without a transcript, lists them.
+export async function replayCommand(name, flags = {}) {
+  if (!name) return listTranscriptsCommand();
+
+  if (flags.textOnly && flags.toolsOnly) {
+    console.log(color('red', '❌ --text-only and --tools-only cannot be combined'));
+    return false;
+  }
+  const speed = flags.speed === undefined ? 1 : Number(flags.speed);
+  if (!(speed >= 0)) {
+    console.log(color('red', `❌ Invalid --speed value "${flags.speed}" (expected a number, e.g. 2 or 0.5)`));
+    return false;
+  }
+
+  let transcript;
+  try {
+    transcript = readTranscript(resolveTranscript(name));
+  } catch (error) {
+    console.log(color('red', `❌ ${error.message}`));
+    return false;
+  }
+  const { header, records, end } = transcript;
+
+  console.log(color('cyan', `📼 Replaying a claude run of ${header.projectDir}`));
+  console.log(color('yellow', `   Started ${header.startedAt} at ${header.gitSha ? header.gitSha.substring(0, 12) : 'no commit'} in sandbox ${header.sandbox}`));
+  if (VERBOSE_OUTPUT) console.log(color('yellow', `   Flags: ${JSON.stringify(header.flags)}`));
+
+  const show = { verbose: VERBOSE_OUTPUT, text: !flags.toolsOnly, tools: !flags.textOnly };
+  let previousTime = header.t;
+  for (const record of records) {
+    if (speed > 0) await sleep(Math.min(record.t - previousTime, MAX_PAUSE_MS) / speed);
+    previousTime = record.t;
+
+    if (record.type === 'event') {
+      renderEvent(record.event, show);
+    } else if (record.type === 'prompt' && show.text) {
+      console.log(color('magenta', `\n› ${record.text}\n`));
+    } else if (record.type === 'stage' && VERBOSE_OUTPUT) {
+      console.log(color('cyan', `⏱️  Stage ${record.stage}: ${record.durationMs}ms`));
+    }
+  }
+
+  showReplaySummary(end);
+  return true;
+}
@@ -0,0 +1,135 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createInterface } from 'readline/promises';
+import { color } from '../colors.js';
+import { getSession, saveSession, removeSession } from '../sessions.js';
+import { getSandboxChanges, getSandboxDiff, applySandboxChanges } from '../review.js';
+
+const STATUS_LABELS = { A: 'added', M: 'modified', D: 'deleted', T: 'type changed' };
+
+// Show what a kept sandbox produced relative to its starting point and apply
+// all of it, some files, or discard the sandbox. Without --apply, --file or
+// --discard the choice is asked interactively when stdin is a terminal.
+export async function reviewCommand(id, flags = {}) {
+  const session = getSession(id);
+  if (!session) {
+    console.log(color('red', `❌ No kept sandbox named "${id}"`));
+    return false;
+  }
+
+  const workspaceDir = join(session.sandboxDir, 'workspace');
+  if (!existsSync(workspaceDir)) {
+    console.log(color('red', `❌ Sandbox "${id}" no longer exists on disk: ${session.sandboxDir}`));
+    console.log(color('yellow', `Remove it with: npx sandboxbox sessions rm ${id}`));
+    return false;
+  }
+
+  const { commits, files } = getSandboxChanges(workspaceDir, session.workspace);
+
+  console.log(color('cyan', `🔍 Review of sandbox ${id}`));
+  console.log(color('yellow', `Project: ${session.projectDir}`));
+  console.log('');
+
+  if (files.length === 0) {
+    console.log(color('green', '✅ The sandbox has no changes relative to the host'));
+    return flags.discard ? discard(id, flags) : true;
+  }
+
+  if (commits.length > 0) {
+    console.log(color('cyan', `Commits (${commits.length}):`));
+    commits.forEach(commit => console.log(`  ${color('yellow', commit.sha)} ${commit.subject}`));
+    console.log('');
+  }
+
+  console.log(color('cyan', `Changed files (${files.length}):`));
+  files.forEach((file, index) => {
+    console.log(`  ${String(index + 1).padStart(3)}. ${(STATUS_LABELS[file.status] || file.status).padEnd(12)} ${file.path}`);
+  });
+  console.log('');
+
+  if (!flags.stat) {
+    process.stdout.write(getSandboxDiff(workspaceDir, session.workspace, [], { color: process.stdout.isTTY }));
+    console.log('');
+  }
+
+  if (flags.apply || flags.file) {
+    if (!apply(session, workspaceDir, flags.file || [], files)) return false;
+    return flags.discard ? discard(id, flags) : showRemoveHint(id);
+  }
+
+  if (flags.discard) {
+    return discard(id, flags);
+  }
+
+  if (!process.stdin.isTTY) {
+    console.log(color('yellow', `Apply with: npx sandboxbox review ${id} --apply (or --file <path>), discard with --discard`));
+    return true;
+  }
+
+  const prompt = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = (await prompt.question('Apply all [a], apply selected files [s], discard the sandbox [d] or quit [q]? ')).trim().toLowerCase();
+
+    if (answer === 'a') {
+      return apply(session, workspaceDir, [], files) && showRemoveHint(id);
+    }
+
+    if (answer === 's') {
+      const selection = await prompt.question('Files to apply (numbers or paths, separated by spaces or commas): ');
+      const paths = selection.split(/[\s,]+/).filter(Boolean).map(item => files[Number(item) - 1]?.path || item);
+      return apply(session, workspaceDir, paths, files) && showRemoveHint(id);
+    }
+
+    if (answer === 'd') {
+      const confirm = await prompt.question(`Delete sandbox ${id} and all of its changes? [y/N] `);
+      return confirm.trim().toLowerCase() === 'y' ? discard(id, flags) : true;
+    }
+
+    return true;
+  } finally {
+    prompt.close();
+  }
+}
+
+function apply(session, workspaceDir, paths, files) {
+  const unknown = paths.filter(path => !files.some(file => file.path === path));
+  if (unknown.length > 0) {
+    console.log(color('red', `❌ Not changed in the sandbox: ${unknown.join(', ')}`));
+    return false;
+  }
+
+  let result;
+  try {
+    result = applySandboxChanges(session.projectDir, workspaceDir, session.workspace, paths);
+  } catch (error) {
+    console.log(color('red', `❌ ${error.message}`));
+    return false;
+  }
+
+  const count = paths.length > 0 ? paths.length : files.length;
+  saveSession(session.id, { appliedAt: new Date().toISOString() });
+
+  if (result.conflicts.length > 0) {
+    console.log(color('yellow', `⚠️  Applied ${count} file(s) to ${session.projectDir}, with conflicts in: ${result.conflicts.join(', ')}`));
+    console.log(color('yellow', '   Resolve the conflict markers before committing'));
+  } else {
+    console.log(color('green', `✅ Applied ${count} file(s) to ${session.projectDir} as uncommitted changes`));
+  }
+  return true;
+}
+
+function showRemoveHint(id) {
+  console.log(color('yellow', `   Remove the sandbox when done with: npx sandboxbox sessions rm ${id}`));
+  return true;
+}
+
+function discard(id, flags) {
+  try {
+    removeSession(id, { force: flags.force });
+  } catch (error) {
+    console.log(color('red', `❌ ${error.message}`));
+    return false;
+  }
+  console.log(color('green', `✅ Discarded sandbox ${id}`));
+  return true;
+}
@@ -0,0 +1,82 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { color } from '../colors.js';
+import { listSessions, getSession, removeSession } from '../sessions.js';
+import { runCommand } from './container.js';
+import { shellCommand } from './shell.js';
+import { claudeCommand } from './claude.js';
+
+export function sessionsListCommand() {
+  const sessions = listSessions();
+
+  if (sessions.length === 0) {
+    console.log(color('yellow', 'No kept sandboxes. Use --name <id> or --keep to keep one.'));
+    return true;
+  }
+
+  console.log(color('cyan', `📦 Kept sandboxes (${sessions.length}):\n`));
+  for (const session of sessions) {
+    const missing = !existsSync(join(session.sandboxDir, 'workspace'));
+    console.log(color(missing ? 'red' : 'green', `  ${session.id}${missing ? ' (workspace missing)' : ''}`));
+    console.log(`    Project:      ${session.projectDir}`);
+    console.log(`    Branch:       ${session.branch || '-'}`);
+    console.log(`    Workspace:    ${session.workspace?.mode || '-'}`);
+    console.log(`    Created:      ${session.createdAt}`);
+    console.log(`    Last used:    ${session.lastUsedAt}`);
+    console.log(`    Last command: ${session.lastCommand || '-'}`);
+    if (session.claudeSessionId) console.log(`    Claude:       ${session.claudeSessionId}`);
+  }
+  return true;
+}
+
+export async function sessionsResumeCommand(id, mode = 'shell', rest = [], flags = {}) {
+  const session = getSession(id);
+  if (!session) {
+    console.log(color('red', `❌ No kept sandbox named "${id}"`));
+    return false;
+  }
+
+  if (!existsSync(join(session.sandboxDir, 'workspace'))) {
+    console.log(color('red', `❌ Sandbox "${id}" no longer exists on disk: ${session.sandboxDir}`));
+    console.log(color('yellow', `Remove it with: npx sandboxbox sessions rm ${id}`));
+    return false;
+  }
+
+  const options = { ...flags, name: id, keep: true };
+
+  switch (mode) {
+    case 'run':
+      if (rest.length === 0) {
+        console.log(color('red', '❌ Please specify a command to run'));
+        return false;
+      }
+      return runCommand(session.projectDir, rest.join(' '), options);
+    case 'shell':
+      return shellCommand(session.projectDir, options);
+    case 'claude':
+      // Picks up the sandbox's Claude conversation unless --no-continue is given
+      return claudeCommand(session.projectDir, rest.join(' '), { ...options, continue: flags.continue ?? Boolean(session.claudeSessionId) });
+    default:
+      console.log(color('red', `❌ Unknown resume mode: ${mode}`));
+      console.log(color('yellow', 'Usage: npx sandboxbox sessions resume <id> [run|shell|claude] [cmd]'));
+      return false;
+  }
+}
+
+export function sessionsRemoveCommand(id, flags = {}) {
+  let removed;
+  try {
+    removed = removeSession(id, { force: flags.force });
+  } catch (error) {
+    console.log(color('red', `❌ ${error.message}`));
+    return false;
+  }
+
+  if (!removed) {
+    console.log(color('red', `❌ No kept sandbox named "${id}"`));
+    return false;
+  }
+
+  console.log(color('green', `✅ Removed sandbox ${id}`));
+  return true;
+}
@@ -0,0 +1,178 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { color } from '../colors.js';
+import { showKeptSession, showHostBranch, showDirtySummary, showCredentialSummary, showEnvSummary, showIsolation, showNetwork, showLimits, showArtifacts, showPorts } from '../ui.js';
+import { createSandboxEnv, runInSandbox, getIsolationOptions, forwardSignals, spawnTracked, signalExitCode } from '../sandbox.js';
+import { openSandbox } from '../runs.js';
+import { loadConfig, configFromFlags } from '../config.js';
+import { findSandboxContainer, containerExecCommand } from '../backends.js';
+import { resolveIsolation } from '../isolation.js';
+import { checkNetworkSupport } from '../network.js';
+import { resolveLimitBackend, LIMIT_EXIT_CODES } from '../limits.js';
+import { listRunning } from '../sessions.js';
+import { shellLauncher, writeShellRcFiles, startShellHistory, shellEnv } from '../shell.js';
+
+const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+
+function hasTerminal() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+// Interactive shell in a new (or kept) sandbox. The sandbox is kept unless
+// --no-keep is given, so work done in it survives leaving the shell.
+export async function shellCommand(projectDir, options = {}) {
+  const interactive = hasTerminal();
+  let sandbox = null;
+  let history = null;
+  const emit = (type, data) => {
+    if (type === 'warning') console.log(color('yellow', `⚠️  ${data.message}`));
+    if (type === 'setup') console.log(color('cyan', `🔧 Setup: ${data.script}`));
+    if (type === 'sandbox') showSandbox(data);
+  };
+
+  try {
+    sandbox = await openSandbox(projectDir, { ...options, keep: options.keep ?? true, handleSignals: true }, emit, {
+      command: () => 'shell',
+      onCreated: (opened) => {
+        history = startShellHistory(projectDir, opened.sandboxDir);
+        writeShellRcFiles(opened.sandboxDir);
+      },
+      env: sandboxDir => ({
+        PLAYWRIGHT_BROWSERS_PATH: join(sandboxDir, 'browsers'),
+        ...shellEnv(sandboxDir, sandbox.id, { shell: sandbox.config.shell }),
+        ...history.env
+      })
+    });
+  } catch (error) {
+    console.log(color('red', `❌ ${error.message}`));
+    return false;
+  }
+  if (!interactive) {
+    console.log(color('yellow', '⚠️  No terminal: the shell reads commands from stdin'));
+  }
+  // Ctrl-\ is meant for the shell, which ignores it
+  process.on('SIGQUIT', () => {});
+
+  let outcome;
+  try {
+    await sandbox.start();
+    console.log(color('green', `🐚 Sandbox ${sandbox.id}${sandbox.resumed ? ' (resumed)' : ''}: ${sandbox.workspaceDir}`));
+    showPorts(sandbox.ports);
+    console.log(color('cyan', `   Attach another shell with: npx sandboxbox attach ${sandbox.id}\n`));
+    outcome = await sandbox.exec(shellLauncher(interactive));
+  } catch (error) {
+    console.log(color('red', `\n❌ Shell failed: ${error.message}`));
+    outcome = { exitCode: error.limit ? LIMIT_EXIT_CODES[error.limit] : (error.exitCode || 1) };
+  }
+  history.finish();
+
+  // A shell exiting non-zero reports its last command's status, not a sandbox failure
+  if (outcome.exitCode !== 0) process.exitCode = outcome.exitCode;
+  const { artifacts, hostBranch, session } = sandbox.close({ exitCode: outcome.exitCode });
+  showArtifacts(artifacts);
+  showHostBranch(hostBranch);
+  showKeptSession(session);
+  return outcome.exitCode === 0;
+}
+
+// Show the sandbox a shell runs in once its environment is set up
+function showSandbox(sandbox) {
+  const { resumed, workspace, config, isolation, limits } = sandbox;
+  if (VERBOSE_OUTPUT && !resumed) console.log(color('cyan', `   Workspace (${workspace.mode}) ready in ${workspace.durationMs}ms`));
+  showDirtySummary(sandbox.dirty);
+  showCredentialSummary(sandbox.credentials, sandbox.env);
+  showEnvSummary(sandbox.env, config.env.mode);
+  showIsolation(isolation);
+  showNetwork(config.network);
+  if (limits) showLimits(limits, isolation.image ? isolation.backend : resolveLimitBackend());
+}
+
+// Open another shell in a sandbox that a running `run`, `shell` or `claude`
+// is using. Container sandboxes get a shell in the same container; process
+// sandboxes a new isolated shell over the same files (their processes stay
+// private to the original session).
+export async function attachCommand(id, options = {}) {
+  const running = listRunning();
+
+  if (!id) {
+    if (running.length === 1) {
+      id = running[0].id;
+    } else {
+      console.log(color(running.length === 0 ? 'yellow' : 'cyan', running.length === 0 ? 'No running sandboxes.' : `📦 Running sandboxes (${running.length}):\n`));
+      for (const entry of running) {
+        console.log(color('green', `  ${entry.id}`));
+        console.log(`    Project: ${entry.projectDir}`);
+        console.log(`    Command: ${entry.command || '-'}`);
+        if (entry.ports?.length > 0) console.log(`    Ports:   ${entry.ports.join(', ')}`);
+        console.log(`    Started: ${entry.startedAt}`);
+      }
+      if (running.length > 0) console.log(color('yellow', '\nUsage: npx sandboxbox attach <id>'));
+      return running.length === 0;
+    }
+  }
+
+  const entry = running.find(candidate => candidate.id === id);
+  if (!entry) {
+    console.log(color('red', `❌ No running sandbox "${id}"`));
+    console.log(color('yellow', 'Kept sandboxes that are not running can be re-entered with: npx sandboxbox sessions resume <id> shell'));
+    return false;
+  }
+
+  const { config: loadedConfig } = loadConfig(entry.projectDir, configFromFlags(options));
+  const config = { ...loadedConfig, ...entry.config, shell: options.shell ?? entry.config.shell ?? loadedConfig.shell };
+  const { sandboxDir } = entry;
+  const workspaceDir = join(sandboxDir, 'workspace');
+  const interactive = hasTerminal();
+
+  process.on('SIGQUIT', () => {});
+  const history = startShellHistory(entry.projectDir, sandboxDir);
+  writeShellRcFiles(sandboxDir);
+  const env = createSandboxEnv(sandboxDir, {
+    PLAYWRIGHT_BROWSERS_PATH: join(sandboxDir, 'browsers'),
+    ...shellEnv(sandboxDir, id, { shell: config.shell, attached: true }),
+    ...history.env
+  }, { ...config, allocatedPorts: entry.ports || [] });
+
+  console.log(color('green', `🐚 Attached to ${id} (${entry.command || 'sandbox'}): ${workspaceDir}`));
+  console.log(color('cyan', '   Leaving this shell does not stop the sandbox\n'));
+
+  try {
+    const container = findSandboxContainer(sandboxDir);
+    if (container) {
+      const exec = containerExecCommand(['/bin/sh', '-c', shellLauncher(interactive)], {
+        ...container,
+        cwd: workspaceDir,
+        env,
+        tty: interactive
+      });
+      forwardSignals(() => history.finish());
+      const code = await new Promise((resolve, reject) => {
+        const proc = spawnTracked(exec.argv[0], exec.argv.slice(1), { env: exec.env, stdio: 'inherit' });
+        proc.on('close', (exitCode, signal) => resolve(exitCode ?? signalExitCode(signal)));
+        proc.on('error', reject);
+      });
+      history.finish();
+      process.exitCode = code;
+      return code === 0;
+    }
+
+    const isolation = resolveIsolation(config.isolation.mode);
+    checkNetworkSupport(config.network.mode, isolation);
+    // Allowlisted sandboxes keep using the egress proxy of the original session
+    const proxySocket = join(sandboxDir, '.sandboxbox-egress.sock');
+    const proxy = config.network.mode === 'allowlist' && existsSync(proxySocket) ? { socketPath: proxySocket } : null;
+    if (config.network.mode === 'allowlist' && !proxy) {
+      throw new Error('The egress proxy of the original session is gone');
+    }
+
+    forwardSignals(() => history.finish());
+    await runInSandbox(shellLauncher(interactive), [], sandboxDir, env, getIsolationOptions(isolation, config, entry.hostPaths, proxy));
+    history.finish();
+    return true;
+  } catch (error) {
+    history.finish();
+    if (error.exitCode === undefined) console.log(color('red', `\n❌ Attach failed: ${error.message}`));
+    process.exitCode = error.exitCode || 1;
+    return false;
+  }
+}
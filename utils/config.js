@@ -0,0 +1,343 @@
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { getDataDir } from './sessions.js';
+import { WORKSPACE_MODES } from './workspace.js';
+import { COPY_MODES } from './copy.js';
+import { CREDENTIAL_NAMES, parseCredentialList } from './credentials.js';
+import { ENV_MODES, parseEnvAssignments } from './env.js';
+import { ISOLATION_MODES } from './isolation.js';
+import { NETWORK_MODES } from './network.js';
+import { BACKENDS, DEFAULT_IMAGE } from './backends.js';
+import { DEFAULT_PORT_RANGE } from './ports.js';
+
+// Project configuration files, first match wins
+export const PROJECT_CONFIG_FILES = ['sandboxbox.config.json', '.sandboxboxrc'];
+
+export const DEFAULT_GITIGNORE = ['.claude/', 'node_modules/', '*.log', '.DS_Store'];
+
+export const DEFAULT_PREAMBLE = 'You are working in a sandboxed environment. Your working directory is "{workspace}". All operations should be performed in this directory.';
+
+// Every supported setting. `append` lists are added to by later layers instead of replaced,
+// `merge` maps are combined key by key.
+export const CONFIG_SCHEMA = {
+  command: { type: 'string', default: null, description: 'Default command for `run` when none is given' },
+  shell: { type: 'string', default: null, description: 'Shell started by `shell` and `attach` (default: $SHELL inside the sandbox)' },
+  setup: { type: 'array', items: 'string', default: [], description: 'Shell commands run in a new workspace before the command' },
+  excludes: { type: 'array', items: 'string', default: [], append: true, description: 'Extra ignore globs when copying non-git projects' },
+  workspaceMode: { type: 'string', enum: WORKSPACE_MODES, default: 'shallow', description: 'How git projects are materialised' },
+  copyMode: { type: 'string', enum: COPY_MODES, default: 'reflink', description: 'How non-git projects are copied' },
+  includeDirty: { type: 'boolean', default: false, description: 'Carry uncommitted host changes into the sandbox' },
+  gitignore: { type: 'array', items: 'string', default: DEFAULT_GITIGNORE, description: 'Entries ensured in the workspace .gitignore' },
+  playwrightCache: { type: 'boolean', default: true, description: 'Link the host Playwright browser cache into the sandbox' },
+  autoPush: { type: 'boolean', default: true, description: 'Let the sandbox push directly into the host repository' },
+  hostBranch: { type: 'boolean', default: false, description: 'Land commits on a dedicated host branch instead of the checked-out one' },
+  branchPrefix: { type: 'string', default: 'sandboxbox/', description: 'Prefix of dedicated host and worktree branches' },
+  hostMutation: { type: 'boolean', default: true, description: 'Allow recorded changes to host git config (false keeps them inside the sandbox)' },
+  credentials: { type: 'array', items: 'string', enum: CREDENTIAL_NAMES, default: [], append: true, description: 'Host credentials exposed read-only in the sandbox home' },
+  env: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ENV_MODES, default: 'inherit', description: 'Which host variables reach the sandbox' },
+      passthrough: { type: 'array', items: 'string', default: [], append: true, description: 'Extra host variables copied in every env mode' },
+      files: { type: 'array', items: 'string', default: [], append: true, description: 'dotenv files loaded into the sandbox; paths are relative to the declaring config' },
+      set: { type: 'map', values: 'string', default: {}, merge: true, description: 'Variables set in the sandbox' }
+    }
+  },
+  backend: { type: 'string', enum: BACKENDS, default: 'auto', description: 'Where commands run: host processes or the sandboxbox image via podman or docker' },
+  image: { type: 'string', default: DEFAULT_IMAGE, description: 'Image used by the podman and docker backends' },
+  build: {
+    type: 'object',
+    properties: {
+      dockerfile: { type: 'string', default: null, description: 'Dockerfile for `build` and the staleness check; relative to the declaring config' },
+      args: { type: 'map', values: 'string', default: {}, merge: true, description: 'Build args, e.g. CLAUDE_CODE_VERSION or TZ' },
+      autoRebuild: { type: 'boolean', default: false, description: 'Rebuild an out-of-date image before running instead of warning' }
+    }
+  },
+  isolation: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ISOLATION_MODES, default: 'auto', description: 'How sandboxed commands are confined (auto picks the strongest available backend)' },
+      readOnly: { type: 'array', items: 'string', default: [], append: true, description: 'Extra host paths visible read-only to isolated commands; relative to the declaring config' },
+      readWrite: { type: 'array', items: 'string', default: [], append: true, description: 'Extra host paths writable by isolated commands; relative to the declaring config' }
+    }
+  },
+  network: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: NETWORK_MODES, default: 'full', description: 'Network access of sandboxed commands (none and allowlist need isolation)' },
+      allow: { type: 'array', items: 'string', default: [], append: true, description: 'Hosts reachable in allowlist mode: host, *.domain, optionally :port' }
+    }
+  },
+  ports: {
+    type: 'object',
+    properties: {
+      count: { type: 'number', default: 1, description: 'Free ports allocated to each sandbox and exported as PORT / SANDBOXBOX_PORT (0 for none)' },
+      range: { type: 'string', default: DEFAULT_PORT_RANGE, description: 'Host ports to allocate from, e.g. 3000-3999' }
+    }
+  },
+  limits: {
+    type: 'object',
+    properties: {
+      timeout: { type: 'string', default: null, description: 'Wall-clock limit per command, e.g. 90s, 10m or 2h' },
+      memory: { type: 'string', default: null, description: 'Memory limit, e.g. 512m or 2g' },
+      cpus: { type: 'number', default: null, description: 'CPU limit in cores, e.g. 1.5' },
+      pids: { type: 'number', default: null, description: 'Maximum number of processes' }
+    }
+  },
+  artifacts: {
+    type: 'object',
+    properties: {
+      paths: { type: 'array', items: 'string', default: [], append: true, description: 'Workspace files copied to the host before cleanup (.gitignore-style globs)' },
+      dir: { type: 'string', default: '.sandboxbox/artifacts', description: 'Where artifacts go, in a subdirectory per sandbox; relative to the project (or the declaring config)' }
+    }
+  },
+  budget: {
+    type: 'object',
+    properties: {
+      maxCost: { type: 'number', default: null, description: 'Stop `claude` once the run has cost this many US dollars (estimated live from token usage)' },
+      maxTurns: { type: 'number', default: null, description: 'Stop `claude` after this many turns (API round trips)' },
+      maxDuration: { type: 'string', default: null, description: 'Stop `claude` after it has run this long, e.g. 90s, 10m or 2h' },
+      maxToolCalls: { type: 'number', default: null, description: 'Stop `claude` after this many tool calls' }
+    }
+  },
+  claude: {
+    type: 'object',
+    properties: {
+      args: { type: 'array', items: 'string', default: [], description: 'Extra arguments passed to the claude CLI' },
+      preamble: { type: 'string', default: DEFAULT_PREAMBLE, description: 'Text prepended to every prompt; {workspace} is replaced with the workspace path' },
+      transcript: { type: 'boolean', default: false, description: 'Record every run\'s event stream and metadata in ~/.sandboxbox/transcripts for `sandboxbox replay`' }
+    }
+  }
+};
+
+// Environment variables that override a setting, applied after the config files
+const ENV_OVERRIDES = {
+  workspaceMode: 'SANDBOX_WORKSPACE_MODE',
+  'env.mode': 'SANDBOX_ENV_MODE',
+  backend: 'SANDBOX_BACKEND',
+  'isolation.mode': 'SANDBOX_ISOLATION',
+  'network.mode': 'SANDBOX_NETWORK'
+};
+
+export function findProjectConfig(projectDir) {
+  for (const fileName of PROJECT_CONFIG_FILES) {
+    const filePath = join(projectDir, fileName);
+    if (existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+export function getUserConfigPath() {
+  return join(getDataDir(), 'config.json');
+}
+
+function readConfigFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+
+  const problems = validateConfig(parsed);
+  if (problems.length > 0) {
+    throw new Error(`Invalid sandboxbox configuration in ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return resolveConfigPaths(parsed, dirname(filePath));
+}
+
+// Settings holding paths, which are relative to the file (or working directory) that declared them
+const PATH_SETTINGS = ['env.files', 'isolation.readOnly', 'isolation.readWrite', 'build.dockerfile', 'artifacts.dir'];
+
+function resolveConfigPaths(values, baseDir) {
+  let resolved = values;
+  for (const path of PATH_SETTINGS) {
+    const value = getPath(values, path);
+    if (!Array.isArray(value) && typeof value !== 'string') continue;
+    resolved = structuredClone(resolved);
+    setPath(resolved, path, Array.isArray(value) ? value.map(file => resolve(baseDir, file)) : resolve(baseDir, value));
+  }
+  return resolved;
+}
+
+// Returns a list of human-readable problems, empty when the config is valid
+export function validateConfig(config, schema = CONFIG_SCHEMA, prefix = '') {
+  const problems = [];
+
+  if (!isPlainObject(config)) {
+    return [`${prefix || 'configuration'} must be an object`];
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key];
+
+    if (key === '$schema' && !prefix) continue;
+    if (!rule) {
+      problems.push(`${path} is not a known setting`);
+      continue;
+    }
+
+    if (rule.type === 'object') {
+      problems.push(...validateConfig(value, rule.properties, path));
+    } else {
+      problems.push(...validateValue(value, rule, path));
+    }
+  }
+
+  return problems;
+}
+
+function validateValue(value, rule, path) {
+  if (value === null && rule.default === null) return [];
+
+  switch (rule.type) {
+    case 'string':
+    case 'boolean':
+    case 'number':
+      if (typeof value !== rule.type) return [`${path} must be a ${rule.type}`];
+      if (rule.enum && !rule.enum.includes(value)) return [`${path} must be one of: ${rule.enum.join(', ')}`];
+      return [];
+
+    case 'array':
+      if (!Array.isArray(value)) return [`${path} must be an array of ${rule.items}s`];
+      return value.flatMap((item, index) => {
+        if (typeof item !== rule.items) return [`${path}[${index}] must be a ${rule.items}`];
+        if (rule.enum && !rule.enum.includes(item)) return [`${path}[${index}] must be one of: ${rule.enum.join(', ')}`];
+        return [];
+      });
+
+    case 'map':
+      if (!isPlainObject(value)) return [`${path} must be an object`];
+      return Object.entries(value)
+        .filter(([, item]) => typeof item !== rule.values)
+        .map(([name]) => `${path}.${name} must be a ${rule.values}`);
+
+    default:
+      return [];
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Flatten the schema into leaf settings keyed by dotted path
+function schemaLeaves(schema = CONFIG_SCHEMA, prefix = '') {
+  return Object.entries(schema).flatMap(([key, rule]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return rule.type === 'object' ? schemaLeaves(rule.properties, path) : [[path, rule]];
+  });
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+// Merge defaults, the user config, the project config, environment overrides and
+// CLI overrides (in that order). Returns the effective config and, for every
+// setting, a description of where its value came from.
+export function loadConfig(projectDir, cliOverrides = {}) {
+  const layers = [];
+
+  const userConfigPath = getUserConfigPath();
+  if (existsSync(userConfigPath)) {
+    layers.push({ source: `user (${userConfigPath})`, values: readConfigFile(userConfigPath) });
+  }
+
+  const projectConfigPath = projectDir ? findProjectConfig(projectDir) : null;
+  if (projectConfigPath) {
+    layers.push({ source: `project (${projectConfigPath})`, values: readConfigFile(projectConfigPath) });
+  }
+
+  const envValues = {};
+  for (const [path, varName] of Object.entries(ENV_OVERRIDES)) {
+    if (process.env[varName]) setPath(envValues, path, process.env[varName]);
+  }
+  const envProblems = validateConfig(envValues);
+  if (envProblems.length > 0) {
+    throw new Error(`Invalid sandboxbox environment override: ${envProblems.join(', ')}`);
+  }
+  layers.push({ source: 'environment', values: envValues });
+
+  const cliProblems = validateConfig(cliOverrides);
+  if (cliProblems.length > 0) {
+    throw new Error(`Invalid option: ${cliProblems.join(', ')}`);
+  }
+  layers.push({ source: 'command line', values: resolveConfigPaths(cliOverrides, process.cwd()) });
+
+  const config = {};
+  const sources = {};
+
+  for (const [path, rule] of schemaLeaves()) {
+    let value = rule.default;
+    let source = 'default';
+
+    for (const layer of layers) {
+      const layerValue = getPath(layer.values, path);
+      if (layerValue === undefined) continue;
+
+      if (rule.append || rule.merge) {
+        value = rule.append ? [...new Set([...value, ...layerValue])] : { ...value, ...layerValue };
+        source = source === 'default' ? layer.source : `${source} + ${layer.source}`;
+      } else {
+        value = layerValue;
+        source = layer.source;
+      }
+    }
+
+    setPath(config, path, value);
+    sources[path] = source;
+  }
+
+  return { config, sources, files: { user: existsSync(userConfigPath) ? userConfigPath : null, project: projectConfigPath } };
+}
+
+// Map parsed CLI flags onto config settings; unset flags leave the config alone
+export function configFromFlags(flags = {}) {
+  const overrides = {};
+  if (flags.shell !== undefined) overrides.shell = flags.shell;
+  if (flags.workspaceMode !== undefined) overrides.workspaceMode = flags.workspaceMode;
+  if (flags.includeDirty !== undefined) overrides.includeDirty = flags.includeDirty;
+  if (flags.copyMode !== undefined) overrides.copyMode = flags.copyMode;
+  if (flags.exclude !== undefined) overrides.excludes = flags.exclude;
+  if (flags.autoPush !== undefined) overrides.autoPush = flags.autoPush;
+  if (flags.hostBranch !== undefined) overrides.hostBranch = flags.hostBranch;
+  if (flags.branchPrefix !== undefined) overrides.branchPrefix = flags.branchPrefix;
+  if (flags.hostMutation !== undefined) overrides.hostMutation = flags.hostMutation;
+  if (flags.cred !== undefined) overrides.credentials = parseCredentialList(flags.cred);
+  if (flags.envMode !== undefined) setPath(overrides, 'env.mode', flags.envMode);
+  if (flags.envFile !== undefined) setPath(overrides, 'env.files', flags.envFile);
+  if (flags.env !== undefined) setPath(overrides, 'env.set', parseEnvAssignments(flags.env));
+  if (flags.backend !== undefined) overrides.backend = flags.backend;
+  if (flags.tag !== undefined) overrides.image = flags.tag;
+  if (flags.buildArg !== undefined) setPath(overrides, 'build.args', parseEnvAssignments(flags.buildArg, '--build-arg'));
+  if (flags.autoRebuild !== undefined) setPath(overrides, 'build.autoRebuild', flags.autoRebuild);
+  if (flags.isolation !== undefined) setPath(overrides, 'isolation.mode', flags.isolation);
+  if (flags.network !== undefined) setPath(overrides, 'network.mode', flags.network);
+  if (flags.ports !== undefined) setPath(overrides, 'ports.count', Number(flags.ports));
+  if (flags.portRange !== undefined) setPath(overrides, 'ports.range', flags.portRange);
+  if (flags.timeout !== undefined) setPath(overrides, 'limits.timeout', flags.timeout);
+  if (flags.memory !== undefined) setPath(overrides, 'limits.memory', flags.memory);
+  if (flags.cpus !== undefined) setPath(overrides, 'limits.cpus', Number(flags.cpus));
+  if (flags.pids !== undefined) setPath(overrides, 'limits.pids', Number(flags.pids));
+  if (flags.transcript !== undefined) setPath(overrides, 'claude.transcript', flags.transcript);
+  if (flags.maxCost !== undefined) setPath(overrides, 'budget.maxCost', Number(flags.maxCost));
+  if (flags.maxTurns !== undefined) setPath(overrides, 'budget.maxTurns', Number(flags.maxTurns));
+  if (flags.maxDuration !== undefined) setPath(overrides, 'budget.maxDuration', flags.maxDuration);
+  if (flags.maxToolCalls !== undefined) setPath(overrides, 'budget.maxToolCalls', Number(flags.maxToolCalls));
+  if (flags.artifacts !== undefined) setPath(overrides, 'artifacts.paths', flags.artifacts.flatMap(value => value.split(',')).filter(Boolean));
+  if (flags.artifactsDir !== undefined) setPath(overrides, 'artifacts.dir', flags.artifactsDir);
+  if (flags.allowHost !== undefined) setPath(overrides, 'network.allow', flags.allowHost.flatMap(value => value.split(',')).filter(Boolean));
+  return overrides;
+}
@@ -0,0 +1,71 @@
+import { readdirSync, mkdirSync, copyFileSync, linkSync, symlinkSync, readlinkSync, lstatSync, constants } from 'fs';
+import { join } from 'path';
+import { loadIgnoreRules, parseIgnorePattern, isIgnored } from './ignore.js';
+
+//   copy     - plain byte copy
+//   reflink  - copy-on-write clone where the filesystem supports it, plain copy elsewhere
+//   hardlink - share inodes with the host; edits inside the sandbox change host files
+export const COPY_MODES = ['copy', 'reflink', 'hardlink'];
+
+// Copy a plain project directory into the sandbox without touching the host.
+// Dotfiles are included; .gitignore, .sandboxboxignore and `excludes` are honoured.
+export function copyProject(sourceDir, targetDir, options = {}) {
+  const { excludes = [], copyMode = 'reflink' } = options;
+  if (!COPY_MODES.includes(copyMode)) {
+    throw new Error(`Unknown copy mode "${copyMode}" (expected one of: ${COPY_MODES.join(', ')})`);
+  }
+
+  const startTime = Date.now();
+  const stats = { files: 0, bytes: 0, skipped: 0, linkFallbacks: 0 };
+
+  // A .git directory is never copied, even if the project has a stray one
+  const baseRules = [parseIgnorePattern('.git/'), ...excludes.map(pattern => parseIgnorePattern(pattern))].filter(Boolean);
+
+  function walk(relativeDir, inheritedRules) {
+    const rules = [...inheritedRules, ...loadIgnoreRules(sourceDir, relativeDir)];
+    mkdirSync(join(targetDir, relativeDir), { recursive: true });
+
+    for (const entry of readdirSync(join(sourceDir, relativeDir), { withFileTypes: true })) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+
+      if (isIgnored(relativePath, isDirectory, rules)) {
+        stats.skipped++;
+        continue;
+      }
+
+      const source = join(sourceDir, relativePath);
+      const target = join(targetDir, relativePath);
+
+      if (isDirectory) {
+        walk(relativePath, rules);
+      } else if (entry.isSymbolicLink()) {
+        symlinkSync(readlinkSync(source), target);
+        stats.files++;
+      } else if (entry.isFile()) {
+        copyFile(source, target);
+        stats.files++;
+        stats.bytes += lstatSync(source).size;
+      }
+      // Sockets, FIFOs and devices are skipped silently
+    }
+  }
+
+  function copyFile(source, target) {
+    if (copyMode === 'hardlink') {
+      try {
+        linkSync(source, target);
+        return;
+      } catch (error) {
+        // Cross-device or unsupported: fall back to a real copy
+        stats.linkFallbacks++;
+      }
+    }
+
+    copyFileSync(source, target, copyMode === 'reflink' ? constants.COPYFILE_FICLONE : 0);
+  }
+
+  walk('', baseRules);
+
+  return { ...stats, copyMode, durationMs: Date.now() - startTime };
+}
@@ -0,0 +1,82 @@
+import { existsSync, mkdirSync, cpSync, rmSync, lstatSync, statSync, chmodSync, readdirSync } from 'fs';
+import { homedir } from 'os';
+import { join, dirname } from 'path';
+
+// Host credentials that can be exposed inside a sandbox. Paths are relative to
+// the host home and the sandbox home; envVars are the matching credential variables.
+export const CREDENTIALS = {
+  firebase: { hostPath: '.config/firebase', sandboxPath: '.config/firebase', envVars: ['FIREBASE_TOKEN'] },
+  gcloud: { hostPath: '.config/gcloud', sandboxPath: '.config/gcloud', envVars: ['GOOGLE_APPLICATION_CREDENTIALS', 'GCLOUD_PROJECT'] },
+  'google-cloud': { hostPath: '.config/google-cloud', sandboxPath: '.config/google-cloud', envVars: [] },
+  gh: { hostPath: '.config/gh', sandboxPath: '.config/gh', envVars: ['GITHUB_TOKEN', 'GH_TOKEN'] },
+  clasp: { hostPath: '.clasprc.json', sandboxPath: '.clasprc.json', envVars: ['CLASP_CREDENTIALS'] },
+  aws: { hostPath: '.aws', sandboxPath: '.aws', envVars: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'AWS_DEFAULT_REGION'] },
+  ssh: { hostPath: '.ssh', sandboxPath: '.ssh', envVars: ['GIT_SSH_COMMAND', 'SSH_AUTH_SOCK'] },
+  npm: { hostPath: '.npmrc', sandboxPath: '.npmrc', envVars: ['NPM_TOKEN'] }
+};
+
+export const CREDENTIAL_NAMES = Object.keys(CREDENTIALS);
+
+export const CREDENTIAL_ENV_VARS = CREDENTIAL_NAMES.flatMap(name => CREDENTIALS[name].envVars);
+
+// Parse `--cred ssh,gh` values; `all` expands to every known credential
+export function parseCredentialList(values = []) {
+  const names = values.flatMap(value => value.split(',')).map(name => name.trim()).filter(Boolean);
+  return names.includes('all') ? [...CREDENTIAL_NAMES] : names;
+}
+
+export function credentialEnvVars(names = []) {
+  return names.flatMap(name => CREDENTIALS[name]?.envVars || []);
+}
+
+// Files become owner read-only so tools in the sandbox cannot rewrite them;
+// directories stay writable so the sandbox can still be deleted
+function makeReadOnly(path) {
+  const stats = lstatSync(path);
+  if (stats.isDirectory()) {
+    chmodSync(path, 0o700);
+    for (const entry of readdirSync(path)) {
+      makeReadOnly(join(path, entry));
+    }
+  } else if (stats.isFile()) {
+    chmodSync(path, 0o400);
+  }
+}
+
+// Sockets (ssh ControlMaster, agent sockets) and FIFOs cannot be copied
+function isCopyable(path) {
+  try {
+    const stats = statSync(path);
+    return stats.isFile() || stats.isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Expose only the named host credentials in the sandbox home, as read-only copies.
+// Anything exposed by an earlier run of a kept sandbox (including the symlinks
+// older versions created) is removed first, so the current policy always applies.
+export function exposeCredentials(sandboxDir, names = []) {
+  const hostHome = homedir();
+  const result = { exposed: [], missing: [], method: 'read-only copy' };
+
+  for (const [name, credential] of Object.entries(CREDENTIALS)) {
+    const sandboxPath = join(sandboxDir, credential.sandboxPath);
+    rmSync(sandboxPath, { recursive: true, force: true });
+
+    if (!names.includes(name)) continue;
+
+    const hostPath = join(hostHome, credential.hostPath);
+    if (!existsSync(hostPath)) {
+      result.missing.push(name);
+      continue;
+    }
+
+    mkdirSync(dirname(sandboxPath), { recursive: true });
+    cpSync(hostPath, sandboxPath, { recursive: true, dereference: true, filter: isCopyable });
+    makeReadOnly(sandboxPath);
+    result.exposed.push(name);
+  }
+
+  return result;
+}
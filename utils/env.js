@@ -0,0 +1,82 @@
+import { readFileSync } from 'fs';
+
+//   inherit   - the whole host environment (credential variables still filtered)
+//   allowlist - only BASE_ENV_VARS plus enabled credential and passthrough variables
+//   clean     - nothing from the host except a default PATH and TERM
+export const ENV_MODES = ['inherit', 'allowlist', 'clean'];
+
+// Host variables every allowlisted sandbox receives
+export const BASE_ENV_VARS = ['PATH', 'TERM', 'COLORTERM', 'LANG', 'LANGUAGE', 'TZ', 'USER', 'LOGNAME', 'SHELL'];
+
+// Locale settings (LC_ALL, LC_CTYPE, ...) are part of the base set too
+const BASE_ENV_PATTERN = /^LC_[A-Z_]+$/;
+
+const DEFAULT_PATH = '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+
+// Select the host variables a sandbox starts from
+export function selectHostEnv(mode = 'inherit', passthrough = []) {
+  const hostEnv = process.env;
+
+  if (mode === 'inherit') {
+    return { ...hostEnv };
+  }
+
+  if (mode === 'clean') {
+    return { PATH: DEFAULT_PATH };
+  }
+
+  const allowed = new Set([...BASE_ENV_VARS, ...passthrough]);
+  const env = {};
+  for (const [name, value] of Object.entries(hostEnv)) {
+    if (allowed.has(name) || BASE_ENV_PATTERN.test(name)) {
+      env[name] = value;
+    }
+  }
+  return env;
+}
+
+// Parse a dotenv-style file: KEY=VALUE lines, optional `export`, quotes and # comments
+export function parseEnvFile(filePath) {
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read env file ${filePath}: ${error.message}`);
+  }
+
+  const vars = {};
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid line ${index + 1} in env file ${filePath}: ${rawLine}`);
+    }
+
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+      if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    vars[match[1]] = value;
+  });
+
+  return vars;
+}
+
+// Parse `--env KEY=VALUE` flags into an object
+export function parseEnvAssignments(assignments = [], flag = '--env') {
+  const vars = {};
+  for (const assignment of assignments) {
+    const eqIndex = assignment.indexOf('=');
+    if (eqIndex <= 0) {
+      throw new Error(`Invalid ${flag} value "${assignment}" (expected KEY=VALUE)`);
+    }
+    vars[assignment.slice(0, eqIndex)] = assignment.slice(eqIndex + 1);
+  }
+  return vars;
+}
@@ -0,0 +1,181 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { join, resolve } from 'path';
+import { execSync } from 'child_process';
+import { getDataDir, withFileLock } from './sessions.js';
+
+// Every change sandboxbox makes to host git configuration is recorded in a
+// ledger together with the sandboxes that rely on it. When the last of those
+// sandboxes is removed the change is reverted, so concurrent sandboxes of the
+// same project never pull configuration out from under each other.
+
+function getLedgerPath() {
+  return join(getDataDir(), 'host-git.json');
+}
+
+function loadLedger() {
+  const ledgerPath = getLedgerPath();
+  if (!existsSync(ledgerPath)) {
+    return { changes: [] };
+  }
+
+  try {
+    return { changes: [], ...JSON.parse(readFileSync(ledgerPath, 'utf8')) };
+  } catch (error) {
+    return { changes: [] };
+  }
+}
+
+function saveLedger(ledger) {
+  mkdirSync(getDataDir(), { recursive: true });
+
+  // Write to a temporary file first so a crash never leaves a truncated ledger
+  const ledgerPath = getLedgerPath();
+  const tmpPath = `${ledgerPath}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(ledger, null, 2));
+  renameSync(tmpPath, ledgerPath);
+}
+
+// Load, change and save the ledger while holding its lock, so concurrent
+// sandboxbox processes do not lose each other's changes. Returns what
+// `update(ledger)` returns.
+function updateLedger(update) {
+  return withFileLock(getLedgerPath(), () => {
+    const ledger = loadLedger();
+    const result = update(ledger);
+    saveLedger(ledger);
+    return result;
+  });
+}
+
+function gitConfig(args, cwd) {
+  return execSync(`git config ${args}`, {
+    cwd,
+    encoding: 'utf8',
+    stdio: 'pipe',
+    shell: true
+  }).trim();
+}
+
+function tryGitConfig(args, cwd) {
+  try {
+    return gitConfig(args, cwd);
+  } catch (error) {
+    return null;
+  }
+}
+
+function findChange(ledger, change) {
+  return ledger.changes.find(entry => entry.scope === change.scope &&
+    entry.repo === change.repo &&
+    entry.key === change.key &&
+    entry.value === change.value);
+}
+
+// Add a value to a multi-valued key of the user's global git config
+export function addGlobalGitConfig(key, value, owner) {
+  updateLedger((ledger) => {
+    const change = { scope: 'global', repo: null, key, value, action: 'add' };
+    const existing = findChange(ledger, change);
+
+    if (existing) {
+      if (!existing.owners.includes(owner)) existing.owners.push(owner);
+    } else {
+      const current = (tryGitConfig(`--global --get-all ${key}`) || '').split('\n');
+      // A value the user configured themselves is not ours to track or remove
+      if (current.includes(value)) return;
+
+      gitConfig(`--global --add ${key} "${value}"`);
+      ledger.changes.push({ ...change, owners: [owner], createdAt: new Date().toISOString() });
+    }
+  });
+}
+
+// Set a key in a repository's local config, remembering the previous value
+export function setRepoGitConfig(repo, key, value, owner) {
+  updateLedger((ledger) => {
+    const change = { scope: 'repo', repo: resolve(repo), key, value, action: 'set' };
+    const existing = findChange(ledger, change);
+
+    if (existing) {
+      if (!existing.owners.includes(owner)) existing.owners.push(owner);
+    } else {
+      const previous = tryGitConfig(`--local --get ${key}`, repo);
+      if (previous === value) return;
+
+      gitConfig(`--local ${key} "${value}"`, repo);
+      ledger.changes.push({ ...change, previous, owners: [owner], createdAt: new Date().toISOString() });
+    }
+  });
+}
+
+// Undo one recorded change. Values the user has changed since are left alone.
+function revertChange(change) {
+  if (change.scope === 'global') {
+    const current = (tryGitConfig(`--global --get-all ${change.key}`) || '').split('\n');
+    if (current.includes(change.value)) {
+      gitConfig(`--global --fixed-value --unset-all ${change.key} "${change.value}"`);
+    }
+    return;
+  }
+
+  if (!existsSync(change.repo)) return;
+  if (tryGitConfig(`--local --get ${change.key}`, change.repo) !== change.value) return;
+
+  if (change.previous === null || change.previous === undefined) {
+    gitConfig(`--local --unset ${change.key}`, change.repo);
+  } else {
+    gitConfig(`--local ${change.key} "${change.previous}"`, change.repo);
+  }
+}
+
+// Drop `owner` from every change and revert the changes nobody needs anymore.
+// Returns the reverted changes.
+export function releaseHostChanges(owner) {
+  return updateLedger((ledger) => {
+    const reverted = [];
+
+    ledger.changes = ledger.changes.filter(change => {
+      if (!change.owners.includes(owner)) return true;
+      change.owners = change.owners.filter(entry => entry !== owner);
+      if (change.owners.length > 0) return true;
+
+      try {
+        revertChange(change);
+        reverted.push(change);
+        return false;
+      } catch (error) {
+        // Keep the record so `doctor --host-git --fix` can retry
+        return true;
+      }
+    });
+
+    return reverted;
+  });
+}
+
+// Changes still in place, with the owners that no longer exist on disk marked as stale
+export function listHostChanges() {
+  return loadLedger().changes.map(change => ({
+    ...change,
+    staleOwners: change.owners.filter(owner => !existsSync(owner))
+  }));
+}
+
+// Release every owner that no longer exists, reverting the changes left without one
+export function releaseStaleHostChanges() {
+  const staleOwners = new Set(listHostChanges().flatMap(change => change.staleOwners));
+  return [...staleOwners].flatMap(owner => releaseHostChanges(owner));
+}
+
+// Global safe.directory entries pointing at directories that no longer exist,
+// typically left behind by sandboxbox versions that did not record their changes
+export function findOrphanedSafeDirectories() {
+  const recorded = new Set(loadLedger().changes.filter(change => change.key === 'safe.directory').map(change => change.value));
+  return (tryGitConfig('--global --get-all safe.directory') || '')
+    .split('\n')
+    .filter(dir => dir && dir !== '*' && !recorded.has(dir) && !existsSync(dir));
+}
+
+export function removeGlobalSafeDirectory(dir) {
+  gitConfig(`--global --fixed-value --unset-all safe.directory "${dir}"`);
+}
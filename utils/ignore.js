@@ -0,0 +1,126 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+// Files whose patterns are honoured when copying a plain (non-git) project
+export const IGNORE_FILES = ['.gitignore', '.sandboxboxignore'];
+
+// Convert one gitignore-style pattern into a rule scoped to `base`,
+// the directory (relative to the project root, '' for the root) that declared it
+export function parseIgnorePattern(line, base = '') {
+  let pattern = line.replace(/\r$/, '');
+  if (!pattern.trim() || pattern.startsWith('#')) return null;
+
+  // Trailing spaces are ignored unless escaped
+  pattern = pattern.replace(/(?<!\\)\s+$/, '');
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let dirOnly = false;
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+
+  // A slash anywhere but the end anchors the pattern to its base directory
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) pattern = pattern.slice(1);
+  if (!pattern) return null;
+
+  const body = globToRegExpSource(pattern);
+  const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+
+  return { base, negate, dirOnly, regex };
+}
+
+function globToRegExpSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          // "**/" matches zero or more directories, a trailing "/**" everything inside
+          if (i + 2 === glob.length) {
+            source += '.*';
+          } else {
+            source += '(?:.*/)?';
+            i++;
+          }
+          i++;
+          continue;
+        }
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let cls = glob.slice(i + 1, close);
+        if (cls.startsWith('!')) cls = `^${cls.slice(1)}`;
+        source += `[${cls.replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Read the ignore files present in `dir` and return their rules
+export function loadIgnoreRules(rootDir, relativeDir = '') {
+  const rules = [];
+
+  for (const fileName of IGNORE_FILES) {
+    const filePath = join(rootDir, relativeDir, fileName);
+    if (!existsSync(filePath)) continue;
+
+    for (const line of readFileSync(filePath, 'utf8').split('\n')) {
+      const rule = parseIgnorePattern(line, relativeDir);
+      if (rule) rules.push(rule);
+    }
+  }
+
+  return rules;
+}
+
+// Last matching rule wins, as in git; `relativePath` uses forward slashes
+export function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+
+    let candidate = relativePath;
+    if (rule.base) {
+      if (!relativePath.startsWith(`${rule.base}/`)) continue;
+      candidate = relativePath.slice(rule.base.length + 1);
+    }
+
+    if (rule.regex.test(candidate)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
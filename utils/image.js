@@ -0,0 +1,145 @@
+import { existsSync, readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { createHash } from 'crypto';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const REPO_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const DEFAULT_DOCKERFILE = resolve(REPO_ROOT, 'Dockerfile');
+
+// Labels written by `build` and compared at run time. The Dockerfile path and
+// build args record what the image was built from, so args given only on the
+// `build` command line still count when a run checks the image.
+export const HASH_LABEL = 'sandboxbox.hash';
+export const VERSION_LABEL = 'sandboxbox.version';
+export const DOCKERFILE_LABEL = 'sandboxbox.dockerfile';
+export const ARGS_LABEL = 'sandboxbox.args';
+
+export function getSandboxboxVersion() {
+  return JSON.parse(readFileSync(resolve(REPO_ROOT, 'package.json'), 'utf8')).version;
+}
+
+// Identifies what an image was built from: the Dockerfile content and the build args
+export function imageHash(dockerfile, buildArgs = {}) {
+  const hash = createHash('sha256');
+  hash.update(readFileSync(dockerfile));
+  for (const name of Object.keys(buildArgs).sort()) {
+    hash.update(`\0${name}=${buildArgs[name]}`);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+// Build and label an image; output goes to `stdio` (the terminal by default)
+export function buildImage(engine, { dockerfile = DEFAULT_DOCKERFILE, tag, buildArgs = {}, noCache = false, stdio = 'inherit' }) {
+  const args = [
+    'build',
+    '-t', tag,
+    '-f', dockerfile,
+    '--label', `${HASH_LABEL}=${imageHash(dockerfile, buildArgs)}`,
+    '--label', `${VERSION_LABEL}=${getSandboxboxVersion()}`,
+    '--label', `${DOCKERFILE_LABEL}=${dockerfile}`,
+    '--label', `${ARGS_LABEL}=${JSON.stringify(buildArgs)}`,
+    ...Object.entries(buildArgs).flatMap(([name, value]) => ['--build-arg', `${name}=${value}`]),
+    ...(noCache ? ['--no-cache'] : []),
+    dirname(dockerfile)
+  ];
+  execFileSync(engine, args, { stdio });
+}
+
+export function getImageLabels(engine, image) {
+  try {
+    const output = execFileSync(engine, ['image', 'inspect', '--format', '{{json .Config.Labels}}', image], {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      timeout: 15000
+    });
+    return JSON.parse(output.trim()) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function parseArgsLabel(value) {
+  try {
+    const args = JSON.parse(value);
+    return args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// What the image should be built from: the labelled Dockerfile and build args,
+// overridden by the `build` settings of the config
+export function expectedBuild(labels, build = {}) {
+  const labelledDockerfile = labels[DOCKERFILE_LABEL] && existsSync(labels[DOCKERFILE_LABEL]) ? labels[DOCKERFILE_LABEL] : null;
+  return {
+    dockerfile: build.dockerfile || labelledDockerfile || DEFAULT_DOCKERFILE,
+    buildArgs: { ...parseArgsLabel(labels[ARGS_LABEL]), ...build.args }
+  };
+}
+
+// Compare an image's labels with the Dockerfile, build args and sandboxbox
+// version it should be built from. Returns { stale, reason, version, dockerfile, buildArgs }
+// with the Dockerfile and build args a rebuild should use.
+export function checkImage(engine, image, build = {}) {
+  const labels = getImageLabels(engine, image);
+  const version = labels[VERSION_LABEL] || null;
+  const { dockerfile, buildArgs } = expectedBuild(labels, build);
+  const result = { stale: true, reason: null, version, dockerfile, buildArgs };
+
+  if (!labels[HASH_LABEL]) {
+    return { ...result, reason: 'it was built without sandboxbox labels' };
+  }
+  if (labels[DOCKERFILE_LABEL] && labels[DOCKERFILE_LABEL] !== dockerfile) {
+    return { ...result, reason: `it was built from ${labels[DOCKERFILE_LABEL]}, not ${dockerfile}` };
+  }
+  const labelledArgs = parseArgsLabel(labels[ARGS_LABEL]);
+  const changedArgs = Object.keys(buildArgs).filter(name => labelledArgs[name] !== buildArgs[name]);
+  if (changedArgs.length > 0) {
+    return { ...result, reason: `the config sets different build args: ${changedArgs.join(', ')}` };
+  }
+  if (existsSync(dockerfile) && labels[HASH_LABEL] !== imageHash(dockerfile, buildArgs)) {
+    return { ...result, reason: 'the Dockerfile or build args changed since it was built' };
+  }
+  if (version !== getSandboxboxVersion()) {
+    return { ...result, reason: `it was built for a different sandboxbox version (this is ${getSandboxboxVersion()})` };
+  }
+  return { ...result, stale: false };
+}
+
+// The build command that reproduces the expected build, pins included
+function rebuildHint(dockerfile, buildArgs, config) {
+  const dockerfileArg = dockerfile !== DEFAULT_DOCKERFILE && dockerfile !== config.build.dockerfile ? ` ${dockerfile}` : '';
+  const argFlags = Object.entries(buildArgs).filter(([name]) => !(name in config.build.args)).map(([name, value]) => ` --build-arg ${name}=${value}`);
+  return `npx sandboxbox build${dockerfileArg}${argFlags.join('')}`;
+}
+
+// Before a container run: warn about a stale image, or rebuild it when
+// build.autoRebuild is set. `emit(type, data)` gets a `warning` event for a
+// stale image and an `image` stage once it is rebuilt; the build's output
+// goes to `stdio`. Throws when the rebuild fails.
+export function ensureImageFresh(runtime, config, emit = () => {}, stdio = 'inherit') {
+  const { stale, reason, version, dockerfile, buildArgs } = checkImage(runtime.backend, runtime.image, config.build);
+  if (!stale) return;
+
+  const builtWith = version ? ` (built by sandboxbox ${version})` : '';
+  if (!config.build.autoRebuild) {
+    emit('warning', {
+      message: `Image ${runtime.image} is out of date${builtWith}: ${reason}. Rebuild with: ${rebuildHint(dockerfile, buildArgs, config)} (or set "build": { "autoRebuild": true })`
+    });
+    return;
+  }
+
+  if (!existsSync(dockerfile)) {
+    throw new Error(`Could not rebuild the sandbox image ${runtime.image}: Dockerfile not found: ${dockerfile}`);
+  }
+  emit('warning', { message: `Rebuilding ${runtime.image}${builtWith}: ${reason}` });
+  const startTime = Date.now();
+  try {
+    buildImage(runtime.backend, { dockerfile, tag: runtime.image, buildArgs, stdio });
+  } catch (error) {
+    throw new Error(`Could not rebuild the sandbox image ${runtime.image}: ${error.message}`);
+  }
+  emit('stage', { stage: 'image', durationMs: Date.now() - startTime });
+}
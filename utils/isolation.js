@@ -0,0 +1,217 @@
+import { existsSync, lstatSync, readlinkSync, realpathSync, mkdtempSync, rmSync, accessSync, constants } from 'fs';
+import { tmpdir, homedir, platform } from 'os';
+import { join, dirname, resolve, sep, delimiter } from 'path';
+import { spawnSync } from 'child_process';
+import { BRIDGE_SCRIPT, BRIDGE_FILES, bridgeArgs } from './network.js';
+
+//   auto    - bubblewrap if it works, then unshare, otherwise no isolation (with a warning)
+//   bwrap   - bubblewrap, failing if it is unavailable
+//   unshare - util-linux unshare with user, mount and PID namespaces, failing if unavailable
+//   none    - plain process with HOME/TMPDIR redirected; it can reach the whole host filesystem
+export const ISOLATION_MODES = ['auto', 'bwrap', 'unshare', 'none'];
+
+// System directories mounted read-only inside an isolated sandbox
+const TOOLCHAIN_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/etc', '/opt'];
+
+// Device nodes bound into the unshare backend (bubblewrap creates its own /dev)
+const DEVICES = ['null', 'zero', 'full', 'random', 'urandom', 'tty', 'ptmx'];
+
+// Runs as root of a fresh user namespace: builds a tmpfs root containing only the
+// given paths, pivots into it and drops back to the caller's uid/gid when needed.
+// Arguments: <root> <uid> <gid> <cwd> <network> ro:<path>... rw:<path>... -- <command...>
+const UNSHARE_SCRIPT = `set -e
+root="$1"; uid="$2"; gid="$3"; cwd="$4"; network="$5"; shift 5
+if [ "$network" != full ]; then PATH="$PATH:/usr/sbin:/sbin" ip link set lo up 2>/dev/null || true; fi
+mount -t tmpfs -o mode=755 sandboxbox "$root"
+mkdir -p "$root/tmp" "$root/dev" "$root/proc"
+mount -t tmpfs -o mode=1777 tmpfs "$root/tmp"
+bind() {
+  if [ -L "$1" ]; then mkdir -p "$root$(dirname "$1")"; ln -sfn "$(readlink "$1")" "$root$1"; return 0; fi
+  if [ -d "$1" ]; then mkdir -p "$root$1"; else mkdir -p "$root$(dirname "$1")"; : > "$root$1"; fi
+  mount --rbind "$1" "$root$1"
+  if [ "$2" = ro ]; then mount -o remount,bind,ro,nosuid,nodev "$root$1"; fi
+}
+while [ "$1" != -- ]; do
+  case "$1" in ro:*) bind "\${1#ro:}" ro ;; rw:*) bind "\${1#rw:}" rw ;; esac
+  shift
+done
+shift
+for dev in ${DEVICES.join(' ')}; do if [ -e "/dev/$dev" ]; then bind "/dev/$dev" rw; fi; done
+if [ -d /dev/pts ]; then bind /dev/pts rw; fi
+mkdir -p "$root/dev/shm"
+mount -t tmpfs -o mode=1777 tmpfs "$root/dev/shm"
+mount -t proc proc "$root/proc"
+cd "$root"
+mkdir .oldroot
+pivot_root . .oldroot
+umount -l /.oldroot
+rmdir /.oldroot
+set -- /bin/sh -c 'cd "$1" && shift && exec "$@"' sh "$cwd" "$@"
+if [ "$uid" != 0 ]; then set -- unshare --user --map-user="$uid" --map-group="$gid" "$@"; fi
+# PID 1 of the namespace ignores signals it has no handler for, so the command
+# runs as its child, where signals sent to the process group reach it
+"$@"
+`;
+
+const probeResults = {};
+
+// Check once per process whether a backend can actually create namespaces here
+function probe(backend) {
+  if (backend in probeResults) return probeResults[backend];
+
+  const probes = {
+    bwrap: ['bwrap', ['--ro-bind', '/', '/', '--unshare-user', '--unshare-pid', '--dev', '/dev', 'true']],
+    unshare: ['unshare', ['--user', '--map-root-user', '--mount', '--pid', '--fork', 'true']]
+  };
+  const [command, args] = probes[backend];
+  const result = spawnSync(command, args, { stdio: 'pipe', timeout: 5000 });
+
+  if (result.error) {
+    probeResults[backend] = `${command} is not installed`;
+  } else if (result.status !== 0) {
+    const stderr = result.stderr.toString().trim().split('\n').pop();
+    probeResults[backend] = `${command} cannot create namespaces${stderr ? ` (${stderr})` : ''}`;
+  } else {
+    probeResults[backend] = null;
+  }
+  return probeResults[backend];
+}
+
+// Pick the backend for a mode. Returns { mode, backend, reason } where reason
+// explains why isolation is weaker than requested (null when it is not).
+export function resolveIsolation(mode = 'auto') {
+  if (!ISOLATION_MODES.includes(mode)) {
+    throw new Error(`Unknown isolation mode "${mode}" (expected one of: ${ISOLATION_MODES.join(', ')})`);
+  }
+
+  if (mode === 'none') {
+    return { mode, backend: 'none', reason: null };
+  }
+
+  if (platform() !== 'linux') {
+    if (mode !== 'auto') throw new Error(`Isolation mode "${mode}" needs Linux namespaces, which ${platform()} does not have`);
+    return { mode, backend: 'none', reason: `namespaces are not available on ${platform()}` };
+  }
+
+  const candidates = mode === 'auto' ? ['bwrap', 'unshare'] : [mode];
+  const failures = [];
+  for (const backend of candidates) {
+    const failure = probe(backend);
+    if (!failure) return { mode, backend, reason: null };
+    failures.push(failure);
+  }
+
+  if (mode !== 'auto') {
+    throw new Error(`Isolation mode "${mode}" is unavailable: ${failures.join('; ')}`);
+  }
+  return { mode, backend: 'none', reason: failures.join('; ') };
+}
+
+// Locate an executable on a PATH string, as the shell would
+export function findExecutable(name, pathEnv = process.env.PATH || '') {
+  for (const dir of pathEnv.split(delimiter).filter(Boolean)) {
+    const candidate = join(dir, name);
+    try {
+      accessSync(candidate, constants.X_OK);
+      return candidate;
+    } catch (error) {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+function isWithin(path, parent) {
+  return path === parent || path.startsWith(parent.endsWith(sep) ? parent : `${parent}${sep}`);
+}
+
+// Host paths exposed to an isolated command: the toolchain, the directories on
+// PATH (and where they really live), the node installation and the extra paths
+// read-only; the sandbox and the extra read-write paths writable
+export function isolationMounts(sandboxDir, env = {}, readOnly = [], readWrite = []) {
+  const pathDirs = (env.PATH || '').split(delimiter).filter(dir => dir.startsWith('/') && dir !== '/' && resolve(dir) !== homedir());
+  const nodePrefix = dirname(dirname(realpathSync(process.execPath)));
+
+  const expand = (paths) => paths.flatMap(path => {
+    const absolute = resolve(path);
+    if (!existsSync(absolute)) return [];
+    const real = realpathSync(absolute);
+    return real === absolute ? [absolute] : [absolute, real];
+  });
+
+  const writable = [...new Set(expand([sandboxDir, ...readWrite]))].sort();
+  const readable = [...new Set(expand([...TOOLCHAIN_PATHS, nodePrefix, ...pathDirs, ...readOnly]))].sort()
+    .filter((path, index, all) => !all.slice(0, index).some(parent => isWithin(path, parent)))
+    .filter(path => !writable.some(parent => isWithin(path, parent)));
+
+  return {
+    readOnly: readable,
+    readWrite: writable.filter((path, index, all) => !all.slice(0, index).some(parent => isWithin(path, parent)))
+  };
+}
+
+// Wrap argv so it runs under the chosen backend. Returns { command, args, cleanup };
+// cleanup must be called once the process has exited. `network` other than
+// full adds a private network namespace; allowlist also needs `proxySocket`,
+// the egress proxy socket inside the sandbox directory, and `ports` are served
+// on sockets for forwardPorts().
+export function wrapCommand(argv, options = {}) {
+  const { backend = 'none', sandboxDir, cwd, env = {}, network = 'full' } = options;
+  let { readOnly = [], readWrite = [] } = options;
+
+  if (backend === 'none') {
+    return { command: argv[0], args: argv.slice(1), cleanup: () => {} };
+  }
+
+  const bridge = bridgeArgs(sandboxDir, options);
+  if (bridge) {
+    argv = [process.execPath, BRIDGE_SCRIPT, ...bridge, '--', ...argv];
+    readOnly = [...readOnly, ...BRIDGE_FILES];
+  }
+
+  const mounts = isolationMounts(sandboxDir, env, readOnly, readWrite);
+
+  if (backend === 'bwrap') {
+    const binds = [
+      ...mounts.readOnly.flatMap(path => (lstatSync(path).isSymbolicLink()
+        ? ['--symlink', readlinkSync(path), path]
+        : ['--ro-bind', path, path])),
+      ...mounts.readWrite.flatMap(path => ['--bind', path, path])
+    ];
+
+    return {
+      command: 'bwrap',
+      args: [
+        '--die-with-parent',
+        '--unshare-user', '--unshare-pid', '--unshare-ipc', '--unshare-uts',
+        ...(network === 'full' ? [] : ['--unshare-net']),
+        '--tmpfs', '/tmp',
+        '--dev', '/dev',
+        '--proc', '/proc',
+        ...binds,
+        '--chdir', cwd,
+        '--', ...argv
+      ],
+      cleanup: () => {}
+    };
+  }
+
+  // The new root is a mount point inside the private namespace; on the host it is an empty directory
+  const rootDir = mkdtempSync(join(tmpdir(), 'sandboxbox-root-'));
+  const uid = typeof process.getuid === 'function' ? process.getuid() : 0;
+  const gid = typeof process.getgid === 'function' ? process.getgid() : 0;
+
+  return {
+    command: 'unshare',
+    args: [
+      '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child',
+      ...(network === 'full' ? [] : ['--net']),
+      'sh', '-c', UNSHARE_SCRIPT, 'sandboxbox-isolate',
+      rootDir, String(uid), String(gid), cwd, network,
+      ...mounts.readOnly.map(path => `ro:${path}`),
+      ...mounts.readWrite.map(path => `rw:${path}`),
+      '--', ...argv
+    ],
+    cleanup: () => rmSync(rootDir, { recursive: true, force: true })
+  };
+}
@@ -0,0 +1,276 @@
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import { cpus, platform, constants } from 'os';
+import { spawnSync } from 'child_process';
+import { findExecutable } from './isolation.js';
+
+// Exit codes of runs killed by a limit (124 matches coreutils `timeout`)
+export const LIMIT_EXIT_CODES = { timeout: 124, memory: 122, pids: 123 };
+
+// Time between the SIGTERM sent on timeout and the SIGKILL that follows it
+const KILL_GRACE_MS = 5000;
+
+const SAMPLE_INTERVAL_MS = 500;
+
+const MEMORY_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+const DURATION_UNITS = { ms: 1, s: 1000, '': 1000, m: 60000, h: 3600000 };
+
+// "512m", "2G", "1.5GiB" or a plain number of bytes
+export function parseMemory(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i);
+  if (!match) throw new Error(`Invalid memory limit "${value}" (expected e.g. 512m or 2g)`);
+  return Math.floor(Number(match[1]) * MEMORY_UNITS[match[2].toLowerCase()]);
+}
+
+// "90" (seconds), "90s", "10m", "2h" or "500ms"
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i);
+  if (!match) throw new Error(`Invalid timeout "${value}" (expected e.g. 90s, 10m or 2h)`);
+  return Math.floor(Number(match[1]) * DURATION_UNITS[(match[2] || '').toLowerCase()]);
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+// Turn the `limits` config section into numbers. Returns null when no limit is set.
+export function parseLimits(config = {}) {
+  const limits = {
+    timeoutMs: config.timeout !== null && config.timeout !== undefined ? parseDuration(config.timeout) : null,
+    memoryBytes: config.memory !== null && config.memory !== undefined ? parseMemory(config.memory) : null,
+    cpus: config.cpus ?? null,
+    pids: config.pids ?? null
+  };
+
+  if (limits.cpus !== null && !(limits.cpus > 0)) throw new Error(`Invalid CPU limit "${config.cpus}" (expected a positive number)`);
+  if (limits.pids !== null && !(Number.isInteger(limits.pids) && limits.pids > 0)) throw new Error(`Invalid process limit "${config.pids}" (expected a positive integer)`);
+
+  return Object.values(limits).some(value => value !== null) ? limits : null;
+}
+
+let cgroupDelegation;
+
+// cgroups v2 are used through a transient systemd user scope, which is how an
+// unprivileged user gets a delegated cgroup
+function canUseCgroups() {
+  if (cgroupDelegation === undefined) {
+    cgroupDelegation = platform() === 'linux' &&
+      existsSync('/sys/fs/cgroup/cgroup.controllers') &&
+      spawnSync('systemd-run', ['--user', '--scope', '--quiet', 'true'], { stdio: 'ignore', timeout: 5000 }).status === 0;
+  }
+  return cgroupDelegation;
+}
+
+// How limits are enforced here: 'cgroup' (systemd scope on cgroups v2),
+// 'prlimit' (per-process memory rlimit and CPU affinity; no process limit, as
+// RLIMIT_NPROC counts every process of the user) or 'timer' (only the timeout)
+export function resolveLimitBackend() {
+  if (canUseCgroups()) return 'cgroup';
+  if (platform() === 'linux' && findExecutable('prlimit')) return 'prlimit';
+  return 'timer';
+}
+
+let scopeCounter = 0;
+
+// Prefix argv so the limits are enforced. Returns { argv, backend, scope }.
+export function limitCommand(argv, limits) {
+  const backend = resolveLimitBackend();
+  if (backend === 'cgroup') {
+    const scope = `sandboxbox-${process.pid}-${++scopeCounter}.scope`;
+    const properties = [];
+    if (limits.memoryBytes !== null) properties.push('-p', `MemoryMax=${limits.memoryBytes}`, '-p', 'MemorySwapMax=0');
+    if (limits.cpus !== null) properties.push('-p', `CPUQuota=${Math.round(limits.cpus * 100)}%`);
+    if (limits.pids !== null) properties.push('-p', `TasksMax=${limits.pids}`);
+    return {
+      argv: ['systemd-run', '--user', '--scope', '--quiet', '--collect', `--unit=${scope}`, ...properties, '--', ...argv],
+      backend: 'cgroup',
+      scope
+    };
+  }
+
+  if (backend === 'timer') {
+    return { argv, backend: 'timer', scope: null };
+  }
+
+  const prefix = [];
+  const rlimits = [];
+  if (limits.memoryBytes !== null) rlimits.push(`--data=${limits.memoryBytes}`);
+  if (rlimits.length > 0) prefix.push('prlimit', ...rlimits, '--');
+  if (limits.cpus !== null && findExecutable('taskset')) {
+    const count = Math.min(Math.ceil(limits.cpus), cpus().length);
+    prefix.push('taskset', '--cpu-list', `0-${count - 1}`);
+  }
+  return { argv: [...prefix, ...argv], backend: prefix.length > 0 ? 'prlimit' : 'timer', scope: null };
+}
+
+function readNumber(path) {
+  try {
+    const value = readFileSync(path, 'utf8').trim();
+    return value === 'max' ? null : Number(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function readKeyed(path) {
+  try {
+    return Object.fromEntries(readFileSync(path, 'utf8').trim().split('\n').map(line => {
+      const [key, value] = line.split(' ');
+      return [key, Number(value)];
+    }));
+  } catch (error) {
+    return {};
+  }
+}
+
+function findScopeCgroup(pid, scope) {
+  try {
+    const line = readFileSync(`/proc/${pid}/cgroup`, 'utf8').split('\n').find(entry => entry.startsWith('0::'));
+    const path = line ? line.slice(3) : '';
+    return path.endsWith(`/${scope}`) ? `/sys/fs/cgroup${path}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resident memory and size of a process tree, read from /proc
+function sampleProcessTree(pid) {
+  const pids = [];
+  const pending = [pid];
+  let memory = 0;
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let tasks;
+    try {
+      tasks = readdirSync(`/proc/${current}/task`);
+    } catch (error) {
+      continue;
+    }
+    pids.push(current);
+    try {
+      const rss = readFileSync(`/proc/${current}/status`, 'utf8').match(/^VmRSS:\s+(\d+) kB/m);
+      if (rss) memory += Number(rss[1]) * 1024;
+    } catch (error) {
+      // Exited meanwhile
+    }
+    for (const task of tasks) {
+      try {
+        pending.push(...readFileSync(`/proc/${current}/task/${task}/children`, 'utf8').trim().split(/\s+/).filter(Boolean).map(Number));
+      } catch (error) {
+        // Exited meanwhile
+      }
+    }
+  }
+
+  return { memory, pids };
+}
+
+// Signal a sandboxed process and everything it started. `limited` comes from
+// limitCommand() (or { backend: 'timer' }); `cgroupPath` is its scope, if known.
+function signalProcess(proc, limited, signal, cgroupPath = null) {
+  // Containers are stopped through their engine
+  if (limited.kill) {
+    limited.kill(signal);
+    return;
+  }
+
+  // cgroup.kill takes down everything in the scope, including detached children
+  if (signal === 'SIGKILL' && cgroupPath && existsSync(`${cgroupPath}/cgroup.kill`)) {
+    try {
+      writeFileSync(`${cgroupPath}/cgroup.kill`, '1');
+      return;
+    } catch (error) {
+      // Fall back to signalling the process
+    }
+  }
+  // Namespace wrappers do not pass signals on, so the whole tree is signalled
+  const pids = platform() === 'linux' ? sampleProcessTree(proc.pid).pids : [proc.pid];
+  for (const pid of pids.reverse()) {
+    try {
+      process.kill(pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+// Stop a sandboxed process the way a timeout does: SIGTERM to the whole tree,
+// then SIGKILL if it is still running after a grace period. Returns a function
+// to call once the process has exited.
+export function terminateProcess(proc, limited) {
+  signalProcess(proc, limited, 'SIGTERM');
+  const killTimer = setTimeout(() => signalProcess(proc, limited, 'SIGKILL'), KILL_GRACE_MS);
+  return () => clearTimeout(killTimer);
+}
+
+// Enforce the timeout and track peak usage of a spawned, limited process.
+// Call finish() once it has exited; it returns { limit, peak } where limit is
+// the name of the limit that killed it (or null) and peak holds
+// { memoryBytes, pids, durationMs }.
+export function watchLimits(proc, limits, limited) {
+  const startTime = Date.now();
+  const peak = { memoryBytes: 0, pids: 0, durationMs: 0 };
+  let limit = null;
+  let exhausted = null;
+  let cgroupPath = null;
+  let killTimer = null;
+
+  const sample = () => {
+    if (limited.backend === 'cgroup') {
+      cgroupPath = cgroupPath || findScopeCgroup(proc.pid, limited.scope);
+      if (!cgroupPath) return;
+      peak.memoryBytes = Math.max(peak.memoryBytes, readNumber(`${cgroupPath}/memory.peak`) ?? readNumber(`${cgroupPath}/memory.current`) ?? 0);
+      peak.pids = Math.max(peak.pids, readNumber(`${cgroupPath}/pids.peak`) ?? readNumber(`${cgroupPath}/pids.current`) ?? 0);
+      if (!exhausted && (readKeyed(`${cgroupPath}/memory.events`).oom_kill || 0) > 0) exhausted = 'memory';
+      if (!exhausted && (readKeyed(`${cgroupPath}/pids.events`).max || 0) > 0) exhausted = 'pids';
+    } else if (limited.backend !== 'container' && platform() === 'linux') {
+      const usage = sampleProcessTree(proc.pid);
+      peak.memoryBytes = Math.max(peak.memoryBytes, usage.memory);
+      peak.pids = Math.max(peak.pids, usage.pids.length);
+    }
+  };
+
+  const sampler = setInterval(sample, SAMPLE_INTERVAL_MS);
+  setImmediate(sample);
+
+  const kill = signal => signalProcess(proc, limited, signal, cgroupPath);
+
+  const timeout = limits.timeoutMs !== null ? setTimeout(() => {
+    limit = 'timeout';
+    kill('SIGTERM');
+    killTimer = setTimeout(() => kill('SIGKILL'), KILL_GRACE_MS);
+  }, limits.timeoutMs) : null;
+
+  return {
+    finish(code, signal) {
+      sample();
+      clearInterval(sampler);
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      peak.durationMs = Date.now() - startTime;
+
+      // A failed run that ran into the memory or process ceiling was stopped by
+      // it. The scope may be gone before its events were sampled, and rlimits
+      // have no events at all, so a run killed (or failing with ENOMEM) with
+      // its peak usage close to the limit counts too.
+      const failed = code !== 0 || signal !== null;
+      const killed = signal === 'SIGKILL' || code === 128 + constants.signals.SIGKILL;
+      const outOfMemory = killed || code === constants.errno.ENOMEM;
+      if (!limit && failed) {
+        if (exhausted) {
+          limit = exhausted;
+        } else if (limits.memoryBytes !== null && limited.backend === 'container' && code === 137) {
+          // The engine reports an OOM-killed container as SIGKILL
+          limit = 'memory';
+        } else if (limits.memoryBytes !== null && outOfMemory && peak.memoryBytes >= limits.memoryBytes * 0.9) {
+          limit = 'memory';
+        } else if (limits.pids !== null && limited.backend === 'cgroup' && peak.pids >= limits.pids) {
+          limit = 'pids';
+        }
+      }
+      return { limit, peak };
+    }
+  };
+}
@@ -0,0 +1,107 @@
+// Runs inside a sandbox with its own network namespace and then runs the
+// command. --egress listens on the private loopback, forwards every connection
+// to the egress proxy socket and sets the proxy variables for the command;
+// --publish serves a port of the sandbox's loopback on a socket the host
+// forwards to.
+// Usage: node net-bridge.js [--egress <socket> <port>] [--publish <socket> <port>]... -- <command...>
+import { createServer, connect } from 'net';
+import { rmSync } from 'fs';
+import { spawn } from 'child_process';
+import { constants } from 'os';
+
+const USAGE = 'Usage: net-bridge.js [--egress <socket> <port>] [--publish <socket> <port>]... -- <command...>';
+
+const args = process.argv.slice(2);
+const separatorIndex = args.indexOf('--');
+const argv = separatorIndex === -1 ? [] : args.slice(separatorIndex + 1);
+const options = separatorIndex === -1 ? [] : args.slice(0, separatorIndex);
+if (argv.length === 0 || options.length % 3 !== 0) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+const bridges = [];
+for (let index = 0; index < options.length; index += 3) {
+  const [option, socketPath, port] = options.slice(index, index + 3);
+  if (option !== '--egress' && option !== '--publish') {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  bridges.push({ option, socketPath, port: Number(port) });
+}
+
+function pipeSockets(client, upstream) {
+  client.pipe(upstream);
+  upstream.pipe(client);
+  client.on('error', () => upstream.destroy());
+  upstream.on('error', () => client.destroy());
+}
+
+// Servers started on `localhost` may only listen on the IPv6 loopback
+function connectLoopback(port, client, hosts = ['127.0.0.1', '::1']) {
+  const upstream = connect(port, hosts[0]);
+  const retry = () => {
+    if (hosts.length > 1 && !client.destroyed) connectLoopback(port, client, hosts.slice(1));
+    else client.destroy();
+  };
+  upstream.once('error', retry);
+  upstream.once('connect', () => {
+    upstream.off('error', retry);
+    pipeSockets(client, upstream);
+  });
+}
+
+function listen({ option, socketPath, port }) {
+  return new Promise((resolve, reject) => {
+    if (option === '--egress') {
+      const server = createServer(client => pipeSockets(client, connect(socketPath)));
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+      return;
+    }
+
+    // A kept sandbox may still have the socket of an earlier run
+    rmSync(socketPath, { force: true });
+    const server = createServer((client) => {
+      // Until connected, a client that goes away has nothing to clean up
+      client.on('error', () => {});
+      connectLoopback(port, client);
+    });
+    server.once('error', reject);
+    server.listen(socketPath, resolve);
+  });
+}
+
+Promise.all(bridges.map(listen)).then(() => {
+  const env = { ...process.env };
+  const egress = bridges.find(bridge => bridge.option === '--egress');
+  if (egress) {
+    const proxyUrl = `http://127.0.0.1:${egress.port}`;
+    Object.assign(env, {
+      HTTP_PROXY: proxyUrl,
+      HTTPS_PROXY: proxyUrl,
+      http_proxy: proxyUrl,
+      https_proxy: proxyUrl,
+      NO_PROXY: 'localhost,127.0.0.1,::1',
+      no_proxy: 'localhost,127.0.0.1,::1'
+    });
+  }
+
+  const child = spawn(argv[0], argv.slice(1), { stdio: 'inherit', env });
+
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+    process.on(signal, () => child.kill(signal));
+  }
+
+  child.on('error', (error) => {
+    console.error(`${argv[0]}: ${error.message}`);
+    process.exit(127);
+  });
+  child.on('exit', (code, signal) => {
+    bridges.filter(bridge => bridge.option === '--publish').forEach(bridge => rmSync(bridge.socketPath, { force: true }));
+    process.exit(code ?? 128 + (constants.signals[signal] || 0));
+  });
+}, (error) => {
+  console.error(`net-bridge: ${error.message}`);
+  process.exit(1);
+});
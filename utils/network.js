@@ -0,0 +1,139 @@
+import { existsSync, rmSync } from 'fs';
+import { createServer, request } from 'http';
+import { connect } from 'net';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { portSocketPath } from './ports.js';
+
+//   full      - the host network, unrestricted
+//   none      - an empty network namespace with only loopback
+//   allowlist - an empty network namespace whose only way out is an HTTP(S) proxy
+//               that lets through connections to the allowed hosts
+export const NETWORK_MODES = ['full', 'none', 'allowlist'];
+
+// Started inside the namespace in allowlist mode, or when ports are forwarded;
+// connects the sandbox's loopback with sockets in the sandbox directory
+export const BRIDGE_SCRIPT = fileURLToPath(new URL('./net-bridge.js', import.meta.url));
+
+// What the bridge needs to be readable in the sandbox (package.json tells node it is an ES module)
+export const BRIDGE_FILES = [BRIDGE_SCRIPT, join(dirname(dirname(BRIDGE_SCRIPT)), 'package.json')];
+
+// Port the proxy listens on inside the sandbox's private loopback
+export const PROXY_PORT = 3128;
+
+// Network modes other than full need a namespace to cut the sandbox off from the host network
+export function checkNetworkSupport(mode, isolation) {
+  if (!NETWORK_MODES.includes(mode)) {
+    throw new Error(`Unknown network mode "${mode}" (expected one of: ${NETWORK_MODES.join(', ')})`);
+  }
+  if (mode !== 'full' && isolation.backend === 'none') {
+    throw new Error(`--network ${mode} needs namespace isolation, which is not available${isolation.reason ? `: ${isolation.reason}` : ' with --isolation none'}`);
+  }
+}
+
+// Arguments for BRIDGE_SCRIPT in a sandbox with its own network namespace:
+// the egress proxy in allowlist mode and a socket per forwarded port. `options`
+// come from getIsolationOptions(). Null when no bridge is needed.
+export function bridgeArgs(sandboxDir, { network = 'full', proxySocket = null, ports = [] }) {
+  if (network === 'full') return null;
+  const args = [
+    ...(network === 'allowlist' ? ['--egress', proxySocket, String(PROXY_PORT)] : []),
+    ...ports.flatMap(port => ['--publish', portSocketPath(sandboxDir, port), String(port)])
+  ];
+  return args.length > 0 ? args : null;
+}
+
+// Allowlist entries are a host name or IP, `*.example.com` for any subdomain,
+// optionally followed by `:port`
+export function isHostAllowed(allow, host, port) {
+  const name = host.toLowerCase().replace(/^\[|\]$/g, '');
+  return allow.some(entry => {
+    const match = entry.toLowerCase().match(/^(.+?)(?::(\d+))?$/);
+    const [, pattern, entryPort] = match;
+    if (entryPort && Number(entryPort) !== Number(port)) return false;
+    if (pattern.startsWith('*.')) return name.endsWith(pattern.slice(1));
+    return name === pattern;
+  });
+}
+
+function parseAuthority(authority, defaultPort) {
+  const match = authority.match(/^\[?([^\]]+?)\]?(?::(\d+))?$/);
+  return match ? { host: match[1], port: Number(match[2] || defaultPort) } : null;
+}
+
+// Run the egress proxy on a unix socket in the sandbox directory. Returns
+// { socketPath, blocked(), close() }; blocked() lists refused destinations as
+// { host, port, count } in the order they were first attempted.
+export function startEgressProxy(sandboxDir, allow = []) {
+  const socketPath = join(sandboxDir, '.sandboxbox-egress.sock');
+  const blockedAttempts = new Map();
+
+  const block = (host, port) => {
+    const key = `${host}:${port}`;
+    const entry = blockedAttempts.get(key) || { host, port, count: 0 };
+    entry.count++;
+    blockedAttempts.set(key, entry);
+  };
+
+  const server = createServer((req, res) => {
+    // Plain HTTP requests arrive with an absolute URL
+    let url;
+    try {
+      url = new URL(req.url);
+    } catch (error) {
+      res.writeHead(400).end('sandboxbox egress proxy: absolute URL expected\n');
+      return;
+    }
+
+    const port = Number(url.port || 80);
+    if (url.protocol !== 'http:' || !isHostAllowed(allow, url.hostname, port)) {
+      block(url.hostname, port);
+      res.writeHead(403).end(`sandboxbox: ${url.hostname} is not in the network allowlist\n`);
+      return;
+    }
+
+    const upstream = request(url, { method: req.method, headers: req.headers }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+    upstream.on('error', (error) => res.writeHead(502).end(`sandboxbox: ${error.message}\n`));
+    req.pipe(upstream);
+  });
+
+  // HTTPS and other tunnelled traffic
+  server.on('connect', (req, clientSocket, head) => {
+    const target = parseAuthority(req.url, 443);
+    if (!target || !isHostAllowed(allow, target.host, target.port)) {
+      if (target) block(target.host, target.port);
+      clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    const upstream = connect(target.port, target.host, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    upstream.on('error', () => clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n'));
+    clientSocket.on('error', () => upstream.destroy());
+  });
+
+  // A kept sandbox may still have the socket of an earlier run
+  if (existsSync(socketPath)) rmSync(socketPath, { force: true });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      resolve({
+        socketPath,
+        blocked: () => [...blockedAttempts.values()],
+        close: () => {
+          server.close();
+          server.closeAllConnections();
+          rmSync(socketPath, { force: true });
+        }
+      });
+    });
+  });
+}
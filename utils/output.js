@@ -0,0 +1,53 @@
+// Machine-readable output of the claude command. With `json` or `ndjson`,
+// stdout carries only JSON and everything meant for people goes to stderr.
+//   text   - the conversation and progress as usual
+//   json   - one summary object once the session ends
+//   ndjson - one event per line while the session runs, ending with the summary
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+// Claude's usage fields, summed over turns under camelCase names
+const USAGE_FIELDS = {
+  input_tokens: 'inputTokens',
+  output_tokens: 'outputTokens',
+  cache_creation_input_tokens: 'cacheCreationInputTokens',
+  cache_read_input_tokens: 'cacheReadInputTokens'
+};
+
+export function emptyUsage() {
+  return Object.fromEntries(Object.values(USAGE_FIELDS).map(name => [name, 0]));
+}
+
+export function addUsage(total, usage = {}) {
+  for (const [field, name] of Object.entries(USAGE_FIELDS)) {
+    total[name] += usage[field] || 0;
+  }
+  return total;
+}
+
+// Returns { format, machine, output, stdio, emit(type, data), finish(summary) }.
+// `output` is the stream for messages meant for people and `stdio` is what
+// child processes whose output is not part of the JSON get.
+export function createReporter(format = 'text') {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid --output "${format}" (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  const machine = format !== 'text';
+  const writeJson = object => process.stdout.write(JSON.stringify(object) + '\n');
+
+  const emit = (type, data = {}) => {
+    if (format === 'ndjson') writeJson({ type, time: new Date().toISOString(), ...data });
+  };
+
+  return {
+    format,
+    machine,
+    output: machine ? process.stderr : process.stdout,
+    stdio: machine ? ['inherit', process.stderr, 'inherit'] : 'inherit',
+    emit,
+    finish(summary) {
+      if (format === 'json') writeJson(summary);
+      else emit('summary', summary);
+    }
+  };
+}
@@ -0,0 +1,150 @@
+import { mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { createServer, connect } from 'net';
+import { join } from 'path';
+import { getDataDir, isProcessAlive } from './sessions.js';
+
+export const DEFAULT_PORT_RANGE = '3000-3999';
+
+// Ports claimed by this process, released by releasePorts() or when it exits
+const claimedPorts = new Set();
+let releaseOnExit = false;
+
+export function parsePortRange(range) {
+  const match = String(range).match(/^(\d+)-(\d+)$/);
+  const from = match ? Number(match[1]) : NaN;
+  const to = match ? Number(match[2]) : NaN;
+  if (!(from >= 1 && to <= 65535 && from <= to)) {
+    throw new Error(`Invalid port range "${range}" (expected e.g. ${DEFAULT_PORT_RANGE})`);
+  }
+  return { from, to };
+}
+
+function getPortsDir() {
+  return join(getDataDir(), 'ports');
+}
+
+// Claims are files named after the port holding the owner's pid, so
+// sandboxbox processes started at the same time never pick the same port.
+// Claims of processes that have exited are taken over.
+function claimPort(port) {
+  const claimPath = join(getPortsDir(), String(port));
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      writeFileSync(claimPath, String(process.pid), { flag: 'wx' });
+      if (!releaseOnExit) process.on('exit', () => releasePorts());
+      releaseOnExit = true;
+      claimedPorts.add(port);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let owner = 0;
+    try {
+      owner = Number(readFileSync(claimPath, 'utf8'));
+    } catch (error) {
+      // Released in the meantime
+    }
+    if (owner && isProcessAlive(owner)) return false;
+    rmSync(claimPath, { force: true });
+  }
+  return false;
+}
+
+function releasePort(port) {
+  claimedPorts.delete(port);
+  rmSync(join(getPortsDir(), String(port)), { force: true });
+}
+
+// Give back `ports` claimed by allocatePorts() (default: all of them)
+export function releasePorts(ports = [...claimedPorts]) {
+  ports.filter(port => claimedPorts.has(port)).forEach(releasePort);
+}
+
+// Whether nothing on the host listens on the port (on any address)
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = createServer();
+    server.once('error', () => resolve(false));
+    server.listen(port, () => server.close(() => resolve(true)));
+  });
+}
+
+// Find `count` consecutive free ports in the range, claimed until they are
+// released or this process exits. Returns the ports, or [] when `count` is 0.
+export async function allocatePorts({ count = 1, range = DEFAULT_PORT_RANGE } = {}) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid number of ports "${count}" (expected 0 or more)`);
+  }
+  if (count === 0) return [];
+
+  const { from, to } = parsePortRange(range);
+  mkdirSync(getPortsDir(), { recursive: true });
+
+  for (let first = from; first + count - 1 <= to; first++) {
+    const ports = [];
+    let available = true;
+    for (let port = first; available && port < first + count; port++) {
+      available = claimPort(port);
+      if (!available) break;
+      ports.push(port);
+      available = await isPortFree(port);
+    }
+    if (available) return ports;
+    ports.forEach(releasePort);
+  }
+
+  throw new Error(`No ${count === 1 ? 'free port' : `${count} consecutive free ports`} in ${range}`);
+}
+
+// Variables telling the sandboxed command which port(s) to listen on
+export function portEnv(ports = []) {
+  if (ports.length === 0) return {};
+  const env = { PORT: String(ports[0]), SANDBOXBOX_PORT: String(ports[0]) };
+  if (ports.length > 1) env.SANDBOXBOX_PORTS = ports.join(',');
+  return env;
+}
+
+// Socket inside the sandbox directory on which net-bridge.js serves `port` of
+// a sandbox with its own network namespace
+export function portSocketPath(sandboxDir, port) {
+  return join(sandboxDir, `.sandboxbox-port-${port}.sock`);
+}
+
+// Sandboxes on the host network need nothing; container engines publish the
+// ports themselves unless the container has no network
+function needsForwarding(isolationOptions) {
+  return isolationOptions.ports.length > 0 && isolationOptions.network !== 'full';
+}
+
+// Listen on the sandbox's ports on the host loopback and pass every connection
+// to net-bridge.js inside its network namespace. `isolationOptions` come from
+// getIsolationOptions(). Returns { close() }, or null when the ports are
+// reachable without forwarding.
+export function forwardPorts(sandboxDir, isolationOptions) {
+  if (!needsForwarding(isolationOptions)) return null;
+
+  const connections = new Set();
+  const servers = isolationOptions.ports.map(port => createServer((client) => {
+    const upstream = connect(portSocketPath(sandboxDir, port));
+    connections.add(client);
+    client.on('close', () => connections.delete(client));
+    client.pipe(upstream);
+    upstream.pipe(client);
+    client.on('error', () => upstream.destroy());
+    // Nothing listens on the port inside the sandbox (yet)
+    upstream.on('error', () => client.destroy());
+  }));
+  const close = () => {
+    servers.forEach(server => server.close());
+    connections.forEach(connection => connection.destroy());
+  };
+
+  return Promise.all(servers.map((server, index) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(isolationOptions.ports[index], '127.0.0.1', resolve);
+  }))).then(() => ({ close }), (error) => {
+    close();
+    throw new Error(`Could not forward port: ${error.message}`);
+  });
+}
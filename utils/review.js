@@ -0,0 +1,128 @@
+import { existsSync, copyFileSync, rmSync } from 'fs';
+import { join, resolve } from 'path';
+import { execFileSync } from 'child_process';
+
+// Run `fn` with a throwaway git index holding the whole workspace (tracked,
+// modified and untracked but not ignored files), so uncommitted sandbox work
+// can be snapshotted and diffed without touching the workspace's own index
+function withWorkspaceIndex(workspaceDir, fn) {
+  const gitPath = (name) => resolve(workspaceDir, execFileSync('git', ['rev-parse', '--git-path', name], {
+    cwd: workspaceDir,
+    encoding: 'utf8',
+    stdio: 'pipe'
+  }).trim());
+
+  const realIndex = gitPath('index');
+  const indexFile = gitPath(`sandboxbox-index-${process.pid}`);
+  const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+
+  try {
+    // Starting from the real index keeps git's stat cache, so only changed files are rehashed
+    if (existsSync(realIndex)) copyFileSync(realIndex, indexFile);
+    execFileSync('git', ['add', '-A'], { cwd: workspaceDir, env, stdio: 'pipe' });
+    return fn(env);
+  } finally {
+    rmSync(indexFile, { force: true });
+  }
+}
+
+// Record the workspace state the sandbox started from. Returns the HEAD commit
+// (null for an empty repository) and a tree object that also covers carried-over
+// dirty changes, so reviews only show what was produced inside the sandbox.
+export function snapshotWorkspace(workspaceDir) {
+  let baseCommit = null;
+  try {
+    baseCommit = execFileSync('git', ['rev-parse', '--verify', 'HEAD'], { cwd: workspaceDir, encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch (error) {
+    // No commits yet
+  }
+
+  const baseTree = withWorkspaceIndex(workspaceDir, env => execFileSync('git', ['write-tree'], {
+    cwd: workspaceDir,
+    env,
+    encoding: 'utf8',
+    stdio: 'pipe'
+  }).trim());
+
+  return { baseCommit, baseTree };
+}
+
+// Commits and file changes made in the sandbox since its snapshot
+export function getSandboxChanges(workspaceDir, workspace = {}) {
+  if (!workspace.baseTree) {
+    throw new Error('This sandbox was created before review support and has no recorded baseline');
+  }
+
+  let commits = [];
+  if (workspace.baseCommit) {
+    commits = execFileSync('git', ['log', '--format=%h%x09%s', `${workspace.baseCommit}..HEAD`], {
+      cwd: workspaceDir,
+      encoding: 'utf8',
+      stdio: 'pipe'
+    }).split('\n').filter(Boolean).map(line => {
+      const [sha, ...subject] = line.split('\t');
+      return { sha, subject: subject.join('\t') };
+    });
+  }
+
+  const files = withWorkspaceIndex(workspaceDir, env => {
+    // -z output alternates status and path: ["M", "a.txt", "D", "b.txt", ...]
+    const entries = execFileSync('git', ['diff', '--cached', '--name-status', '--no-renames', '-z', workspace.baseTree], {
+      cwd: workspaceDir,
+      env,
+      encoding: 'utf8',
+      stdio: 'pipe',
+      maxBuffer: 64 * 1024 * 1024
+    }).split('\0').filter(Boolean);
+
+    const result = [];
+    for (let i = 0; i + 1 < entries.length; i += 2) {
+      result.push({ status: entries[i], path: entries[i + 1] });
+    }
+    return result;
+  });
+
+  return { commits, files };
+}
+
+// Unified diff of the sandbox changes, optionally limited to some paths
+export function getSandboxDiff(workspaceDir, workspace, paths = [], options = {}) {
+  const { color = false, stat = false } = options;
+  const format = stat ? '--stat' : '--binary';
+  // No shell: paths come from the sandbox and may contain anything
+  const args = ['diff', '--cached', format, '--no-renames', `--color=${color ? 'always' : 'never'}`, workspace.baseTree, '--', ...paths];
+
+  return withWorkspaceIndex(workspaceDir, env => execFileSync('git', args, {
+    cwd: workspaceDir,
+    env,
+    encoding: 'utf8',
+    stdio: 'pipe',
+    maxBuffer: 256 * 1024 * 1024
+  }));
+}
+
+// Apply sandbox changes to the host working tree. Git projects use a three-way
+// apply so host edits made in the meantime merge or are left as conflicts.
+// Returns { applied, conflicts } where conflicts lists paths with conflict markers.
+export function applySandboxChanges(projectDir, workspaceDir, workspace, paths = []) {
+  const patch = getSandboxDiff(workspaceDir, workspace, paths);
+  if (!patch.trim()) return { applied: false, conflicts: [] };
+
+  const isGitProject = existsSync(join(projectDir, '.git'));
+  try {
+    execFileSync('git', ['apply', ...(isGitProject ? ['--3way'] : []), '--whitespace=nowarn'], {
+      cwd: projectDir,
+      input: patch,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    const stderr = error.stderr?.toString() || '';
+    const conflicts = [...stderr.matchAll(/^Applied patch to '(.+)' with conflicts\.$/gm)].map(match => match[1]);
+    if (conflicts.length > 0) {
+      return { applied: true, conflicts };
+    }
+    const hint = stderr.includes('does not match index') ? '\nCommit or stash the host changes to these files and try again.' : '';
+    throw new Error(`Could not apply sandbox changes to ${projectDir}:\n${stderr.trim() || error.message}${hint}`);
+  }
+  return { applied: true, conflicts: [] };
+}
@@ -0,0 +1,303 @@
+import { EventEmitter } from 'events';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createSandbox as createSandboxDir, createSandboxEnv, runSetupScripts, getIsolationOptions, runInSandbox, forwardSignals, signalExitCode } from './sandbox.js';
+import { loadConfig, configFromFlags } from './config.js';
+import { resolveRuntime } from './backends.js';
+import { ensureImageFresh } from './image.js';
+import { checkNetworkSupport, startEgressProxy } from './network.js';
+import { allocatePorts, releasePorts, forwardPorts } from './ports.js';
+import { parseLimits, terminateProcess, LIMIT_EXIT_CODES } from './limits.js';
+import { exportSandboxArtifacts } from './artifacts.js';
+
+// A run started through the Node API: an EventEmitter that is also awaited
+// (it is a thenable) for the run's structured result. The run starts on the
+// next tick, so listeners added right after it is created see every event.
+// `start(run, onStop)` does the work; `onStop(handler)` sets what stop() does.
+export class SandboxRun extends EventEmitter {
+  constructor(start) {
+    super();
+    let stopHandler = null;
+    let stopped = false;
+    this.stop = () => {
+      stopped = true;
+      if (stopHandler) stopHandler();
+    };
+    const onStop = (handler) => {
+      stopHandler = handler;
+      if (stopped) handler();
+    };
+    this.result = new Promise(resolve => setImmediate(resolve)).then(() => start(this, onStop));
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.result.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.result.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.result.finally(onFinally);
+  }
+}
+
+// How a failed command ended, as { exitCode, limit, peak }
+function commandOutcome(error) {
+  return {
+    exitCode: error.limit ? LIMIT_EXIT_CODES[error.limit] : (error.exitCode || 1),
+    limit: error.limit || null,
+    peak: error.peak || null
+  };
+}
+
+// Create the sandbox of `projectDir` with `options` (the CLI flags in
+// camelCase, e.g. { network: 'none', keep: true, env: ['KEY=value'] }), up to
+// the point its environment is set up. `emit(type, data)` gets the `stage`,
+// `warning`, `sandbox` and `setup` events. `profile` adapts the sandbox to what runs in it:
+//   command(config)   - the command recorded with a kept sandbox
+//   allow             - hosts added to the network allowlist
+//   passthrough       - host variables passed through whatever the env mode
+//   sandboxOptions    - extra createSandbox() options
+//   env(sandboxDir)   - extra variables (may be async)
+//   prepare(config)   - validation before the sandbox is created
+//   onCreated(handle) - called once the sandbox exists
+// Returns the sandbox handle; start() sets up its environment.
+export async function openSandbox(projectDir, options = {}, emit = () => {}, profile = {}) {
+  if (!existsSync(projectDir)) throw new Error(`Project directory not found: ${projectDir}`);
+
+  const startTime = Date.now();
+  const { config: loadedConfig } = loadConfig(projectDir, configFromFlags(options));
+  const config = profile.allow
+    ? { ...loadedConfig, network: { ...loadedConfig.network, allow: [...loadedConfig.network.allow, ...profile.allow] } }
+    : loadedConfig;
+  const isolation = resolveRuntime(config);
+  // Pushing into the checked-out branch updates the host working tree, which
+  // isolated sandboxes cannot write, so their commits land on a host branch
+  const hostBranch = config.hostBranch || (config.autoPush && isolation.backend !== 'none');
+  if (isolation.image) ensureImageFresh(isolation, config, emit, options.stdio || 'inherit');
+  checkNetworkSupport(config.network.mode, isolation);
+  const limits = parseLimits(config.limits);
+  if (profile.prepare) profile.prepare(config);
+
+  const command = profile.command ? profile.command(config) : null;
+  const allocatedPorts = await allocatePorts(config.ports);
+  let created;
+  try {
+    created = createSandboxDir(projectDir, {
+      ...config,
+      hostBranch,
+      ...profile.sandboxOptions,
+      name: options.name,
+      keep: options.keep,
+      command,
+      allocatedPorts
+    });
+  } catch (error) {
+    releasePorts(allocatedPorts);
+    throw error;
+  }
+  const { id, sandboxDir, cleanup, resumed, workspace, autoPush, hostPaths } = created;
+  let session = created.session;
+  // A signal only interrupts the runs that forward signals, and is forgotten at close()
+  let interrupted = null;
+  const stopForwarding = options.handleSignals
+    ? forwardSignals(cleanup, (signal) => { interrupted = interrupted || signal; })
+    : () => {};
+
+  const stdio = options.stdio || 'inherit';
+  let isolationOptions = null;
+  let proxy = null;
+  let forwards = null;
+  let closed = null;
+  // The setup and exec() commands still running, with what stops them
+  const running = new Map();
+  const track = (proc, limited) => {
+    const entry = { limited, finishTermination: null };
+    running.set(proc, entry);
+    const untrack = () => {
+      if (entry.finishTermination) entry.finishTermination();
+      running.delete(proc);
+    };
+    proc.on('close', untrack);
+    proc.on('error', untrack);
+  };
+
+  const sandbox = {
+    id,
+    sandboxDir,
+    workspaceDir: join(sandboxDir, 'workspace'),
+    projectDir,
+    command,
+    resumed,
+    workspace,
+    dirty: created.dirty,
+    credentials: created.credentials,
+    autoPush,
+    config,
+    isolation,
+    limits,
+    ports: allocatedPorts,
+    env: null,
+
+    // The sandbox's kept session, or null while it is thrown away at close()
+    get session() {
+      return session;
+    },
+
+    // The signal that interrupted the sandbox's commands, or null
+    get interruptedBy() {
+      return interrupted;
+    },
+
+    // Keep a throwaway sandbox after close(); returns its session
+    keep() {
+      session = created.keep();
+      return session;
+    },
+
+    // Set up the environment, egress proxy, forwarded ports and, unless the
+    // sandbox was resumed, the setup commands
+    async start() {
+      const envStartTime = Date.now();
+      const extraEnv = profile.env ? await profile.env(sandboxDir) : {};
+      sandbox.env = createSandboxEnv(sandboxDir, extraEnv, {
+        ...config,
+        autoPush,
+        allocatedPorts,
+        env: { ...config.env, passthrough: [...config.env.passthrough, ...(profile.passthrough || [])] }
+      });
+      emit('stage', { stage: 'environment', durationMs: Date.now() - envStartTime });
+      emit('sandbox', sandbox);
+
+      if (config.network.mode === 'allowlist') proxy = await startEgressProxy(sandboxDir, config.network.allow);
+      isolationOptions = getIsolationOptions(isolation, config, hostPaths, proxy, allocatedPorts);
+      forwards = await forwardPorts(sandboxDir, isolationOptions);
+      if (!resumed) {
+        await runSetupScripts(config.setup, sandboxDir, sandbox.env, isolationOptions, limits, {
+          stdio,
+          announce: script => emit('setup', { script }),
+          onSpawn: track
+        });
+      }
+      return sandbox;
+    },
+
+    // What commands in the sandbox run under: getIsolationOptions() of the started sandbox
+    get isolationOptions() {
+      return isolationOptions;
+    },
+
+    // Run a shell command in the workspace. Resolves with { exitCode, error,
+    // limit, peak }; a non-zero exit or a limit does not reject.
+    async exec(commandLine, { stdio: execStdio = stdio } = {}) {
+      if (!isolationOptions) throw new Error('The sandbox has not been started');
+      try {
+        const peak = await runInSandbox(commandLine, [], sandboxDir, sandbox.env, isolationOptions, limits, execStdio, track);
+        return { exitCode: 0, error: null, limit: null, peak };
+      } catch (error) {
+        if (error.exitCode === undefined && !error.limit) throw error;
+        return { ...commandOutcome(error), error: error.message };
+      }
+    },
+
+    // Stop the running setup and exec() commands the way a timeout does
+    stop() {
+      for (const [proc, stopping] of running) {
+        if (!stopping.finishTermination) stopping.finishTermination = terminateProcess(proc, stopping.limited);
+      }
+    },
+
+    // Stop the proxy and port forwarding, release the ports, export the
+    // artifacts and remove the sandbox unless it is kept. `exitCode` is that
+    // of the run, for the artifact manifest. Returns { artifacts, hostBranch, blockedConnections, session }.
+    close({ command: closedCommand = command, exitCode = 0 } = {}) {
+      if (closed) return closed;
+      stopForwarding();
+      const blockedConnections = proxy ? proxy.blocked() : [];
+      if (proxy) proxy.close();
+      if (forwards) forwards.close();
+      releasePorts(allocatedPorts);
+      const artifacts = exportSandboxArtifacts(config, projectDir, sandboxDir, id, { command: closedCommand, exitCode });
+      closed = { artifacts, hostBranch: cleanup(), blockedConnections, session };
+      return closed;
+    }
+  };
+
+  if (profile.onCreated) profile.onCreated(sandbox);
+  emit('stage', { stage: 'sandbox', durationMs: Date.now() - startTime, sandbox: id, resumed });
+  return sandbox;
+}
+
+// Create and start a sandbox of `projectDir` to run commands in with exec().
+// `options` are the CLI flags in camelCase, plus `stdio` for the setup and
+// exec() commands (default 'inherit'). Call close() when done.
+export async function createSandbox(projectDir, options = {}) {
+  const sandbox = await openSandbox(projectDir, options);
+  try {
+    return await sandbox.start();
+  } catch (error) {
+    sandbox.close({ exitCode: error.exitCode || 1 });
+    throw error;
+  }
+}
+
+// How a command ended by stop() is reported
+const STOPPED_MESSAGE = 'Command stopped';
+
+// Run `command` (default: the configured command, or bash) in a sandbox of
+// `projectDir`, as `sandboxbox run` does. Returns a SandboxRun that emits
+// stage, warning, sandbox, setup, command and exit events and resolves with
+// { success, exitCode, error, limit, sandbox, command, durationMs, peak,
+// blockedConnections, artifacts, hostBranch }. It rejects only when the
+// sandbox cannot be created; stop() ends the command. `options` are the CLI
+// flags in camelCase, plus `stdio` (default 'inherit') and `handleSignals`
+// (forward SIGINT/SIGTERM).
+export function run(projectDir, command, options = {}) {
+  return new SandboxRun(async (sandboxRun, onStop) => {
+    const startTime = Date.now();
+    const emit = (type, data) => sandboxRun.emit(type, data);
+    let stopped = false;
+    let sandbox = null;
+    onStop(() => {
+      stopped = true;
+      if (sandbox) sandbox.stop();
+    });
+    sandbox = await openSandbox(projectDir, options, emit, {
+      command: config => command || config.command || 'bash'
+    });
+
+    let outcome;
+    let error = null;
+    try {
+      await sandbox.start();
+      if (stopped) throw Object.assign(new Error(STOPPED_MESSAGE), { exitCode: signalExitCode('SIGTERM') });
+      emit('command', { command: sandbox.command });
+      const commandStartTime = Date.now();
+      outcome = await sandbox.exec(sandbox.command);
+      error = stopped ? STOPPED_MESSAGE : outcome.error;
+      emit('stage', { stage: 'command', durationMs: Date.now() - commandStartTime });
+    } catch (startError) {
+      outcome = commandOutcome(startError);
+      error = stopped ? STOPPED_MESSAGE : startError.message;
+    }
+
+    const { artifacts, hostBranch, blockedConnections, session } = sandbox.close({ exitCode: outcome.exitCode });
+    const summary = {
+      success: outcome.exitCode === 0,
+      exitCode: outcome.exitCode,
+      error,
+      limit: outcome.limit,
+      sandbox: session ? session.id : null,
+      command: sandbox.command,
+      durationMs: Date.now() - startTime,
+      peak: outcome.peak,
+      blockedConnections,
+      artifacts,
+      hostBranch
+    };
+    emit('exit', summary);
+    return summary;
+  });
+}
@@ -1,488 +1,908 @@
-import { mkdtempSync, rmSync, cpSync, existsSync, mkdirSync, writeFileSync, symlinkSync, realpathSync, readFileSync, appendFileSync } from 'fs';
-import { tmpdir, homedir, platform } from 'os';
-import { join, resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { spawn, execSync } from 'child_process';
-
-export function createSandbox(projectDir, options = {}) {
-  const { useHostSettings = false, headlessMode = false, allocatedPort = null } = options;
-  const sandboxDir = mkdtempSync(join(tmpdir(), 'sandboxbox-'));
-  const workspaceDir = join(sandboxDir, 'workspace');
-  const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
-
-  // Ensure host directory is a git repository
-  if (!existsSync(join(projectDir, '.git'))) {
-    // Initialize git repository in host directory if it doesn't exist
-    execSync(`git init "${projectDir}"`, {
-      stdio: 'pipe',
-      shell: true,
-      windowsHide: true
-    });
-  }
-
-  // Configure global git safe directories with duplicate prevention
-  function addSafeDirectory(dir) {
-    try {
-      // Check if directory is already in safe.directory config
-      const existingDirs = execSync('git config --global --get-all safe.directory', {
-        encoding: 'utf8',
-        stdio: 'pipe'
-      }).trim().split('\n').filter(d => d.length > 0);
-
-      if (!existingDirs.includes(dir)) {
-        execSync(`git config --global --add safe.directory "${dir}"`, {
-          stdio: 'pipe',
-          shell: true,
-          windowsHide: true
-        });
-      }
-    } catch (error) {
-      // If get-all fails, try adding directly (might be first entry)
-      try {
-        execSync(`git config --global --add safe.directory "${dir}"`, {
-          stdio: 'pipe',
-          shell: true,
-          windowsHide: true
-        });
-      } catch (addError) {
-        // Silently fail if config is locked or directory already exists
-        if (VERBOSE_OUTPUT) {
-          console.log(`Warning: Could not add safe.directory ${dir}: ${addError.message}`);
-        }
-      }
-    }
-  }
-
-  addSafeDirectory(projectDir);
-  addSafeDirectory(`${projectDir}/.git`);
-
-  // Configure host repository to accept pushes to current branch
-  try {
-    execSync(`cd "${projectDir}" && git config receive.denyCurrentBranch updateInstead`, {
-      stdio: 'pipe',
-      shell: true,
-      windowsHide: true
-    });
-  } catch (error) {
-    // Silently skip repository configuration
-  }
-
-  // Copy/clone the project to workspace
-  if (existsSync(join(projectDir, '.git'))) {
-    // If it's a git repo, do a shallow clone
-    execSync(`git clone --depth 1 --no-tags "${projectDir}" "${workspaceDir}"`, {
-      stdio: 'pipe',
-      shell: true,
-      windowsHide: true
-    });
-  } else {
-    // If not a git repo, just copy the files
-    mkdirSync(workspaceDir, { recursive: true });
-    execSync(`cp -r "${projectDir}"/* "${workspaceDir}/"`, {
-      stdio: 'pipe',
-      shell: true,
-      windowsHide: true
-    });
-    // Initialize git in workspace
-    execSync(`git init "${workspaceDir}"`, {
-      stdio: 'pipe',
-      shell: true,
-      windowsHide: true
-    });
-  }
-
-  // Ensure .claude is in .gitignore in the sandbox workspace
-  const gitignorePath = join(workspaceDir, '.gitignore');
-  if (!existsSync(gitignorePath)) {
-    writeFileSync(gitignorePath, `# Claude Code settings (project-specific, not to be committed)
-.claude/
-
-# Dependencies
-node_modules/
-*.log
-.DS_Store
-`);
-  } else {
-    // Add .claude to existing .gitignore if not already present
-    const gitignoreContent = readFileSync(gitignorePath, 'utf8');
-    if (!gitignoreContent.includes('.claude/')) {
-      writeFileSync(gitignorePath, gitignoreContent + '\n# Claude Code settings (project-specific, not to be committed)\n.claude/\n');
-    }
-  }
-
-  // Set up host repo as origin in sandbox (pointing to host directory)
-  try {
-    execSync(`git remote add origin "${projectDir}"`, {
-      cwd: workspaceDir,
-      stdio: 'pipe',
-      shell: true
-    });
-  } catch (e) {
-    // Remote already exists, update it
-    execSync(`git remote set-url origin "${projectDir}"`, {
-      cwd: workspaceDir,
-      stdio: 'pipe',
-      shell: true
-    });
-    // Remote updated silently
-  }
-
-  // Set up upstream tracking for current branch
-  try {
-    const currentBranch = execSync(`git branch --show-current`, {
-      cwd: workspaceDir,
-      encoding: 'utf8',
-      stdio: 'pipe'
-    }).trim();
-
-    // Ensure the branch exists on the host side
-    try {
-      execSync(`cd "${projectDir}" && git checkout ${currentBranch}`, {
-        stdio: 'pipe',
-        shell: true
-      });
-    } catch (e) {
-      // Branch doesn't exist on host, create it
-      execSync(`cd "${projectDir}" && git checkout -b ${currentBranch}`, {
-        stdio: 'pipe',
-        shell: true
-      });
-    }
-
-    execSync(`git branch --set-upstream-to=origin/${currentBranch} ${currentBranch}`, {
-      cwd: workspaceDir,
-      stdio: 'pipe',
-      shell: true
-    });
-  } catch (e) {
-    // Upstream may not exist yet, ignore error
-  }
-
-  // Copy project's .claude/settings.json if it exists (project-level Claude settings)
-  const projectClaudeSettingsPath = join(projectDir, '.claude', 'settings.json');
-  if (existsSync(projectClaudeSettingsPath)) {
-    const sandboxClaudeSettingsPath = join(workspaceDir, '.claude', 'settings.json');
-    mkdirSync(join(workspaceDir, '.claude'), { recursive: true });
-    cpSync(projectClaudeSettingsPath, sandboxClaudeSettingsPath);
-
-    if (VERBOSE_OUTPUT) {
-      console.log('✅ Copied project Claude settings to sandbox');
-    }
-  }
-
-  // Batch fetch git identity settings for efficiency
-  const gitSettings = execSync(`git config --global --get user.name && git config --global --get user.email && git config --global --get color.ui`, {
-    stdio: 'pipe',
-    shell: true,
-    encoding: 'utf8'
-  }).trim().split('\n');
-
-  const [userName, userEmail, colorUi] = gitSettings;
-
-  // Batch configure git settings in sandbox
-  execSync(`git config user.name "${userName}" && git config user.email "${userEmail}" && git config color.ui "${colorUi}"`, {
-    cwd: workspaceDir,
-    stdio: 'pipe',
-    shell: true
-  });
-
-  // Configure Git remote to host for bidirectional synchronization
-  try {
-    execSync(`cd "${workspaceDir}" && git remote add host "${projectDir}"`, {
-      stdio: 'pipe',
-      shell: true
-    });
-
-    if (VERBOSE_OUTPUT) {
-      console.log('✅ Configured Git remote to host repository');
-    }
-  } catch (error) {
-    // Remote might already exist, try to update it
-    try {
-      execSync(`cd "${workspaceDir}" && git remote set-url host "${projectDir}"`, {
-        stdio: 'pipe',
-        shell: true
-      });
-
-      if (VERBOSE_OUTPUT) {
-        console.log('✅ Updated Git remote to host repository');
-      }
-    } catch (updateError) {
-      if (VERBOSE_OUTPUT) {
-        console.log('⚠️  Could not configure Git remote to host');
-      }
-    }
-  }
-
-  // Setup Claude settings in sandbox
-  const hostClaudeDir = join(homedir(), '.claude');
-  const sandboxClaudeDir = join(sandboxDir, '.claude');
-
-  // Always use bundled SandboxBox settings unless host settings are requested
-  if (!useHostSettings) {
-    // Create sandbox Claude directory
-    mkdirSync(sandboxClaudeDir, { recursive: true });
-
-    const repoRoot = resolve(fileURLToPath(import.meta.url), '..', '..');
-    const claudeSandboxDir = join(repoRoot, '.claude-sandbox');
-
-    // Copy .claude-sandbox configuration to sandbox
-    if (existsSync(claudeSandboxDir)) {
-      // Copy settings.json
-      const claudeSandboxSettingsPath = join(claudeSandboxDir, 'settings.json');
-      if (existsSync(claudeSandboxSettingsPath)) {
-        const sandboxSettingsPath = join(sandboxClaudeDir, 'settings.json');
-        cpSync(claudeSandboxSettingsPath, sandboxSettingsPath);
-
-        if (VERBOSE_OUTPUT) {
-          console.log('✅ Copied .claude-sandbox settings to sandbox');
-        }
-      }
-
-      // Copy plugins directory
-      const claudeSandboxPluginsDir = join(claudeSandboxDir, 'plugins');
-      if (existsSync(claudeSandboxPluginsDir)) {
-        const sandboxPluginsDir = join(sandboxClaudeDir, 'plugins');
-        cpSync(claudeSandboxPluginsDir, sandboxPluginsDir, { recursive: true });
-
-        // Update plugin paths in config.json to point to sandbox locations
-        const configPath = join(sandboxPluginsDir, 'config.json');
-        if (existsSync(configPath)) {
-          const config = JSON.parse(readFileSync(configPath, 'utf8'));
-          if (config.repositories) {
-            Object.keys(config.repositories).forEach(repo => {
-              const repoName = repo.toLowerCase();
-              config.repositories[repo].path = join(sandboxClaudeDir, 'plugins', 'marketplaces', repoName);
-            });
-            writeFileSync(configPath, JSON.stringify(config, null, 2));
-          }
-        }
-
-        // Update plugin paths in installed_plugins.json
-        const installedPluginsPath = join(sandboxPluginsDir, 'installed_plugins.json');
-        if (existsSync(installedPluginsPath)) {
-          const installedPlugins = JSON.parse(readFileSync(installedPluginsPath, 'utf8'));
-          if (installedPlugins.plugins) {
-            Object.keys(installedPlugins.plugins).forEach(pluginKey => {
-              const plugin = installedPlugins.plugins[pluginKey];
-              if (plugin.installPath) {
-                plugin.installPath = join(sandboxClaudeDir, 'plugins', 'marketplaces', 'anentrypoint-glootie-cc', '/');
-              }
-            });
-            writeFileSync(installedPluginsPath, JSON.stringify(installedPlugins, null, 2));
-          }
-        }
-
-        // Update plugin paths in known_marketplaces.json
-        const knownMarketplacesPath = join(sandboxPluginsDir, 'known_marketplaces.json');
-        if (existsSync(knownMarketplacesPath)) {
-          const knownMarketplaces = JSON.parse(readFileSync(knownMarketplacesPath, 'utf8'));
-          Object.keys(knownMarketplaces).forEach(marketplaceKey => {
-            const marketplace = knownMarketplaces[marketplaceKey];
-            if (marketplace.installLocation) {
-              marketplace.installLocation = join(sandboxClaudeDir, 'plugins', 'marketplaces', 'anentrypoint-glootie-cc');
-            }
-          });
-          writeFileSync(knownMarketplacesPath, JSON.stringify(knownMarketplaces, null, 2));
-        }
-
-        if (VERBOSE_OUTPUT) {
-          console.log('✅ Copied .claude-sandbox plugins to sandbox');
-        }
-      }
-
-      // Copy credentials from host if available
-      const hostCredentialsPath = join(hostClaudeDir, '.credentials.json');
-      if (existsSync(hostCredentialsPath)) {
-        cpSync(hostCredentialsPath, join(sandboxClaudeDir, '.credentials.json'));
-      }
-
-      if (VERBOSE_OUTPUT) {
-        console.log('✅ Using .claude-sandbox configuration');
-      }
-    } else if (VERBOSE_OUTPUT) {
-      console.log('⚠️  .claude-sandbox directory not found in repo');
-    }
-  }
-
-  // Optimize cache directory handling - use symlinks instead of copying
-  const hostCacheDir = join(homedir(), '.cache');
-  if (existsSync(hostCacheDir)) {
-    const sandboxCacheDir = join(sandboxDir, '.cache');
-    mkdirSync(sandboxCacheDir, { recursive: true });
-
-    // Create symlink to ms-playwright cache instead of copying (major performance improvement)
-    const playwrightCacheDir = join(hostCacheDir, 'ms-playwright');
-    if (existsSync(playwrightCacheDir)) {
-      const sandboxPlaywrightDir = join(sandboxCacheDir, 'ms-playwright');
-      try {
-        symlinkSync(playwrightCacheDir, sandboxPlaywrightDir, 'dir');
-      } catch (error) {
-        // Fallback to copying only if symlink fails
-        cpSync(playwrightCacheDir, sandboxPlaywrightDir, { recursive: true });
-      }
-    }
-  }
-
-  const cleanup = () => {
-    // Close any log files that might be open
-    if (global.logFileHandle) {
-      try {
-        appendFileSync(global.logFileHandle, `\n# Session ended: ${new Date().toISOString()}\n`);
-        global.logFileHandle = null;
-      } catch (error) {
-        // Don't fail on log cleanup
-      }
-    }
-
-    // Note: Git commits/pushes are handled by the agent via explicit instructions
-    // The sandbox has git configured with origin pointing to host and receive.denyCurrentBranch=updateInstead
-    // This allows agent-driven git push to work correctly
-
-    rmSync(sandboxDir, { recursive: true, force: true });
-  };
-
-  return { sandboxDir, cleanup };
-}
-
-export function createSandboxEnv(sandboxDir, options = {}) {
-  const sandboxClaudeDir = join(sandboxDir, '.claude');
-  const sandboxCacheDir = join(sandboxDir, '.cache');
-
-  // Start with all process environment variables
-  const env = {
-    ...process.env,
-  };
-
-  // IMPORTANT: Set HOME to sandbox directory for Claude to find settings
-  // but preserve access to host credentials via symlink
-  env.HOME = sandboxDir;
-  env.USERPROFILE = sandboxDir;
-
-  // Set XDG paths to use sandbox Claude directory
-  env.XDG_CONFIG_HOME = sandboxClaudeDir;
-  env.XDG_DATA_HOME = join(sandboxClaudeDir, '.local', 'share');
-  env.XDG_CACHE_HOME = sandboxCacheDir;
-  env.TMPDIR = join(sandboxDir, 'tmp');
-  env.TEMP = join(sandboxDir, 'tmp');
-  env.TMP = join(sandboxDir, 'tmp');
-  env.PLAYWRIGHT_BROWSERS_PATH = join(sandboxDir, 'browsers');
-  env.PLAYWRIGHT_STORAGE_STATE = join(sandboxDir, '.playwright', 'storage-state.json');
-  if (process.env.CLAUDE_CODE_ENTRYPOINT) {
-    env.CLAUDE_CODE_ENTRYPOINT = process.env.CLAUDE_CODE_ENTRYPOINT;
-  }
-
-  // Ensure TERM is set with fallback
-  env.TERM = process.env.TERM || 'xterm-256color';
-
-  // Preserve important host credentials and tool configurations
-  const hostHome = homedir();
-
-  // Firebase and Google Cloud credentials
-  const firebaseCredPath = join(hostHome, '.config', 'firebase');
-  const gcloudCredPath = join(hostHome, '.config', 'gcloud');
-  const googleCredPath = join(hostHome, '.config', 'google-cloud');
-
-  // GitHub credentials
-  const ghCredPath = join(hostHome, '.config', 'gh');
-
-  // Other development tools
-  const claspCredPath = join(hostHome, '.clasprc.json');
-  const awsCredPath = join(hostHome, '.aws');
-  const sshCredPath = join(hostHome, '.ssh');
-  const npmCredPath = join(hostHome, '.npmrc');
-
-  // Create symlinks to host credentials in sandbox
-  const sandboxConfigDir = join(sandboxDir, '.config');
-  mkdirSync(sandboxConfigDir, { recursive: true });
-
-  // Firebase
-  if (existsSync(firebaseCredPath)) {
-    symlinkSync(firebaseCredPath, join(sandboxConfigDir, 'firebase'), 'dir');
-  }
-
-  // Google Cloud
-  if (existsSync(gcloudCredPath)) {
-    symlinkSync(gcloudCredPath, join(sandboxConfigDir, 'gcloud'), 'dir');
-  }
-  if (existsSync(googleCredPath)) {
-    symlinkSync(googleCredPath, join(sandboxConfigDir, 'google-cloud'), 'dir');
-  }
-
-  // GitHub CLI
-  if (existsSync(ghCredPath)) {
-    symlinkSync(ghCredPath, join(sandboxConfigDir, 'gh'), 'dir');
-  }
-
-  // Google Apps Script (clasp)
-  if (existsSync(claspCredPath)) {
-    symlinkSync(claspCredPath, join(sandboxDir, '.clasprc.json'));
-  }
-
-  // AWS
-  if (existsSync(awsCredPath)) {
-    symlinkSync(awsCredPath, join(sandboxDir, '.aws'), 'dir');
-  }
-
-  // SSH (for git operations)
-  if (existsSync(sshCredPath)) {
-    symlinkSync(sshCredPath, join(sandboxDir, '.ssh'), 'dir');
-  }
-
-  // NPM
-  if (existsSync(npmCredPath)) {
-    symlinkSync(npmCredPath, join(sandboxDir, '.npmrc'));
-  }
-
-  // Preserve credential environment variables
-  const credEnvVars = [
-    'FIREBASE_TOKEN',
-    'GOOGLE_APPLICATION_CREDENTIALS',
-    'GCLOUD_PROJECT',
-    'GITHUB_TOKEN',
-    'GH_TOKEN',
-    'AWS_ACCESS_KEY_ID',
-    'AWS_SECRET_ACCESS_KEY',
-    'AWS_SESSION_TOKEN',
-    'AWS_DEFAULT_REGION',
-    'CLASP_CREDENTIALS',
-    'NPM_TOKEN',
-    'GIT_SSH_COMMAND',
-    'SSH_AUTH_SOCK'
-  ];
-
-  credEnvVars.forEach(varName => {
-    if (process.env[varName]) {
-      env[varName] = process.env[varName];
-    }
-  });
-
-  // Apply any additional options
-  Object.assign(env, options);
-
-  return env;
-}
-
-export function runInSandbox(commandStr, args, sandboxDir, env) {
-  return new Promise((resolve, reject) => {
-    const fullCommand = args.length > 0 ? `${commandStr} ${args.join(' ')}` : commandStr;
-
-    const proc = spawn(fullCommand, [], {
-      cwd: join(sandboxDir, 'workspace'),
-      env,
-      stdio: 'inherit',
-      shell: true,
-      windowsHide: false
-    });
-
-    proc.on('close', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`Process exited with code ${code}`));
-      }
-    });
-
-    proc.on('error', reject);
-  });
+import { mkdtempSync, rmSync, cpSync, existsSync, mkdirSync, writeFileSync, symlinkSync, readFileSync, unlinkSync } from 'fs';
+import { tmpdir, homedir, constants } from 'os';
+import { join, resolve, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { spawn, execSync } from 'child_process';
+import { getSessionsDir, getSession, saveSession, generateSessionId, isValidSessionId, markRunning, clearRunning } from './sessions.js';
+import { createWorkspace, removeWorkspace, resolveWorkspaceMode, carryDirtyChanges } from './workspace.js';
+import { copyProject } from './copy.js';
+import { exposeCredentials, credentialEnvVars, CREDENTIAL_ENV_VARS } from './credentials.js';
+import { snapshotWorkspace } from './review.js';
+import { addGlobalGitConfig, setRepoGitConfig, releaseHostChanges } from './host-git.js';
+import { color } from './colors.js';
+import { DEFAULT_GITIGNORE } from './config.js';
+import { selectHostEnv, parseEnvFile } from './env.js';
+import { wrapCommand } from './isolation.js';
+import { limitCommand, watchLimits } from './limits.js';
+import { CONTAINER_ENGINES, containerCommand } from './backends.js';
+import { portEnv } from './ports.js';
+import { print } from './ui.js';
+
+export function createSandbox(projectDir, options = {}) {
+  const {
+    useHostSettings = false,
+    allocatedPorts = [],
+    name = null,
+    keep = false,
+    command = null,
+    includeDirty = false,
+    excludes = [],
+    copyMode = 'reflink',
+    gitignore = DEFAULT_GITIGNORE,
+    playwrightCache = true,
+    credentials = [],
+    autoPush = true,
+    hostBranch = false,
+    branchPrefix = 'sandboxbox/',
+    hostMutation = true
+  } = options;
+  const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+  const workspaceMode = resolveWorkspaceMode(options.workspaceMode);
+
+  if (!hostMutation && workspaceMode === 'worktree' && existsSync(join(projectDir, '.git'))) {
+    throw new Error('The worktree workspace mode adds a worktree to the host repository and cannot be used with --no-host-mutation');
+  }
+
+  // Named or kept sandboxes live in the data directory and survive cleanup.
+  // Without auto-push the sandbox is always kept so its changes can be reviewed.
+  const sessionId = name || (keep || !autoPush ? generateSessionId() : null);
+  if (sessionId && !isValidSessionId(sessionId)) {
+    throw new Error(`Invalid sandbox name "${sessionId}" (use letters, digits, ".", "_" and "-")`);
+  }
+
+  if (sessionId) {
+    const existing = getSession(sessionId);
+    if (existing && existsSync(join(existing.sandboxDir, 'workspace'))) {
+      return resumeSandbox(existing, projectDir, options);
+    }
+  }
+
+  let sandboxDir;
+  if (sessionId) {
+    sandboxDir = join(getSessionsDir(), sessionId);
+    rmSync(sandboxDir, { recursive: true, force: true });
+    mkdirSync(sandboxDir, { recursive: true });
+  } else {
+    sandboxDir = mkdtempSync(join(tmpdir(), 'sandboxbox-'));
+  }
+  const workspaceDir = join(sandboxDir, 'workspace');
+
+  // Dedicated host branch used by worktrees and by --host-branch
+  const branchName = `${branchPrefix}${sessionId || basename(sandboxDir).replace(/^sandboxbox-/, '')}`;
+  try {
+    execSync(`git check-ref-format --branch "${branchName}"`, { stdio: 'pipe', shell: true });
+  } catch (error) {
+    rmSync(sandboxDir, { recursive: true, force: true });
+    throw new Error(`Invalid host branch name "${branchName}" (check the branch prefix)`);
+  }
+
+  // Plain directories are copied and never turned into git repositories on the host
+  const isGitProject = existsSync(join(projectDir, '.git'));
+
+  // Host git configuration needed for the sandbox to push back. Changes are
+  // recorded and reverted once no sandbox needs them; with --no-host-mutation
+  // the same settings live in the sandbox HOME and on the sandbox's remotes instead.
+  const pushesToCheckout = isGitProject && autoPush && !hostBranch;
+  if (isGitProject && hostMutation) {
+    for (const dir of [projectDir, `${projectDir}/.git`]) {
+      try {
+        addGlobalGitConfig('safe.directory', dir, sandboxDir);
+      } catch (error) {
+        // Config may be locked; the sandbox still works for repositories the user owns
+        if (VERBOSE_OUTPUT) {
+          print(`Warning: Could not add safe.directory ${dir}: ${error.message}`);
+        }
+      }
+    }
+
+    if (pushesToCheckout) {
+      // Configure host repository to accept pushes to current branch
+      try {
+        setRepoGitConfig(projectDir, 'receive.denyCurrentBranch', 'updateInstead', sandboxDir);
+      } catch (error) {
+        // Silently skip repository configuration
+      }
+    }
+  }
+
+  // Undo the host git changes above and remove the sandbox if what follows fails
+  let workspace = null;
+  try {
+    // Copy/clone the project to workspace
+    if (isGitProject) {
+      // If it's a git repo, materialise it using the selected workspace mode
+      workspace = createWorkspace(projectDir, workspaceDir, {
+        mode: workspaceMode,
+        worktreeBranch: branchName
+      });
+    } else {
+      // If not a git repo, copy the files honouring ignore files and excludes
+      const copied = copyProject(projectDir, workspaceDir, { excludes, copyMode });
+      workspace = { mode: 'copy', ...copied };
+
+      // Initialize git in workspace
+      execSync(`git init "${workspaceDir}"`, {
+        stdio: 'pipe',
+        shell: true,
+        windowsHide: true
+      });
+    }
+
+    // Bring over uncommitted host changes before sandbox files are added to the workspace
+    let dirty = null;
+    if (includeDirty && workspace.mode !== 'copy') {
+      dirty = carryDirtyChanges(projectDir, workspaceDir);
+    }
+
+    // Ensure .claude (and the other configured entries) are in .gitignore in the sandbox workspace
+    const gitignorePath = join(workspaceDir, '.gitignore');
+    if (!existsSync(gitignorePath)) {
+      writeFileSync(gitignorePath, `# Added by sandboxbox (not to be committed)\n${gitignore.join('\n')}\n`);
+    } else {
+      // Add missing entries to existing .gitignore
+      const gitignoreContent = readFileSync(gitignorePath, 'utf8');
+      const existingLines = gitignoreContent.split(/\r?\n/).map(line => line.trim());
+      const missing = gitignore.filter(entry => !existingLines.includes(entry));
+      if (missing.length > 0) {
+        const separator = gitignoreContent.endsWith('\n') ? '' : '\n';
+        // A fresh file, as --copy-mode hardlink shares the host's
+        unlinkSync(gitignorePath);
+        writeFileSync(gitignorePath, `${gitignoreContent}${separator}\n# Added by sandboxbox (not to be committed)\n${missing.join('\n')}\n`);
+      }
+    }
+
+    // A linked worktree already shares refs and config with the host repository,
+    // and a copied plain directory has no host repository, so remotes and
+    // upstream tracking are only set up for clones
+    const isWorktree = workspace.mode === 'worktree';
+    const isClone = isGitProject && !isWorktree;
+
+    if (isClone) {
+      // Set up host repo as origin in sandbox (pointing to host directory)
+      try {
+        execSync(`git remote add origin "${projectDir}"`, {
+          cwd: workspaceDir,
+          stdio: 'pipe',
+          shell: true
+        });
+      } catch (e) {
+        // Remote already exists, update it
+        execSync(`git remote set-url origin "${projectDir}"`, {
+          cwd: workspaceDir,
+          stdio: 'pipe',
+          shell: true
+        });
+        // Remote updated silently
+      }
+
+      // Set up upstream tracking for current branch
+      try {
+        const currentBranch = execSync(`git branch --show-current`, {
+          cwd: workspaceDir,
+          encoding: 'utf8',
+          stdio: 'pipe'
+        }).trim();
+
+        // Ensure the branch exists on the host side (only needed when the sandbox pushes into it)
+        if (pushesToCheckout && hostMutation) {
+          try {
+            execSync(`cd "${projectDir}" && git checkout ${currentBranch}`, {
+              stdio: 'pipe',
+              shell: true
+            });
+          } catch (e) {
+            // Branch doesn't exist on host, create it
+            execSync(`cd "${projectDir}" && git checkout -b ${currentBranch}`, {
+              stdio: 'pipe',
+              shell: true
+            });
+          }
+        }
+
+        execSync(`git branch --set-upstream-to=origin/${currentBranch} ${currentBranch}`, {
+          cwd: workspaceDir,
+          stdio: 'pipe',
+          shell: true
+        });
+      } catch (e) {
+        // Upstream may not exist yet, ignore error
+      }
+
+      if (hostBranch) {
+        useHostBranch(workspaceDir, branchName);
+      }
+    }
+
+    if (isGitProject && !hostMutation) {
+      // The sandbox's git reads safe.directory from the sandbox HOME
+      execSync(`git config --file "${join(sandboxDir, '.gitconfig')}" --add safe.directory "${projectDir}" && git config --file "${join(sandboxDir, '.gitconfig')}" --add safe.directory "${projectDir}/.git"`, {
+        stdio: 'pipe',
+        shell: true
+      });
+    }
+
+    // The host branch that receives the sandbox's commits, if it has its own
+    if (isWorktree) {
+      workspace.hostBranch = workspace.worktreeBranch;
+    } else if (isClone && hostBranch) {
+      workspace.hostBranch = branchName;
+    }
+
+    // Copy project's .claude/settings.json if it exists (project-level Claude settings)
+    const projectClaudeSettingsPath = join(projectDir, '.claude', 'settings.json');
+    if (existsSync(projectClaudeSettingsPath)) {
+      const sandboxClaudeSettingsPath = join(workspaceDir, '.claude', 'settings.json');
+      mkdirSync(join(workspaceDir, '.claude'), { recursive: true });
+      cpSync(projectClaudeSettingsPath, sandboxClaudeSettingsPath);
+
+      if (VERBOSE_OUTPUT) {
+        print('✅ Copied project Claude settings to sandbox');
+      }
+    }
+
+    // Batch fetch git identity settings for efficiency
+    const gitSettings = execSync(`git config --global --get user.name && git config --global --get user.email && git config --global --get color.ui`, {
+      stdio: 'pipe',
+      shell: true,
+      encoding: 'utf8'
+    }).trim().split('\n');
+
+    const [userName, userEmail, colorUi] = gitSettings;
+
+    // Batch configure git settings in sandbox. A worktree shares its config with the
+    // host repository, so its identity goes into the sandbox HOME's .gitconfig instead
+    const gitConfigScope = isWorktree ? `--file "${join(sandboxDir, '.gitconfig')}" ` : '';
+    execSync(`git config ${gitConfigScope}user.name "${userName}" && git config ${gitConfigScope}user.email "${userEmail}" && git config ${gitConfigScope}color.ui "${colorUi}"`, {
+      cwd: workspaceDir,
+      stdio: 'pipe',
+      shell: true
+    });
+
+    // Record the copied files as a baseline so changes made in the sandbox show up in git
+    if (workspace.mode === 'copy') {
+      execSync('git add -A && git commit -q --no-verify --allow-empty -m "Sandbox snapshot"', {
+        cwd: workspaceDir,
+        stdio: 'pipe',
+        shell: true
+      });
+    }
+
+    if (isClone) {
+      // Configure Git remote to host for bidirectional synchronization
+      try {
+        execSync(`cd "${workspaceDir}" && git remote add host "${projectDir}"`, {
+          stdio: 'pipe',
+          shell: true
+        });
+
+        if (VERBOSE_OUTPUT) {
+          print('✅ Configured Git remote to host repository');
+        }
+      } catch (error) {
+        // Remote might already exist, try to update it
+        try {
+          execSync(`cd "${workspaceDir}" && git remote set-url host "${projectDir}"`, {
+            stdio: 'pipe',
+            shell: true
+          });
+
+          if (VERBOSE_OUTPUT) {
+            print('✅ Updated Git remote to host repository');
+          }
+        } catch (updateError) {
+          if (VERBOSE_OUTPUT) {
+            print('⚠️  Could not configure Git remote to host');
+          }
+        }
+      }
+
+      if (!autoPush) {
+        disableHostPush(sandboxDir, workspaceDir);
+      } else if (pushesToCheckout && !hostMutation) {
+        // Per-push config instead of receive.denyCurrentBranch in the host repository
+        for (const remote of ['origin', 'host']) {
+          execSync(`git config "remote.${remote}.receivepack" "git -c receive.denyCurrentBranch=updateInstead receive-pack"`, {
+            cwd: workspaceDir,
+            stdio: 'pipe',
+            shell: true
+          });
+        }
+      }
+    }
+
+    // Baseline for `sandboxbox review`: everything after this point was produced in the sandbox
+    Object.assign(workspace, snapshotWorkspace(workspaceDir));
+
+    // Setup Claude settings in sandbox
+    const hostClaudeDir = join(homedir(), '.claude');
+    const sandboxClaudeDir = join(sandboxDir, '.claude');
+
+    // Always use bundled SandboxBox settings unless host settings are requested
+    if (!useHostSettings) {
+      // Create sandbox Claude directory
+      mkdirSync(sandboxClaudeDir, { recursive: true });
+
+      const repoRoot = resolve(fileURLToPath(import.meta.url), '..', '..');
+      const claudeSandboxDir = join(repoRoot, '.claude-sandbox');
+
+      // Copy .claude-sandbox configuration to sandbox
+      if (existsSync(claudeSandboxDir)) {
+        // Copy settings.json
+        const claudeSandboxSettingsPath = join(claudeSandboxDir, 'settings.json');
+        if (existsSync(claudeSandboxSettingsPath)) {
+          const sandboxSettingsPath = join(sandboxClaudeDir, 'settings.json');
+          cpSync(claudeSandboxSettingsPath, sandboxSettingsPath);
+
+          if (VERBOSE_OUTPUT) {
+            print('✅ Copied .claude-sandbox settings to sandbox');
+          }
+        }
+
+        // Copy plugins directory
+        const claudeSandboxPluginsDir = join(claudeSandboxDir, 'plugins');
+        if (existsSync(claudeSandboxPluginsDir)) {
+          const sandboxPluginsDir = join(sandboxClaudeDir, 'plugins');
+          cpSync(claudeSandboxPluginsDir, sandboxPluginsDir, { recursive: true });
+
+          // Update plugin paths in config.json to point to sandbox locations
+          const configPath = join(sandboxPluginsDir, 'config.json');
+          if (existsSync(configPath)) {
+            const config = JSON.parse(readFileSync(configPath, 'utf8'));
+            if (config.repositories) {
+              Object.keys(config.repositories).forEach(repo => {
+                const repoName = repo.toLowerCase();
+                config.repositories[repo].path = join(sandboxClaudeDir, 'plugins', 'marketplaces', repoName);
+              });
+              writeFileSync(configPath, JSON.stringify(config, null, 2));
+            }
+          }
+
+          // Update plugin paths in installed_plugins.json
+          const installedPluginsPath = join(sandboxPluginsDir, 'installed_plugins.json');
+          if (existsSync(installedPluginsPath)) {
+            const installedPlugins = JSON.parse(readFileSync(installedPluginsPath, 'utf8'));
+            if (installedPlugins.plugins) {
+              Object.keys(installedPlugins.plugins).forEach(pluginKey => {
+                const plugin = installedPlugins.plugins[pluginKey];
+                if (plugin.installPath) {
+                  plugin.installPath = join(sandboxClaudeDir, 'plugins', 'marketplaces', 'anentrypoint-glootie-cc', '/');
+                }
+              });
+              writeFileSync(installedPluginsPath, JSON.stringify(installedPlugins, null, 2));
+            }
+          }
+
+          // Update plugin paths in known_marketplaces.json
+          const knownMarketplacesPath = join(sandboxPluginsDir, 'known_marketplaces.json');
+          if (existsSync(knownMarketplacesPath)) {
+            const knownMarketplaces = JSON.parse(readFileSync(knownMarketplacesPath, 'utf8'));
+            Object.keys(knownMarketplaces).forEach(marketplaceKey => {
+              const marketplace = knownMarketplaces[marketplaceKey];
+              if (marketplace.installLocation) {
+                marketplace.installLocation = join(sandboxClaudeDir, 'plugins', 'marketplaces', 'anentrypoint-glootie-cc');
+              }
+            });
+            writeFileSync(knownMarketplacesPath, JSON.stringify(knownMarketplaces, null, 2));
+          }
+
+          if (VERBOSE_OUTPUT) {
+            print('✅ Copied .claude-sandbox plugins to sandbox');
+          }
+        }
+
+        // Copy credentials from host if available
+        const hostCredentialsPath = join(hostClaudeDir, '.credentials.json');
+        if (existsSync(hostCredentialsPath)) {
+          cpSync(hostCredentialsPath, join(sandboxClaudeDir, '.credentials.json'));
+        }
+
+        if (VERBOSE_OUTPUT) {
+          print('✅ Using .claude-sandbox configuration');
+        }
+      } else if (VERBOSE_OUTPUT) {
+        print('⚠️  .claude-sandbox directory not found in repo');
+      }
+    }
+
+    // Optimize cache directory handling - use symlinks instead of copying
+    const hostCacheDir = join(homedir(), '.cache');
+    if (playwrightCache && existsSync(hostCacheDir)) {
+      const sandboxCacheDir = join(sandboxDir, '.cache');
+      mkdirSync(sandboxCacheDir, { recursive: true });
+
+      // Create symlink to ms-playwright cache instead of copying (major performance improvement)
+      const playwrightCacheDir = join(hostCacheDir, 'ms-playwright');
+      if (existsSync(playwrightCacheDir)) {
+        const sandboxPlaywrightDir = join(sandboxCacheDir, 'ms-playwright');
+        try {
+          symlinkSync(playwrightCacheDir, sandboxPlaywrightDir, 'dir');
+        } catch (error) {
+          // Fallback to copying only if symlink fails
+          cpSync(playwrightCacheDir, sandboxPlaywrightDir, { recursive: true });
+        }
+      }
+    }
+
+    // Host credentials are opt-in and exposed as read-only copies
+    const exposedCredentials = exposeCredentials(sandboxDir, credentials);
+
+    const recordSession = id => saveSession(id, {
+      projectDir,
+      sandboxDir,
+      branch: getWorkspaceBranch(workspaceDir),
+      workspace,
+      autoPush,
+      lastCommand: command
+    });
+    let session = sessionId ? recordSession(sessionId) : null;
+
+    // A throwaway sandbox can still be kept after it ran, e.g. to inspect a run that was stopped
+    const keepSandbox = () => {
+      session = session || recordSession(getSandboxId(sandboxDir));
+      return session;
+    };
+
+    const cleanup = createCleanup(projectDir, sandboxDir, () => session, workspace, autoPush);
+    const hostPaths = getHostPaths(projectDir, workspace, autoPush);
+    registerRunning(projectDir, sandboxDir, hostPaths, { ...options, autoPush });
+
+    return {
+      id: getSandboxId(sandboxDir),
+      sandboxDir,
+      cleanup,
+      session,
+      keep: keepSandbox,
+      resumed: false,
+      workspace,
+      dirty,
+      credentials: exposedCredentials,
+      autoPush,
+      hostPaths,
+      allocatedPorts
+    };
+  } catch (error) {
+    if (workspace) removeWorkspace(projectDir, workspaceDir, workspace);
+    releaseHostChanges(sandboxDir);
+    rmSync(sandboxDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+// Kept sandboxes are named after their session, others after their temporary directory
+export function getSandboxId(sandboxDir) {
+  return basename(sandboxDir).replace(/^sandboxbox-/, '');
+}
+
+// Record the sandbox as in use, with the settings another shell in it needs
+function registerRunning(projectDir, sandboxDir, hostPaths, options) {
+  const { backend, image, env, credentials, autoPush, isolation, network, shell } = options;
+  markRunning(getSandboxId(sandboxDir), {
+    projectDir,
+    sandboxDir,
+    command: options.command,
+    hostPaths,
+    ports: options.allocatedPorts || [],
+    config: { backend, image, env, credentials, autoPush, isolation, network, shell }
+  });
+}
+
+// Host paths an isolated sandbox still needs: the .git of the host repository
+// it fetches from and pushes to (read-only when pushing is disabled) and the
+// shared Playwright browser cache. The host working tree is never writable.
+function getHostPaths(projectDir, workspace, autoPush) {
+  const hostPaths = { readOnly: [], readWrite: [] };
+
+  if (workspace.mode !== 'copy') {
+    const gitDir = join(projectDir, '.git');
+    if (autoPush) {
+      hostPaths.readWrite.push(gitDir);
+    } else {
+      hostPaths.readOnly.push(gitDir);
+    }
+  }
+
+  const playwrightCacheDir = join(homedir(), '.cache', 'ms-playwright');
+  if (existsSync(playwrightCacheDir)) hostPaths.readOnly.push(playwrightCacheDir);
+
+  return hostPaths;
+}
+
+// Isolation options for runInSandbox: the resolved backend plus the configured
+// extra paths, the host paths the sandbox needs, the network policy and the
+// ports to make reachable from the host
+export function getIsolationOptions(isolation, config, hostPaths = { readOnly: [], readWrite: [] }, proxy = null, ports = []) {
+  return {
+    ...isolation,
+    readOnly: [...config.isolation.readOnly, ...hostPaths.readOnly],
+    readWrite: [...config.isolation.readWrite, ...hostPaths.readWrite],
+    network: config.network.mode,
+    proxySocket: proxy ? proxy.socketPath : null,
+    ports
+  };
+}
+
+// Re-enter a kept sandbox without touching its workspace
+function resumeSandbox(session, projectDir, options) {
+  const { command = null, credentials = [], autoPush = true, allocatedPorts = [] } = options;
+  if (resolve(session.projectDir) !== resolve(projectDir)) {
+    throw new Error(`Sandbox "${session.id}" belongs to ${session.projectDir}, not ${projectDir}`);
+  }
+
+  // Pushing stays disabled once a sandbox was created for review
+  const workspaceDir = join(session.sandboxDir, 'workspace');
+  const sessionAutoPush = session.autoPush !== false && autoPush;
+  if (!sessionAutoPush && session.workspace?.mode !== 'worktree') {
+    disableHostPush(session.sandboxDir, workspaceDir);
+  }
+
+  const updated = saveSession(session.id, {
+    branch: getWorkspaceBranch(workspaceDir),
+    autoPush: sessionAutoPush,
+    lastCommand: command
+  });
+
+  const hostPaths = getHostPaths(session.projectDir, updated.workspace, sessionAutoPush);
+  registerRunning(session.projectDir, session.sandboxDir, hostPaths, { ...options, autoPush: sessionAutoPush });
+
+  return {
+    id: session.id,
+    sandboxDir: session.sandboxDir,
+    cleanup: createCleanup(session.projectDir, session.sandboxDir, () => updated, updated.workspace, sessionAutoPush),
+    session: updated,
+    keep: () => updated,
+    resumed: true,
+    workspace: { ...updated.workspace, durationMs: 0 },
+    dirty: null,
+    credentials: exposeCredentials(session.sandboxDir, credentials),
+    autoPush: sessionAutoPush,
+    hostPaths,
+    allocatedPorts
+  };
+}
+
+// Work on a sandbox-specific branch that `git push` sends to a branch of the
+// same name on the host, leaving the host's checked-out branch alone
+function useHostBranch(workspaceDir, branch) {
+  execSync([
+    `git checkout -q -b "${branch}"`,
+    `git config "branch.${branch}.remote" origin`,
+    `git config "branch.${branch}.merge" "refs/heads/${branch}"`,
+    // Shallow clones only track the cloned branch, so pushes would not update origin/<branch>
+    `git config --add remote.origin.fetch "+refs/heads/${branch}:refs/remotes/origin/${branch}"`,
+    // The bundled stop hook compares against origin/HEAD; once pushed, the branch is up to date
+    `git symbolic-ref refs/remotes/origin/HEAD "refs/remotes/origin/${branch}"`
+  ].join(' && '), {
+    cwd: workspaceDir,
+    stdio: 'pipe',
+    shell: true
+  });
+}
+
+// Push commits the sandbox made but did not push itself to its host branch, and
+// report how far that branch is ahead of the host's checked-out HEAD
+function landHostBranch(projectDir, workspaceDir, workspace) {
+  const branch = workspace.hostBranch;
+  const result = { branch, commits: 0, error: null };
+
+  if (workspace.mode !== 'worktree') {
+    try {
+      const head = execSync('git rev-parse HEAD', { cwd: workspaceDir, encoding: 'utf8', stdio: 'pipe' }).trim();
+      if (head !== workspace.baseCommit) {
+        execSync(`git push -q origin "HEAD:refs/heads/${branch}"`, { cwd: workspaceDir, stdio: 'pipe', shell: true });
+      }
+    } catch (error) {
+      result.error = error.stderr?.toString().trim() || error.message;
+    }
+  }
+
+  try {
+    result.commits = parseInt(execSync(`git rev-list --count "HEAD..refs/heads/${branch}"`, {
+      cwd: projectDir,
+      encoding: 'utf8',
+      stdio: 'pipe'
+    }).trim(), 10);
+  } catch (error) {
+    // Nothing was pushed, so the branch does not exist on the host
+  }
+
+  return result;
+}
+
+// Point pushes to the host remotes at a bare repository whose pre-receive hook
+// rejects them with an explanation; the changes reach the host through
+// `sandboxbox review` instead. Fetching from the host keeps working.
+function disableHostPush(sandboxDir, workspaceDir) {
+  const rejectRepo = join(sandboxDir, 'push-disabled.git');
+  if (!existsSync(rejectRepo)) {
+    execSync(`git init --bare -q "${rejectRepo}"`, { stdio: 'pipe', shell: true });
+    writeFileSync(join(rejectRepo, 'hooks', 'pre-receive'), [
+      '#!/bin/sh',
+      'echo "Pushing to the host is disabled for this sandbox (--no-auto-push)."',
+      'echo "Commit your work; it is applied on the host with: npx sandboxbox review"',
+      'exit 1',
+      ''
+    ].join('\n'), { mode: 0o755 });
+  }
+
+  for (const remote of ['origin', 'host']) {
+    try {
+      execSync(`git remote set-url --push ${remote} "${rejectRepo}"`, {
+        cwd: workspaceDir,
+        stdio: 'pipe',
+        shell: true
+      });
+    } catch (error) {
+      // Remote not configured
+    }
+  }
+}
+
+function getWorkspaceBranch(workspaceDir) {
+  try {
+    return execSync('git branch --show-current', {
+      cwd: workspaceDir,
+      encoding: 'utf8',
+      stdio: 'pipe'
+    }).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The returned cleanup function reports where the sandbox's commits landed
+// ({ branch, commits, error }) when the sandbox has its own host branch
+// `currentSession` returns the sandbox's session, or null while it is not kept
+function createCleanup(projectDir, sandboxDir, currentSession, workspace, autoPush = true) {
+  let cleanedUp = false;
+
+  return () => {
+    if (cleanedUp) return null;
+    cleanedUp = true;
+    clearRunning(getSandboxId(sandboxDir));
+
+    // Note: Git commits/pushes are handled by the agent via explicit instructions
+    // The sandbox has git configured with origin pointing to host and receive.denyCurrentBranch=updateInstead
+    // This allows agent-driven git push to work correctly, unless auto-push is
+    // disabled, in which case the kept sandbox is applied with `sandboxbox review`
+
+    const workspaceDir = join(sandboxDir, 'workspace');
+    const landed = workspace?.hostBranch && autoPush ? landHostBranch(projectDir, workspaceDir, workspace) : null;
+
+    const session = currentSession();
+    if (session) {
+      // Kept sandboxes stay on disk; only refresh their registry entry
+      saveSession(session.id, { branch: getWorkspaceBranch(workspaceDir) });
+      return landed;
+    }
+
+    removeWorkspace(projectDir, workspaceDir, workspace);
+    rmSync(sandboxDir, { recursive: true, force: true });
+    releaseHostChanges(sandboxDir);
+    return landed;
+  };
+}
+
+export function createSandboxEnv(sandboxDir, options = {}, config = {}) {
+  const sandboxClaudeDir = join(sandboxDir, '.claude');
+  const sandboxCacheDir = join(sandboxDir, '.cache');
+
+  // Start from the host variables allowed by the env mode
+  const passthrough = new Set([...(config.env?.passthrough || []), ...credentialEnvVars(config.credentials)]);
+  const env = selectHostEnv(config.env?.mode, [...passthrough]);
+
+  // IMPORTANT: Set HOME to sandbox directory for Claude to find settings
+  // but preserve access to host credentials via symlink
+  env.HOME = sandboxDir;
+  env.USERPROFILE = sandboxDir;
+
+  // Set XDG paths to use sandbox Claude directory
+  env.XDG_CONFIG_HOME = sandboxClaudeDir;
+  env.XDG_DATA_HOME = join(sandboxClaudeDir, '.local', 'share');
+  env.XDG_CACHE_HOME = sandboxCacheDir;
+  env.TMPDIR = join(sandboxDir, 'tmp');
+  env.TEMP = join(sandboxDir, 'tmp');
+  env.TMP = join(sandboxDir, 'tmp');
+  env.PLAYWRIGHT_BROWSERS_PATH = join(sandboxDir, 'browsers');
+  env.PLAYWRIGHT_STORAGE_STATE = join(sandboxDir, '.playwright', 'storage-state.json');
+  if (config.autoPush === false) {
+    // Read by the bundled stop hook, which otherwise insists on pushing
+    env.SANDBOXBOX_NO_AUTO_PUSH = '1';
+  }
+  if (process.env.CLAUDE_CODE_ENTRYPOINT) {
+    env.CLAUDE_CODE_ENTRYPOINT = process.env.CLAUDE_CODE_ENTRYPOINT;
+  }
+
+  // Ensure TERM is set with fallback
+  env.TERM = process.env.TERM || 'xterm-256color';
+
+  // Credential variables only reach the sandbox for enabled credentials or explicit passthrough
+  CREDENTIAL_ENV_VARS.forEach(varName => {
+    if (!passthrough.has(varName)) delete env[varName];
+  });
+  passthrough.forEach(varName => {
+    if (process.env[varName]) {
+      env[varName] = process.env[varName];
+    }
+  });
+
+  // The port(s) allocated to the sandbox, unless set explicitly below
+  Object.assign(env, portEnv(config.allocatedPorts));
+
+  // Variables injected from env files, then set explicitly by config or --env
+  for (const envFile of config.env?.files || []) {
+    Object.assign(env, parseEnvFile(envFile));
+  }
+  Object.assign(env, config.env?.set);
+
+  // Apply any additional options
+  Object.assign(env, options);
+
+  return env;
+}
+
+const announceSetup = script => print(color('cyan', `🔧 Setup: ${script}`));
+
+// Run the configured setup commands in order, stopping at the first failure.
+// `announce` is called with each command before it runs; `onSpawn` is passed
+// to runInSandbox().
+export async function runSetupScripts(scripts, sandboxDir, env, isolation = null, limits = null, { stdio = 'inherit', announce = announceSetup, onSpawn = null } = {}) {
+  for (const script of scripts) {
+    announce(script);
+    try {
+      await runInSandbox(script, [], sandboxDir, env, isolation, limits, stdio, onSpawn);
+    } catch (error) {
+      error.message = `Setup command failed (${script}): ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+// Running sandbox processes, mapped to whether they lead their own process group
+const runningChildren = new Map();
+// The signal received by each active forwardSignals() subscription, or null
+const signalForwarders = new Map();
+
+// Exit code of a process killed by a signal, as shells report it
+export function signalExitCode(signal) {
+  return 128 + (constants.signals[signal] || 0);
+}
+
+// The signal that interrupted a run that is forwarding signals, or null
+export function interruptedBy() {
+  return [...signalForwarders.values()].find(Boolean) || null;
+}
+
+// Children that do not need the terminal get their own process group so a
+// signal reaches everything they started; interactive ones stay in the
+// terminal's foreground group to keep reading it.
+export function spawnTracked(command, args, options) {
+  const ownGroup = process.platform !== 'win32' && (options.stdio !== 'inherit' || !process.stdin.isTTY);
+  const proc = spawn(command, args, { ...options, detached: ownGroup });
+  runningChildren.set(proc, ownGroup);
+  proc.on('close', () => runningChildren.delete(proc));
+  proc.on('error', () => runningChildren.delete(proc));
+  return proc;
+}
+
+// Forward SIGINT/SIGTERM to the running sandbox processes and let the command
+// finish (and clean up) once they exit; a second signal kills them. Without
+// running processes, clean up and exit with 128+signal right away.
+// `onSignal` is told about every signal handled. Returns a function removing
+// the handlers, which also forgets the signal.
+export function forwardSignals(cleanup, onSignal = () => {}) {
+  const forwarder = Symbol('forwarder');
+  signalForwarders.set(forwarder, null);
+
+  const handle = (signal) => {
+    // Ctrl-C at the terminal already reached children in its process group;
+    // an interactive program decides itself whether that ends it
+    const children = [...runningChildren.values()];
+    if (signal === 'SIGINT' && children.length > 0 && !children.some(ownGroup => ownGroup)) return;
+
+    const repeated = signalForwarders.get(forwarder) !== null;
+    if (!repeated) signalForwarders.set(forwarder, signal);
+    onSignal(signal);
+
+    if (runningChildren.size === 0) {
+      cleanup();
+      process.exit(signalExitCode(signal));
+    }
+
+    for (const [proc, ownGroup] of runningChildren) {
+      try {
+        if (repeated) {
+          process.kill(ownGroup ? -proc.pid : proc.pid, 'SIGKILL');
+        } else if (ownGroup) {
+          process.kill(-proc.pid, signal);
+        } else {
+          proc.kill(signal);
+        }
+      } catch (error) {
+        // Already exited
+      }
+    }
+  };
+
+  const onSigint = () => handle('SIGINT');
+  const onSigterm = () => handle('SIGTERM');
+  process.on('SIGINT', onSigint);
+  process.on('SIGTERM', onSigterm);
+  return () => {
+    process.off('SIGINT', onSigint);
+    process.off('SIGTERM', onSigterm);
+    signalForwarders.delete(forwarder);
+  };
+}
+
+// Put argv inside the container or isolation wrapper described by `options`
+// (from getIsolationOptions() plus sandboxDir, cwd, env and tty) and apply the
+// limits. Returns { argv, env, limited, cleanup } for spawn() and watchLimits().
+export function prepareSandboxCommand(argv, options, limits = null) {
+  if (CONTAINER_ENGINES.includes(options.backend)) {
+    const container = containerCommand(argv, { ...options, limits });
+    return { argv: container.argv, env: container.env, limited: { backend: 'container', kill: container.kill }, cleanup: () => {} };
+  }
+
+  const wrapped = wrapCommand(argv, options);
+  const wrappedArgv = [wrapped.command, ...wrapped.args];
+  const limited = limits ? limitCommand(wrappedArgv, limits) : null;
+  return { argv: limited ? limited.argv : wrappedArgv, env: options.env, limited, cleanup: wrapped.cleanup };
+}
+
+// `isolation` is the options object from getIsolationOptions(); without it the
+// command runs as a plain host process. `limits` comes from parseLimits().
+// Resolves with the peak usage ({ memoryBytes, pids, durationMs }, or null
+// without limits); a run stopped by a limit rejects with `error.limit` set,
+// any other failure with `error.exitCode` (the exit code, or 128+signal).
+// `stdio` lets callers keep the command's output off stdout. `onSpawn` gets
+// the spawned process and its `limited` description, e.g. to stop it with
+// terminateProcess().
+export function runInSandbox(commandStr, args, sandboxDir, env, isolation = null, limits = null, stdio = 'inherit', onSpawn = null) {
+  return new Promise((resolve, reject) => {
+    const fullCommand = args.length > 0 ? `${commandStr} ${args.join(' ')}` : commandStr;
+    const workspaceDir = join(sandboxDir, 'workspace');
+
+    const spawnOptions = { cwd: workspaceDir, env, stdio, windowsHide: false };
+    let proc;
+    let prepared = { limited: null, cleanup: () => {} };
+
+    // Windows has no /bin/sh; plain unlimited commands keep going through the platform shell
+    if ((isolation && isolation.backend !== 'none') || (limits && process.platform !== 'win32')) {
+      prepared = prepareSandboxCommand(['/bin/sh', '-c', fullCommand], {
+        ...(isolation || { backend: 'none' }),
+        sandboxDir,
+        cwd: workspaceDir,
+        env,
+        tty: stdio === 'inherit' && Boolean(process.stdin.isTTY && process.stdout.isTTY)
+      }, limits);
+      proc = spawnTracked(prepared.argv[0], prepared.argv.slice(1), { ...spawnOptions, env: prepared.env });
+    } else {
+      proc = spawnTracked(fullCommand, [], { ...spawnOptions, shell: true });
+    }
+    const watcher = limits ? watchLimits(proc, limits, prepared.limited || { backend: 'timer' }) : null;
+    if (onSpawn) onSpawn(proc, prepared.limited || { backend: 'timer' });
+
+    proc.on('close', (code, signal) => {
+      prepared.cleanup();
+      const { limit, peak } = watcher ? watcher.finish(code, signal) : { limit: null, peak: null };
+      if (limit) {
+        const error = new Error(`Stopped by the ${limit} limit`);
+        error.limit = limit;
+        error.peak = peak;
+        reject(error);
+      } else if (code === 0) {
+        resolve(peak);
+      } else {
+        const error = new Error(code !== null ? `Process exited with code ${code}` : `Process killed by ${signal}`);
+        error.exitCode = code ?? signalExitCode(signal);
+        error.peak = peak;
+        reject(error);
+      }
+    });
+
+    proc.on('error', (error) => {
+      if (watcher) watcher.finish(null, null);
+      reject(error);
+    });
+  });
 }
\ No newline at end of file
@@ -0,0 +1,222 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, rmSync, readdirSync, openSync, writeSync, closeSync } from 'fs';
+import { homedir } from 'os';
+import { join, dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { removeWorkspace } from './workspace.js';
+import { releaseHostChanges } from './host-git.js';
+
+// Per-user data directory holding kept sandboxes and the session registry
+export function getDataDir() {
+  return process.env.SANDBOXBOX_HOME || join(homedir(), '.sandboxbox');
+}
+
+// How often and how long withFileLock() tries to take a lock held by another process
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10000;
+const lockWait = new Int32Array(new SharedArrayBuffer(4));
+
+// Run `fn` holding `<path>.lock`, so read-modify-write cycles of a file shared
+// by concurrent sandboxbox processes do not lose each other's changes. A lock
+// left behind by a process that has exited is taken over.
+export function withFileLock(path, fn) {
+  const lockPath = `${path}.lock`;
+  mkdirSync(dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      writeSync(fd, String(process.pid));
+      closeSync(fd);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let owner = 0;
+    try {
+      owner = Number(readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+      // Released in the meantime
+      continue;
+    }
+    if (owner && !isProcessAlive(owner)) {
+      rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${lockPath}`);
+    Atomics.wait(lockWait, 0, 0, LOCK_RETRY_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    rmSync(lockPath, { force: true });
+  }
+}
+
+export function getSessionsDir() {
+  return join(getDataDir(), 'sessions');
+}
+
+// One file per sandbox currently in use, so `attach` can find it
+function getRunningDir() {
+  return join(getDataDir(), 'running');
+}
+
+function getRegistryPath() {
+  return join(getDataDir(), 'sessions.json');
+}
+
+export function isValidSessionId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(id);
+}
+
+export function generateSessionId() {
+  return `sb-${randomBytes(4).toString('hex')}`;
+}
+
+function loadRegistry() {
+  const registryPath = getRegistryPath();
+  if (!existsSync(registryPath)) {
+    return { sessions: {} };
+  }
+
+  try {
+    const registry = JSON.parse(readFileSync(registryPath, 'utf8'));
+    return { sessions: {}, ...registry };
+  } catch (error) {
+    // A corrupt registry should not block new sandboxes
+    return { sessions: {} };
+  }
+}
+
+function saveRegistry(registry) {
+  mkdirSync(getDataDir(), { recursive: true });
+
+  // Write to a temporary file first so a crash never leaves a truncated registry
+  const registryPath = getRegistryPath();
+  const tmpPath = `${registryPath}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(registry, null, 2));
+  renameSync(tmpPath, registryPath);
+}
+
+// Load, change and save the registry while holding its lock. Returns what
+// `update(registry)` returns.
+function updateRegistry(update) {
+  return withFileLock(getRegistryPath(), () => {
+    const registry = loadRegistry();
+    const result = update(registry);
+    saveRegistry(registry);
+    return result;
+  });
+}
+
+export function listSessions() {
+  const { sessions } = loadRegistry();
+  return Object.values(sessions).sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+}
+
+export function getSession(id) {
+  return loadRegistry().sessions[id] || null;
+}
+
+// Create or update a session record, merging the given fields into it
+export function saveSession(id, fields) {
+  return updateRegistry((registry) => {
+    const now = new Date().toISOString();
+    const existing = registry.sessions[id];
+
+    registry.sessions[id] = {
+      id,
+      createdAt: existing?.createdAt || now,
+      ...existing,
+      ...fields,
+      lastUsedAt: now
+    };
+    return registry.sessions[id];
+  });
+}
+
+// Delete a kept sandbox. One that a live process is using is refused unless
+// forced, since its workspace would disappear under the running command.
+export function removeSession(id, { force = false } = {}) {
+  const session = getSession(id);
+  if (!session) return false;
+
+  const running = listRunning().find(entry => entry.id === id);
+  if (running && !force) {
+    throw new Error(`Sandbox "${id}" is in use by process ${running.pid}; stop it first or pass --force`);
+  }
+
+  if (session.workspace) {
+    removeWorkspace(session.projectDir, join(session.sandboxDir, 'workspace'), session.workspace);
+  }
+
+  if (session.sandboxDir && existsSync(session.sandboxDir)) {
+    rmSync(session.sandboxDir, { recursive: true, force: true });
+  }
+  if (session.sandboxDir) {
+    releaseHostChanges(session.sandboxDir);
+  }
+
+  updateRegistry((registry) => {
+    delete registry.sessions[id];
+  });
+  return true;
+}
+
+// Record that this process is using a sandbox, with what `attach` needs to open another shell in it
+export function markRunning(id, fields) {
+  mkdirSync(getRunningDir(), { recursive: true });
+  writeFileSync(join(getRunningDir(), `${id}.json`), JSON.stringify({
+    id,
+    pid: process.pid,
+    startedAt: new Date().toISOString(),
+    ...fields
+  }, null, 2));
+}
+
+export function clearRunning(id) {
+  const entryPath = join(getRunningDir(), `${id}.json`);
+  try {
+    // A later process may have taken the sandbox over
+    if (JSON.parse(readFileSync(entryPath, 'utf8')).pid !== process.pid) return;
+  } catch (error) {
+    return;
+  }
+  rmSync(entryPath, { force: true });
+}
+
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Sandboxes in use right now, oldest first. Entries of processes that died
+// without cleaning up are removed.
+export function listRunning() {
+  const runningDir = getRunningDir();
+  if (!existsSync(runningDir)) return [];
+
+  const entries = [];
+  for (const fileName of readdirSync(runningDir).filter(name => name.endsWith('.json'))) {
+    const entryPath = join(runningDir, fileName);
+    let entry;
+    try {
+      entry = JSON.parse(readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      continue;
+    }
+    if (isProcessAlive(entry.pid) && existsSync(entry.sandboxDir)) {
+      entries.push(entry);
+    } else {
+      rmSync(entryPath, { force: true });
+    }
+  }
+  return entries.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
@@ -0,0 +1,100 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, rmSync } from 'fs';
+import { join, basename } from 'path';
+import { createHash } from 'crypto';
+import { getDataDir } from './sessions.js';
+
+// Lines of history kept per project
+const HISTORY_LIMIT = 10000;
+
+// Start files written into the sandbox HOME (unless they already exist there)
+// so every shell shows which sandbox it is in; history is appended as it is
+// typed so an attached shell sees it too
+const SHELL_RC_FILES = {
+  '.bashrc': [
+    '# Written by sandboxbox',
+    'PS1=\'(${SANDBOXBOX_PROMPT}) \\w \\$ \'',
+    'PROMPT_COMMAND=\'history -a\''
+  ],
+  '.zshrc': [
+    '# Written by sandboxbox',
+    'setopt PROMPT_SUBST INC_APPEND_HISTORY',
+    'PROMPT=\'(${SANDBOXBOX_PROMPT}) %~ %# \''
+  ],
+  '.shrc': [
+    '# Written by sandboxbox',
+    'PS1="(${SANDBOXBOX_PROMPT}) \\$ "'
+  ]
+};
+
+// Starts the configured shell, or $SHELL as seen inside the sandbox (the image
+// sets zsh), falling back to /bin/sh when it is not installed there
+export function shellLauncher(interactive) {
+  return [
+    'shell="${SANDBOXBOX_SHELL:-${SHELL:-bash}}"',
+    'command -v "$shell" >/dev/null 2>&1 || shell=/bin/sh',
+    'SHELL="$shell"; export SHELL',
+    `exec "$shell"${interactive ? ' -i' : ''}`
+  ].join('; ');
+}
+
+export function writeShellRcFiles(sandboxDir) {
+  for (const [fileName, lines] of Object.entries(SHELL_RC_FILES)) {
+    const rcPath = join(sandboxDir, fileName);
+    if (!existsSync(rcPath)) writeFileSync(rcPath, `${lines.join('\n')}\n`);
+  }
+}
+
+// Host file holding a project's shell history
+function getHistoryPath(projectDir) {
+  const hash = createHash('sha256').update(projectDir).digest('hex').slice(0, 8);
+  return join(getDataDir(), 'history', `${basename(projectDir)}-${hash}`);
+}
+
+// Give one shell its own history file in the sandbox, seeded with the project's
+// history. Returns { env, finish() }; finish() appends the commands typed in
+// the shell to the project's history.
+export function startShellHistory(projectDir, sandboxDir) {
+  const hostPath = getHistoryPath(projectDir);
+  const historyDir = join(sandboxDir, '.sandboxbox', 'history');
+  const shellPath = join(historyDir, `${process.pid}-${Date.now()}`);
+
+  const seed = existsSync(hostPath) ? readFileSync(hostPath, 'utf8').split('\n').filter(Boolean) : [];
+  mkdirSync(historyDir, { recursive: true });
+  writeFileSync(shellPath, seed.length > 0 ? `${seed.join('\n')}\n` : '');
+
+  return {
+    env: {
+      HISTFILE: shellPath,
+      // Large enough that the shells never drop the seeded lines
+      HISTSIZE: String(HISTORY_LIMIT * 2),
+      HISTFILESIZE: String(HISTORY_LIMIT * 2),
+      SAVEHIST: String(HISTORY_LIMIT * 2)
+    },
+    finish() {
+      try {
+        const added = readFileSync(shellPath, 'utf8').split('\n').filter(Boolean).slice(seed.length);
+        rmSync(shellPath, { force: true });
+        if (added.length === 0) return;
+
+        mkdirSync(join(getDataDir(), 'history'), { recursive: true });
+        appendFileSync(hostPath, `${added.join('\n')}\n`);
+        const lines = readFileSync(hostPath, 'utf8').split('\n').filter(Boolean);
+        if (lines.length > HISTORY_LIMIT) writeFileSync(hostPath, `${lines.slice(-HISTORY_LIMIT).join('\n')}\n`);
+      } catch (error) {
+        // History is best effort
+      }
+    }
+  };
+}
+
+// Variables for an interactive shell in sandbox `id`
+export function shellEnv(sandboxDir, id, { shell = null, attached = false } = {}) {
+  const env = {
+    SANDBOXBOX_ID: id,
+    SANDBOXBOX_PROMPT: attached ? `sandboxbox:${id} attached` : `sandboxbox:${id}`,
+    // Read by interactive POSIX sh
+    ENV: join(sandboxDir, '.shrc')
+  };
+  if (shell) env.SANDBOXBOX_SHELL = shell;
+  return env;
+}
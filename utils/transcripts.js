@@ -0,0 +1,121 @@
+import { existsSync, mkdirSync, openSync, writeSync, closeSync, readFileSync, readdirSync, statSync } from 'fs';
+import { join, resolve, basename } from 'path';
+import { execSync } from 'child_process';
+import { getDataDir } from './sessions.js';
+
+export const TRANSCRIPT_VERSION = 1;
+
+// Transcripts hold prompts and tool output, so they are only readable by the user
+const TRANSCRIPT_MODE = 0o600;
+
+export function getTranscriptsDir() {
+  return join(getDataDir(), 'transcripts');
+}
+
+function gitSha(projectDir) {
+  try {
+    return execSync('git rev-parse HEAD', { cwd: projectDir, encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch (error) {
+    // Not a git project, or no commits yet
+    return null;
+  }
+}
+
+// Start recording a `claude` run. Every record is a JSON line with a `type`
+// and `t`, the milliseconds since the run started:
+//   transcript - first line: version, project, git SHA, sandbox, flags, prompt
+//   prompt     - a prompt sent to Claude, and the preamble prepended to it
+//   stage      - a stage timing, as in --output ndjson
+//   event      - a stream-json event exactly as Claude emitted it
+//   end        - last line: the run's summary, as printed by --output json
+// Returns { path, record(type, data), finish(summary) }.
+export function createTranscript({ projectDir, sandboxId, flags = {}, prompt = '', startTime = Date.now() }) {
+  const dir = getTranscriptsDir();
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const startedAt = new Date(startTime).toISOString();
+  const path = join(dir, `${startedAt.replace(/[:.]/g, '-')}-${sandboxId}.jsonl`);
+  const fd = openSync(path, 'w', TRANSCRIPT_MODE);
+
+  // --env values may be secrets; only the variable names are recorded
+  const recordedFlags = flags.env ? { ...flags, env: flags.env.map(assignment => assignment.split('=')[0]) } : flags;
+
+  // Written synchronously so a transcript survives a crash of the run it records
+  const write = object => writeSync(fd, JSON.stringify(object) + '\n');
+  let finished = false;
+
+  write({
+    type: 'transcript',
+    t: Date.now() - startTime,
+    version: TRANSCRIPT_VERSION,
+    startedAt,
+    projectDir,
+    gitSha: gitSha(projectDir),
+    sandbox: sandboxId,
+    flags: recordedFlags,
+    prompt
+  });
+
+  return {
+    path,
+    record(type, data = {}) {
+      if (!finished) write({ type, t: Date.now() - startTime, ...data });
+    },
+    finish(summary) {
+      if (finished) return;
+      write({ type: 'end', t: Date.now() - startTime, summary });
+      finished = true;
+      closeSync(fd);
+    }
+  };
+}
+
+// Path of a transcript given as a path or as a file name (with or without
+// .jsonl) in the transcripts directory
+export function resolveTranscript(name) {
+  const candidates = [
+    resolve(process.cwd(), name),
+    join(getTranscriptsDir(), name),
+    join(getTranscriptsDir(), `${name}.jsonl`)
+  ];
+  const found = candidates.find(candidate => existsSync(candidate) && statSync(candidate).isFile());
+  if (!found) throw new Error(`Transcript not found: ${name}`);
+  return found;
+}
+
+// { header, records, end } of a transcript file; `end` is null when the run
+// did not finish (e.g. sandboxbox was killed)
+export function readTranscript(path) {
+  const lines = readFileSync(path, 'utf8').split('\n').filter(line => line.trim());
+  const records = [];
+  for (const [index, line] of lines.entries()) {
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A run killed mid-write leaves a truncated last line
+      if (index === lines.length - 1) break;
+      throw new Error(`Invalid transcript ${path}, line ${index + 1}: ${error.message}`);
+    }
+  }
+
+  const header = records[0];
+  if (!header || header.type !== 'transcript') {
+    throw new Error(`Not a sandboxbox transcript: ${path}`);
+  }
+  if (header.version > TRANSCRIPT_VERSION) {
+    throw new Error(`Transcript ${path} was written by a newer sandboxbox (version ${header.version})`);
+  }
+
+  const end = records[records.length - 1].type === 'end' ? records[records.length - 1] : null;
+  return { header, records: records.slice(1, end ? -1 : undefined), end };
+}
+
+// Transcript file names, newest first
+export function listTranscripts() {
+  const dir = getTranscriptsDir();
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .reverse()
+    .map(name => ({ name: basename(name, '.jsonl'), path: join(dir, name) }));
+}
@@ -1,39 +1,329 @@
-import { color } from './colors.js';
-
-export function showBanner() {
-  const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
-  if (VERBOSE_OUTPUT) {
-    console.log(color('cyan', '📦 SandboxBox - Portable Container Runner'));
-    console.log(color('cyan', '═════════════════════════════════════════════════'));
-    console.log('');
-  }
-}
-
-export function showHelp() {
-  console.log(color('yellow', 'Usage:'));
-  console.log('  npx sandboxbox <command> [options]');
-  console.log('');
-  console.log(color('yellow', 'Commands:'));
-  console.log('  build [dockerfile]            Build container from Dockerfile');
-  console.log('  run <project-dir> [cmd]       Run project in container');
-  console.log('  shell <project-dir>           Start interactive shell');
-  console.log('  claude <project-dir> [prompt] [--host] [--headless]  Start Claude Code with Git integration');
-  console.log('  mcp                           Start as MCP server (stdio transport)');
-  console.log('  version                       Show version information');
-  console.log('');
-  console.log(color('yellow', 'Claude Command Options:'));
-  console.log('  --host                        Use host Claude settings instead of bundled');
-  console.log('  --headless                    Configure headless Playwright MCP (runs before Claude)');
-  console.log('');
-  console.log(color('yellow', 'Examples:'));
-  console.log('  npx sandboxbox build');
-  console.log('  npx sandboxbox claude ./my-project');
-  console.log('  npx sandboxbox run ./my-project "npm test"');
-  console.log('  npx sandboxbox shell ./my-project');
-  console.log('');
-  console.log(color('yellow', 'Requirements:'));
-  console.log('  - Docker/Podman runtime');
-  console.log('  - Works on Windows, macOS, and Linux!');
-  console.log('');
-  console.log(color('magenta', '🚀 Fast startup • True isolation • Claude Code integration'));
+import { format } from 'util';
+import { color } from './colors.js';
+import { CREDENTIAL_ENV_VARS } from './credentials.js';
+import { formatBytes } from './limits.js';
+
+// Where the messages meant for people go: stdout, unless a command keeps it
+// for JSON and passes another stream to setOutput()
+let output = process.stdout;
+
+// Send the messages to `stream`; returns the stream they went to before
+export function setOutput(stream) {
+  const previous = output;
+  output = stream;
+  return previous;
+}
+
+// print() to the current output
+export function print(...args) {
+  output.write(format(...args) + '\n');
+}
+
+export function showBanner() {
+  const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+  if (VERBOSE_OUTPUT) {
+    print(color('cyan', '📦 SandboxBox - Portable Container Runner'));
+    print(color('cyan', '═════════════════════════════════════════════════'));
+    print('');
+  }
+}
+
+export function showHelp() {
+  print(color('yellow', 'Usage:'));
+  print('  npx sandboxbox <command> [options]');
+  print('');
+  print(color('yellow', 'Commands:'));
+  print('  build [dockerfile]            Build the sandboxbox image with podman or docker');
+  print('  run <project-dir> [cmd]       Run project in container');
+  print('  run --parallel <n> <project-dir>... [cmd] [--matrix KEY=a,b]  One sandbox per project and env combination');
+  print('  shell <project-dir> [--shell <path>]  Interactive shell in a kept sandbox (--no-keep to discard it)');
+  print('  attach [id] [--shell <path>]  Open another shell in a running sandbox (lists them without an id)');
+  print('  claude <project-dir> [prompt] [--host] [--headless]  Start Claude Code with Git integration');
+  print('  sessions list                 List kept sandboxes');
+  print('  sessions resume <id> [run|shell|claude] [cmd]  Re-enter a kept sandbox');
+  print('  sessions rm <id> [--force]    Delete a kept sandbox (--force even while in use)');
+  print('  config show [project-dir]     Print the effective configuration and its sources');
+  print('  review <id> [--apply] [--file <path>] [--discard]  Review and apply the changes of a kept sandbox');
+  print('  replay [transcript] [--tools-only | --text-only] [--speed <n>]  Replay a recorded claude run (lists them without one)');
+  print('  doctor [project-dir] [--host-git] [--fix]  Report (and remove) host git config left by sandboxbox');
+  print('  mcp                           Start as MCP server (stdio transport)');
+  print('  version                       Show version information');
+  print('');
+  print(color('yellow', 'Sandbox Options (run, shell, claude):'));
+  print('  --name <id>                   Keep the sandbox under a name (resumes it if it exists)');
+  print('  --keep                        Keep the sandbox after the command finishes');
+  print('  --workspace-mode <mode>       shallow (default), full, reference or worktree');
+  print('  --include-dirty               Carry uncommitted and untracked host changes into the sandbox');
+  print('  --exclude <glob>              Skip matching paths when copying a non-git project (repeatable)');
+  print('  --copy-mode <mode>            reflink (default), copy or hardlink for non-git projects');
+  print('  --cred <names>                Expose host credentials read-only, e.g. ssh,gh (or all)');
+  print('  --env-mode <mode>             inherit (default), allowlist or clean host environment');
+  print('  --env <KEY=VALUE>             Set a variable in the sandbox (repeatable)');
+  print('  --env-file <path>             Load variables from a dotenv file (repeatable)');
+  print('  --no-auto-push                Block pushes to the host; apply the changes with `review` instead');
+  print('  --host-branch                 Land commits on a host branch sandboxbox/<id> instead of the checked-out one');
+  print('  --branch-prefix <prefix>      Prefix for host and worktree branches (default: sandboxbox/)');
+  print('  --no-host-mutation            Never change host git config; keep push settings inside the sandbox');
+  print('  --backend <name>              auto (default), process, podman or docker');
+  print('  --auto-rebuild                Rebuild an out-of-date image before running');
+  print('  --isolation <mode>            auto (default), bwrap, unshare or none (Linux namespaces)');
+  print('  --network <mode>              full (default), none (offline) or allowlist');
+  print('  --allow-host <host>           Host reachable with --network allowlist, e.g. registry.npmjs.org (repeatable)');
+  print('  --ports <n>                   Free ports to allocate as PORT / SANDBOXBOX_PORT (default: 1, 0 for none)');
+  print('  --port-range <from-to>        Host ports to allocate from (default: 3000-3999)');
+  print('  --timeout <duration>          Kill the command after e.g. 90s, 10m or 2h');
+  print('  --memory <size>               Memory limit, e.g. 512m or 2g');
+  print('  --cpus <n>                    CPU limit in cores, e.g. 1.5');
+  print('  --pids <n>                    Maximum number of processes');
+  print('  --artifacts <glob>            Copy matching workspace files to the host before cleanup (repeatable)');
+  print('  --artifacts-dir <path>        Where artifacts go (default: <project>/.sandboxbox/artifacts/<id>)');
+  print('');
+  print(color('yellow', 'Parallel Run Options:'));
+  print('  --parallel <n>                Run up to n jobs at a time (default: 1)');
+  print('  --matrix <KEY=a,b>            Run once per value with KEY set; several axes combine (repeatable)');
+  print('  --buffer                      Print each job\'s output when it finishes instead of prefixing lines');
+  print('');
+  print(color('yellow', 'Build Options:'));
+  print('  --build-arg <KEY=VALUE>       Dockerfile build arg, e.g. CLAUDE_CODE_VERSION=1.0.30 (repeatable)');
+  print('  --tag <image>                 Image name (default: sandboxbox:latest or "image" in the config)');
+  print('  --no-cache                    Build without the layer cache');
+  print('  --backend <podman|docker>     Container engine (default: podman if installed)');
+  print('');
+  print(color('yellow', 'Claude Command Options:'));
+  print('  --host                        Use host Claude settings instead of bundled');
+  print('  --headless                    Configure headless Playwright MCP (runs before Claude)');
+  print('  --continue                    Continue the last conversation of the project\'s kept sandbox (or --name)');
+  print('  --resume <session>            Continue the conversation of a kept sandbox, by name or Claude session id');
+  print('  --repl                        Read further prompts from the terminal, one turn per line');
+  print('  --max-cost <usd>              Stop Claude once the run has cost this much (estimated live)');
+  print('  --max-turns <n>               Stop Claude after n turns (API round trips)');
+  print('  --max-duration <time>         Stop Claude after it has run this long, e.g. 30m');
+  print('  --max-tool-calls <n>          Stop Claude after n tool calls');
+  print('  --transcript                  Record the run for `sandboxbox replay` in ~/.sandboxbox/transcripts');
+  print('  --output <text|json|ndjson>   json prints a summary, ndjson one event per line (output for people goes to stderr)');
+  print('');
+  print(color('yellow', 'Examples:'));
+  print('  npx sandboxbox build');
+  print('  npx sandboxbox claude ./my-project');
+  print('  npx sandboxbox run ./my-project "npm test"');
+  print('  npx sandboxbox run --parallel 2 ./api ./web "npm test" --matrix NODE_ENV=test,production');
+  print('  npx sandboxbox shell ./my-project');
+  print('  npx sandboxbox attach sb-1a2b3c4d');
+  print('  npx sandboxbox claude ./my-project "fix the tests" --name fix-tests');
+  print('  npx sandboxbox sessions resume fix-tests claude "now update the docs"');
+  print('  npx sandboxbox claude ./my-project "and the changelog" --continue');
+  print('  npx sandboxbox claude ./my-project "fix the lint errors" --output=json');
+  print('');
+  print(color('yellow', 'Requirements:'));
+  print('  - Docker/Podman runtime');
+  print('  - Works on Windows, macOS, and Linux!');
+  print('');
+  print(color('magenta', '🚀 Fast startup • True isolation • Claude Code integration'));
+}
+
+export function showKeptSession(session) {
+  if (!session) return;
+  print(color('cyan', `💾 Sandbox kept as "${session.id}"`));
+  print(color('yellow', `   Resume with: npx sandboxbox sessions resume ${session.id} [run|shell|claude]`));
+  if (session.autoPush === false) {
+    print(color('yellow', `   Review and apply its changes with: npx sandboxbox review ${session.id}`));
+  }
+}
+
+export function showHostBranch(landed) {
+  if (!landed) return;
+  const { branch, commits, error } = landed;
+
+  if (error) {
+    print(color('red', `❌ Could not push sandbox commits to host branch ${branch}: ${error}`));
+  }
+  if (commits > 0) {
+    print(color('green', `🌿 ${commits} commit(s) on host branch ${branch}`));
+    print(color('yellow', `   Merge with: git merge ${branch}`));
+  } else if (!error) {
+    print(color('cyan', `🌿 No new commits for host branch ${branch}`));
+  }
+}
+
+export function showDirtySummary(dirty) {
+  if (!dirty) return;
+  const { modified, added, deleted, untracked, bytes } = dirty;
+  const total = modified.length + added.length + deleted.length + untracked.length;
+
+  if (total === 0) {
+    print(color('cyan', '📋 Host working tree is clean, nothing to carry over'));
+    return;
+  }
+
+  print(color('cyan', `📋 Carried ${total} uncommitted change(s) from host (${bytes} bytes):`));
+  const groups = [['modified', modified], ['added', added], ['deleted', deleted], ['untracked', untracked]];
+  for (const [label, paths] of groups) {
+    if (paths.length === 0) continue;
+    const shown = paths.slice(0, 10).join(', ');
+    const more = paths.length > 10 ? ` (+${paths.length - 10} more)` : '';
+    print(color('cyan', `   ${label} (${paths.length}): ${shown}${more}`));
+  }
+}
+
+export function showCopySummary(workspace) {
+  if (!workspace || workspace.mode !== 'copy') return;
+  const megabytes = (workspace.bytes / (1024 * 1024)).toFixed(1);
+  print(color('cyan', `📁 Copied ${workspace.files} files (${megabytes} MB, ${workspace.copyMode}) in ${workspace.durationMs}ms, skipped ${workspace.skipped} ignored paths`));
+  if (workspace.copyMode === 'hardlink') {
+    print(color('yellow', '⚠️  Hard-linked files are shared with the host: edits in the sandbox change the originals'));
+  }
+  if (workspace.linkFallbacks > 0) {
+    print(color('yellow', `⚠️  ${workspace.linkFallbacks} files could not be hard-linked and were copied instead`));
+  }
+}
+
+export function showCredentialSummary(credentials, env = {}) {
+  if (!credentials) return;
+  const { exposed, missing, method } = credentials;
+  const envVars = CREDENTIAL_ENV_VARS.filter(varName => env[varName]);
+
+  if (exposed.length === 0 && envVars.length === 0) {
+    print(color('cyan', '🔑 No host credentials exposed (enable with --cred or "credentials" in sandboxbox.config.json)'));
+  } else {
+    print(color('yellow', `🔑 Credentials exposed (${method}): ${exposed.length > 0 ? exposed.join(', ') : 'none'}`));
+    if (envVars.length > 0) {
+      print(color('yellow', `   Credential variables: ${envVars.join(', ')}`));
+    }
+  }
+
+  if (missing.length > 0) {
+    print(color('yellow', `⚠️  Requested credentials not found on host: ${missing.join(', ')}`));
+  }
+}
+
+// Always shown, so nobody mistakes a plain process for a confined one
+export function showIsolation(isolation) {
+  const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+  if (isolation.image) {
+    print(color('green', `🔒 Isolation: ${isolation.backend} container (${isolation.image}), workspace bind-mounted`));
+    return;
+  }
+  if (isolation.containerReason && VERBOSE_OUTPUT) {
+    print(color('cyan', `   Container backend not used: ${isolation.containerReason}`));
+  }
+  if (isolation.backend !== 'none') {
+    print(color('green', `🔒 Isolation: ${isolation.backend} (private filesystem view, PID namespace; host system read-only)`));
+  } else if (isolation.reason) {
+    print(color('yellow', `⚠️  Isolation: none (${isolation.reason})`));
+    print(color('yellow', '   Commands run as normal host processes and can read and write anything your user can.'));
+    print(color('yellow', '   Install bubblewrap or allow unprivileged user namespaces for real isolation.'));
+  } else {
+    print(color('yellow', '⚠️  Isolation: none (--isolation none); commands can reach the whole host filesystem'));
+  }
+}
+
+export function showNetwork(network) {
+  if (network.mode === 'none') {
+    print(color('green', '🌐 Network: none (offline, loopback only)'));
+  } else if (network.mode === 'allowlist') {
+    const hosts = network.allow.length > 0 ? network.allow.join(', ') : 'no hosts';
+    print(color('green', `🌐 Network: allowlist via HTTP(S) proxy (${hosts})`));
+  }
+}
+
+// Destinations the egress proxy refused during the run
+export function showBlockedConnections(blocked = []) {
+  if (blocked.length === 0) return;
+  print(color('yellow', `🚫 Blocked ${blocked.length} destination(s) not in the network allowlist:`));
+  blocked.forEach(({ host, port, count }) => {
+    print(color('yellow', `   ${host}:${port}${count > 1 ? ` (${count} attempts)` : ''}`));
+  });
+}
+
+// Ports allocated to a sandbox, with the URL a dev server on them is reached at
+export function showPorts(ports = []) {
+  if (ports.length === 0) return;
+  const range = ports.length > 1 ? ` (SANDBOXBOX_PORTS=${ports.join(',')})` : '';
+  print(color('cyan', `🔌 PORT=${ports[0]}${range}: http://localhost:${ports[0]}`));
+}
+
+// Result of exportSandboxArtifacts()
+export function showArtifacts(exported) {
+  if (!exported) return;
+  if (exported.error) {
+    print(color('red', `❌ Could not export artifacts: ${exported.error}`));
+  } else if (exported.files.length === 0) {
+    print(color('yellow', `⚠️  No files matched the artifact patterns: ${exported.patterns.join(' ')}`));
+  } else {
+    print(color('green', `📎 Exported ${exported.files.length} artifact(s) (${formatBytes(exported.bytes)}) to ${exported.dir}`));
+  }
+}
+
+// Summary table of parallelRunCommand() jobs
+export function showJobResults(results, durationMs) {
+  const width = Math.max(3, ...results.map(result => result.label.length));
+  const passed = results.filter(result => result.exitCode === 0).length;
+  print(color('cyan', `\n📋 Results (${passed}/${results.length} passed in ${(durationMs / 1000).toFixed(1)}s):`));
+  print(`   ${'Job'.padEnd(width)}  Result  Exit  Duration`);
+  results.forEach(({ label, exitCode, durationMs: jobMs }) => {
+    const ok = exitCode === 0;
+    const row = `   ${label.padEnd(width)}  ${(ok ? 'pass' : 'FAIL').padEnd(6)}  ${String(exitCode).padStart(4)}  ${`${(jobMs / 1000).toFixed(1)}s`.padStart(8)}`;
+    print(color(ok ? 'green' : 'red', row));
+  });
+}
+
+function describeLimits(limits) {
+  return [
+    limits.timeoutMs !== null && `timeout ${limits.timeoutMs / 1000}s`,
+    limits.memoryBytes !== null && `memory ${formatBytes(limits.memoryBytes)}`,
+    limits.cpus !== null && `${limits.cpus} CPU(s)`,
+    limits.pids !== null && `${limits.pids} processes`
+  ].filter(Boolean).join(', ');
+}
+
+export function showLimits(limits, backend) {
+  if (!limits) return;
+  print(color('cyan', `⏱️  Limits: ${describeLimits(limits)} (${backend === 'cgroup' ? 'cgroups v2' : backend})`));
+  if (backend === 'timer' && (limits.memoryBytes !== null || limits.cpus !== null || limits.pids !== null)) {
+    print(color('yellow', '⚠️  Only the timeout can be enforced here: cgroups v2 (via systemd-run --user) and prlimit are unavailable'));
+  } else if (backend === 'prlimit') {
+    print(color('yellow', '⚠️  cgroups v2 unavailable: memory is limited per process and CPUs by affinity'));
+    if (limits.pids !== null) print(color('yellow', '⚠️  The process limit cannot be enforced here: it needs cgroups v2 (via systemd-run --user)'));
+  }
+}
+
+// Budget of a `claude` run, from parseBudget()
+export function showBudget(budget) {
+  if (!budget) return;
+  const parts = [
+    budget.maxCost !== null && `$${budget.maxCost}`,
+    budget.maxTurns !== null && `${budget.maxTurns} turns`,
+    budget.maxDurationMs !== null && `${budget.maxDurationMs / 1000}s`,
+    budget.maxToolCalls !== null && `${budget.maxToolCalls} tool calls`
+  ].filter(Boolean);
+  print(color('cyan', `💰 Budget: ${parts.join(', ')} (the sandbox is kept if Claude is stopped)`));
+}
+
+// Peak usage of a limited run, and which limit stopped it
+export function showResourceUsage(peak, limits, limit = null) {
+  if (!peak || !limits) return;
+  if (limit === 'timeout') {
+    print(color('red', `⏱️  Killed after exceeding the ${limits.timeoutMs / 1000}s timeout`));
+  } else if (limit === 'memory') {
+    print(color('red', `⏱️  Killed after reaching the ${formatBytes(limits.memoryBytes)} memory limit`));
+  } else if (limit === 'pids') {
+    print(color('red', `⏱️  Stopped by the ${limits.pids} process limit`));
+  }
+  const wallTime = `${(peak.durationMs / 1000).toFixed(1)}s wall time`;
+  if (peak.pids === 0) {
+    // Exited before it could be sampled
+    print(color('cyan', `📈 Usage: ${wallTime}`));
+    return;
+  }
+  const memory = `memory ${formatBytes(peak.memoryBytes)}${limits.memoryBytes !== null ? ` of ${formatBytes(limits.memoryBytes)}` : ''}`;
+  const pids = `${peak.pids} process(es)${limits.pids !== null ? ` of ${limits.pids}` : ''}`;
+  print(color('cyan', `📈 Peak usage: ${memory}, ${pids}, ${wallTime}`));
+}
+
+// Variable names only: values may be secrets
+export function showEnvSummary(env, mode) {
+  const VERBOSE_OUTPUT = process.env.SANDBOX_VERBOSE === 'true' || process.argv.includes('--verbose');
+  if (!VERBOSE_OUTPUT) return;
+  const names = Object.keys(env).sort();
+  print(color('cyan', `🌱 Environment (${mode}, ${names.length} variables): ${names.join(', ')}`));
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+import { existsSync, rmSync, cpSync, mkdirSync, lstatSync } from 'fs';
+import { join, dirname } from 'path';
+import { execSync } from 'child_process';
+import { pathToFileURL } from 'url';
+
+// How the host repository is materialised inside the sandbox:
+//   shallow   - single-commit clone, smallest and the default
+//   full      - complete clone with all history and tags
+//   reference - complete history borrowed from the host object store via alternates
+//   worktree  - linked worktree of the host repository on its own branch
+export const WORKSPACE_MODES = ['shallow', 'full', 'reference', 'worktree'];
+
+export function resolveWorkspaceMode(mode) {
+  const resolved = (mode || process.env.SANDBOX_WORKSPACE_MODE || 'shallow').toLowerCase();
+  if (!WORKSPACE_MODES.includes(resolved)) {
+    throw new Error(`Unknown workspace mode "${mode}" (expected one of: ${WORKSPACE_MODES.join(', ')})`);
+  }
+  return resolved;
+}
+
+export function createWorkspace(projectDir, workspaceDir, options = {}) {
+  const { mode = 'shallow', worktreeBranch = null } = options;
+  const startTime = Date.now();
+  let baseCommit = null;
+
+  switch (mode) {
+    case 'shallow':
+      // file:// is required for --depth to be honoured on a local path
+      execSync(`git clone --depth 1 --no-tags "${pathToFileURL(projectDir).href}" "${workspaceDir}"`, {
+        stdio: 'pipe',
+        shell: true,
+        windowsHide: true
+      });
+      break;
+
+    case 'full':
+      execSync(`git clone "${projectDir}" "${workspaceDir}"`, {
+        stdio: 'pipe',
+        shell: true,
+        windowsHide: true
+      });
+      break;
+
+    case 'reference':
+      // --shared records the host object store in .git/objects/info/alternates
+      // so no objects are copied; new commits are still written locally
+      execSync(`git clone --shared "${projectDir}" "${workspaceDir}"`, {
+        stdio: 'pipe',
+        shell: true,
+        windowsHide: true
+      });
+      break;
+
+    case 'worktree':
+      try {
+        execSync(`git worktree add -b "${worktreeBranch}" "${workspaceDir}" HEAD`, {
+          cwd: projectDir,
+          stdio: 'pipe',
+          shell: true,
+          windowsHide: true
+        });
+        baseCommit = execSync('git rev-parse HEAD', { cwd: workspaceDir, encoding: 'utf8', stdio: 'pipe' }).trim();
+      } catch (error) {
+        throw new Error(`Could not create worktree (the host repository needs at least one commit): ${error.stderr?.toString().trim() || error.message}`);
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown workspace mode "${mode}"`);
+  }
+
+  return {
+    mode,
+    worktreeBranch: mode === 'worktree' ? worktreeBranch : null,
+    baseCommit,
+    durationMs: Date.now() - startTime
+  };
+}
+
+// Detach a worktree workspace from the host repository. The worktree branch is
+// deleted when it gained no commits so abandoned sandboxes do not pile up branches.
+export function removeWorkspace(projectDir, workspaceDir, workspace = {}) {
+  if (workspace.mode !== 'worktree') return;
+
+  try {
+    if (existsSync(workspaceDir)) {
+      execSync(`git worktree remove --force "${workspaceDir}"`, {
+        cwd: projectDir,
+        stdio: 'pipe',
+        shell: true
+      });
+    }
+  } catch (error) {
+    rmSync(workspaceDir, { recursive: true, force: true });
+  }
+
+  try {
+    execSync('git worktree prune', { cwd: projectDir, stdio: 'pipe', shell: true });
+  } catch (error) {
+    // Host repository may have been moved or deleted
+  }
+
+  if (workspace.worktreeBranch && workspace.baseCommit) {
+    try {
+      const tip = execSync(`git rev-parse "refs/heads/${workspace.worktreeBranch}"`, {
+        cwd: projectDir,
+        encoding: 'utf8',
+        stdio: 'pipe'
+      }).trim();
+
+      if (tip === workspace.baseCommit) {
+        execSync(`git branch -D "${workspace.worktreeBranch}"`, { cwd: projectDir, stdio: 'pipe', shell: true });
+      }
+    } catch (error) {
+      // Branch already gone
+    }
+  }
+}
+
+// Copy uncommitted host changes (staged, unstaged and untracked but not ignored)
+// on top of a freshly created workspace so it matches the host working tree
+export function carryDirtyChanges(projectDir, workspaceDir) {
+  const summary = { modified: [], added: [], deleted: [], untracked: [], bytes: 0 };
+
+  const listPaths = (command) => execSync(command, {
+    cwd: projectDir,
+    encoding: 'utf8',
+    stdio: 'pipe',
+    maxBuffer: 64 * 1024 * 1024
+  }).split('\0').filter(Boolean);
+
+  let hasHead = true;
+  try {
+    execSync('git rev-parse --verify HEAD', { cwd: projectDir, stdio: 'pipe' });
+  } catch (error) {
+    hasHead = false;
+  }
+
+  if (hasHead) {
+    // -z output alternates status and path: ["M", "a.txt", "D", "b.txt", ...]
+    const entries = listPaths('git diff HEAD --name-status --no-renames -z');
+    for (let i = 0; i + 1 < entries.length; i += 2) {
+      const [status, path] = [entries[i], entries[i + 1]];
+      if (status === 'D') summary.deleted.push(path);
+      else if (status === 'A') summary.added.push(path);
+      else summary.modified.push(path);
+    }
+  } else {
+    // Nothing committed yet, so everything in the index is new
+    summary.added.push(...listPaths('git ls-files -z'));
+  }
+
+  summary.untracked.push(...listPaths('git ls-files --others --exclude-standard -z'));
+
+  for (const path of [...summary.modified, ...summary.added, ...summary.untracked]) {
+    const source = join(projectDir, path);
+    const target = join(workspaceDir, path);
+    if (!existsSync(source)) continue;
+
+    mkdirSync(dirname(target), { recursive: true });
+    rmSync(target, { recursive: true, force: true });
+    cpSync(source, target, { recursive: true, verbatimSymlinks: true });
+    summary.bytes += lstatSync(source).size;
+  }
+
+  for (const path of summary.deleted) {
+    rmSync(join(workspaceDir, path), { recursive: true, force: true });
+  }
+
+  return summary;
+}